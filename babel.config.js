@@ -0,0 +1,9 @@
+// Used by Jest only; react-scripts brings its own Babel setup for start/build
+module.exports = {
+  presets: [
+    ['@babel/preset-env', { targets: { node: 'current' } }],
+    ['@babel/preset-react', { runtime: 'automatic' }]
+  ],
+  // `new URL('./x.worker.js', import.meta.url)` is how webpack 5 bundles workers
+  plugins: ['babel-plugin-transform-import-meta']
+};
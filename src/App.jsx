@@ -1,112 +1,204 @@
-import React, { useState } from 'react';
-import { Exercise11Complete } from './part1-state-effect/Exercise1-1-ContextCounter';
-import { Exercise12Complete } from './part1-state-effect/Exercise1-2-LocalPersistence';
-import { Exercise13Complete } from './part1-state-effect/Exercise1-3-EffectChain';
-import { Exercise21Complete } from './part2-performance/Exercise2-1-LaggyList';
-import { Exercise22Complete } from './part2-performance/Exercise2-2-Stabilization';
-import { Exercise23Complete } from './part2-performance/Exercise2-3-CodeSplitting';
-import { Exercise31Complete } from './part3-patterns/Exercise3-1-CompoundTabs';
-import { Exercise32Complete } from './part3-patterns/Exercise3-2-Portals';
-import { Exercise41Complete } from './part4-testing/Exercise4-1-FormTesting';
-import { Exercise42Complete } from './part4-testing/Exercise4-2-ErrorBoundaries';
+import React, { useMemo } from 'react';
+import { BrowserRouter, Routes, Route, Navigate, Link, useMatch, useParams } from 'react-router-dom';
+import { getExercise, getExercises, getParts } from './registry';
+import { ErrorLogContext } from './errorLog';
+import { ErrorLogPanel } from './ErrorLogPanel';
+import './parts';
+
+const EXERCISE_ROUTE = '/part/:partNum/exercise/:exerciseKey';
 
 /**
- * Main Application Component
- * Navigation and exercise display
+ * Helper: Build the URL for an exercise, e.g. /part/3/exercise/3.2
  */
-function App() {
-  const [selectedExercise, setSelectedExercise] = useState('1.1');
-
-  const exercises = {
-    // Part 1: State & Effect Mastery
-    '1.1': { title: 'Context Counter', component: Exercise11Complete, part: 1 },
-    '1.2': { title: 'Local Persistence', component: Exercise12Complete, part: 1 },
-    '1.3': { title: 'Effect Chain', component: Exercise13Complete, part: 1 },
-    
-    // Part 2: Performance Engineering
-    '2.1': { title: 'The Laggy List', component: Exercise21Complete, part: 2 },
-    '2.2': { title: 'Stabilization', component: Exercise22Complete, part: 2 },
-    '2.3': { title: 'Code Splitting', component: Exercise23Complete, part: 2 },
-    
-    // Part 3: Advanced Design Patterns
-    '3.1': { title: 'Compound Tabs', component: Exercise31Complete, part: 3 },
-    '3.2': { title: 'Portals & Modals', component: Exercise32Complete, part: 3 },
-    
-    // Part 4: Testing Strategies
-    '4.1': { title: 'Form Testing', component: Exercise41Complete, part: 4 },
-    '4.2': { title: 'Error Boundaries', component: Exercise42Complete, part: 4 },
-  };
-
-  const currentExercise = exercises[selectedExercise];
-  const CurrentComponent = currentExercise?.component;
-
-  const getParts = () => {
-    const parts = {};
-    Object.entries(exercises).forEach(([key, value]) => {
-      if (!parts[value.part]) parts[value.part] = [];
-      parts[value.part].push({ key, ...value });
-    });
-    return parts;
-  };
+export function getExercisePath(key) {
+  return `/part/${getExercise(key).part}/exercise/${key}`;
+}
+
+/**
+ * Helper: The first registered exercise is the landing page (undefined when none are)
+ */
+function getDefaultExercise() {
+  return getExercises()[0]?.key;
+}
 
+/**
+ * Sidebar Navigation
+ * Highlighting is driven by the current route, not local state
+ */
+function Sidebar() {
+  const match = useMatch(EXERCISE_ROUTE);
+  const selectedExercise = match?.params.exerciseKey;
   const parts = getParts();
 
   return (
-    <div style={{ display: 'flex', height: '100vh', fontFamily: 'Arial, sans-serif' }}>
-      {/* Sidebar Navigation */}
+    <div style={{
+      width: '280px',
+      backgroundColor: '#2c3e50',
+      color: 'white',
+      padding: '20px',
+      overflowY: 'auto',
+      borderRight: '2px solid #34495e'
+    }}>
+      <h1 style={{ fontSize: '18px', marginTop: 0, marginBottom: '20px' }}>
+        🚀 React Advanced
+      </h1>
+
+      {parts.map(({ part, label, exercises }) => (
+        <div key={part} style={{ marginBottom: '25px' }}>
+          <h3 style={{ fontSize: '14px', color: '#ecf0f1', textTransform: 'uppercase', margin: '0 0 10px 0' }}>
+            {label}
+          </h3>
+
+          {exercises.map(exercise => (
+            <Link
+              key={exercise.key}
+              to={getExercisePath(exercise.key)}
+              aria-current={selectedExercise === exercise.key ? 'page' : undefined}
+              style={{
+                display: 'block',
+                width: '100%',
+                padding: '12px 15px',
+                backgroundColor: selectedExercise === exercise.key ? '#3498db' : 'transparent',
+                color: 'white',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                textAlign: 'left',
+                textDecoration: 'none',
+                marginBottom: '8px',
+                fontSize: '14px',
+                transition: 'background-color 0.2s'
+              }}
+              onMouseOver={(e) => {
+                if (selectedExercise !== exercise.key) {
+                  e.currentTarget.style.backgroundColor = '#34495e';
+                }
+              }}
+              onMouseOut={(e) => {
+                if (selectedExercise !== exercise.key) {
+                  e.currentTarget.style.backgroundColor = 'transparent';
+                }
+              }}
+            >
+              <strong>{exercise.key}:</strong> {exercise.title}
+            </Link>
+          ))}
+        </div>
+      ))}
+
+      <ErrorLogPanel />
+    </div>
+  );
+}
+
+/**
+ * Exercise View
+ * Resolves the exercise from the URL params
+ */
+function ExerciseView() {
+  const { partNum, exerciseKey } = useParams();
+  const currentExercise = getExercise(exerciseKey);
+  // Boundaries inside the exercise tag logged errors with its key
+  const errorLogScope = useMemo(() => ({ exerciseKey }), [exerciseKey]);
+
+  if (!currentExercise) {
+    return <NotFound />;
+  }
+
+  // Keep links canonical if the part number doesn't match the exercise
+  if (String(currentExercise.part) !== partNum) {
+    return <Navigate to={getExercisePath(exerciseKey)} replace />;
+  }
+
+  const CurrentComponent = currentExercise.component;
+
+  return (
+    <>
+      {/* Header */}
       <div style={{
-        width: '280px',
-        backgroundColor: '#2c3e50',
+        backgroundColor: '#34495e',
         color: 'white',
         padding: '20px',
-        overflowY: 'auto',
-        borderRight: '2px solid #34495e'
+        borderBottom: '3px solid #2c3e50'
       }}>
-        <h1 style={{ fontSize: '18px', marginTop: 0, marginBottom: '20px' }}>
-          🚀 React Advanced
+        <h1 style={{ margin: '0 0 5px 0', fontSize: '28px' }}>
+          Exercise {exerciseKey}
         </h1>
+        <p style={{ margin: 0, color: '#bdc3c7' }}>
+          {currentExercise.title}
+        </p>
+        {currentExercise.description && (
+          <p style={{ margin: '8px 0 0 0', fontSize: '14px', color: '#ecf0f1' }}>
+            {currentExercise.description}
+          </p>
+        )}
+        <div style={{ marginTop: '10px', display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+          {currentExercise.badges.map(tag => (
+            <span
+              key={tag}
+              style={{
+                padding: '2px 8px',
+                backgroundColor: '#2c3e50',
+                borderRadius: '10px',
+                fontSize: '12px',
+                color: '#bdc3c7'
+              }}
+            >
+              {tag}
+            </span>
+          ))}
+        </div>
+      </div>
 
-        {Object.entries(parts).map(([partNum, partExercises]) => (
-          <div key={partNum} style={{ marginBottom: '25px' }}>
-            <h3 style={{ fontSize: '14px', color: '#ecf0f1', textTransform: 'uppercase', margin: '0 0 10px 0' }}>
-              Part {partNum}
-            </h3>
-
-            {partExercises.map(exercise => (
-              <button
-                key={exercise.key}
-                onClick={() => setSelectedExercise(exercise.key)}
-                style={{
-                  display: 'block',
-                  width: '100%',
-                  padding: '12px 15px',
-                  backgroundColor: selectedExercise === exercise.key ? '#3498db' : 'transparent',
-                  color: 'white',
-                  border: 'none',
-                  borderRadius: '4px',
-                  cursor: 'pointer',
-                  textAlign: 'left',
-                  marginBottom: '8px',
-                  fontSize: '14px',
-                  transition: 'background-color 0.2s'
-                }}
-                onMouseOver={(e) => {
-                  if (selectedExercise !== exercise.key) {
-                    e.target.style.backgroundColor = '#34495e';
-                  }
-                }}
-                onMouseOut={(e) => {
-                  if (selectedExercise !== exercise.key) {
-                    e.target.style.backgroundColor = 'transparent';
-                  }
-                }}
-              >
-                <strong>{exercise.key}:</strong> {exercise.title}
-              </button>
-            ))}
-          </div>
-        ))}
+      {/* Exercise Content */}
+      <div style={{ padding: '20px' }}>
+        <ErrorLogContext.Provider value={errorLogScope}>
+          <CurrentComponent />
+        </ErrorLogContext.Provider>
       </div>
+    </>
+  );
+}
+
+/**
+ * Landing route: redirect to the first exercise
+ */
+function Home() {
+  const defaultExercise = getDefaultExercise();
+  if (!defaultExercise) return <NotFound />;
+  return <Navigate to={getExercisePath(defaultExercise)} replace />;
+}
+
+/**
+ * 404 View for unknown routes and exercise keys
+ */
+function NotFound() {
+  const defaultExercise = getDefaultExercise();
+
+  return (
+    <div style={{ padding: '40px', textAlign: 'center' }} data-testid="not-found">
+      <h1 style={{ fontSize: '28px', color: '#2c3e50', marginBottom: '10px' }}>
+        404 - Exercise not found
+      </h1>
+      <p style={{ color: '#666', marginBottom: '20px' }}>
+        There is no exercise at this address. Pick one from the sidebar.
+      </p>
+      {defaultExercise && (
+        <Link to={getExercisePath(defaultExercise)} style={{ color: '#3498db' }}>
+          Go to Exercise {defaultExercise}
+        </Link>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Layout and routes, without a router so tests can render them in a MemoryRouter
+ */
+export function AppRoutes() {
+  return (
+    <div style={{ display: 'flex', height: '100vh', fontFamily: 'Arial, sans-serif' }}>
+      {/* Sidebar Navigation */}
+      <Sidebar />
 
       {/* Main Content */}
       <div style={{
@@ -114,32 +206,26 @@ function App() {
         overflowY: 'auto',
         backgroundColor: '#ecf0f1'
       }}>
-        {CurrentComponent && (
-          <>
-            {/* Header */}
-            <div style={{
-              backgroundColor: '#34495e',
-              color: 'white',
-              padding: '20px',
-              borderBottom: '3px solid #2c3e50'
-            }}>
-              <h1 style={{ margin: '0 0 5px 0', fontSize: '28px' }}>
-                Exercise {selectedExercise}
-              </h1>
-              <p style={{ margin: 0, color: '#bdc3c7' }}>
-                {currentExercise.title}
-              </p>
-            </div>
-
-            {/* Exercise Content */}
-            <div style={{ padding: '20px' }}>
-              <CurrentComponent />
-            </div>
-          </>
-        )}
+        <Routes>
+          <Route path="/" element={<Home />} />
+          <Route path={EXERCISE_ROUTE} element={<ExerciseView />} />
+          <Route path="*" element={<NotFound />} />
+        </Routes>
       </div>
     </div>
   );
 }
 
+/**
+ * Main Application Component
+ * Navigation and exercise display, one route per exercise
+ */
+function App() {
+  return (
+    <BrowserRouter>
+      <AppRoutes />
+    </BrowserRouter>
+  );
+}
+
 export default App;
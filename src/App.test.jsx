@@ -0,0 +1,66 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, useLocation } from 'react-router-dom';
+import { AppRoutes, getExercisePath } from './App';
+import * as registry from './registry';
+
+const exercises = registry.getExercises();
+
+function LocationDisplay() {
+  return <div data-testid="location">{useLocation().pathname}</div>;
+}
+
+function renderAt(path) {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <AppRoutes />
+      <LocationDisplay />
+    </MemoryRouter>
+  );
+}
+
+describe('App routes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each(exercises.map(exercise => [exercise.key, exercise]))('renders exercise %s at its route', (key, exercise) => {
+    renderAt(getExercisePath(key));
+
+    expect(screen.getByRole('heading', { level: 1, name: `Exercise ${key}` })).toBeInTheDocument();
+    expect(screen.getByText(exercise.title, { selector: 'p' })).toBeInTheDocument();
+    expect(screen.getByRole('link', { current: 'page' })).toHaveAttribute('href', getExercisePath(key));
+  });
+
+  it('redirects the root to the first exercise', () => {
+    renderAt('/');
+
+    expect(screen.getByTestId('location')).toHaveTextContent(getExercisePath(exercises[0].key));
+  });
+
+  it('redirects a wrong part number to the canonical path', () => {
+    const exercise = exercises.find(item => item.part !== 1);
+    renderAt(`/part/1/exercise/${exercise.key}`);
+
+    expect(screen.getByTestId('location')).toHaveTextContent(getExercisePath(exercise.key));
+    expect(screen.getByRole('heading', { level: 1, name: `Exercise ${exercise.key}` })).toBeInTheDocument();
+  });
+
+  it.each(['/part/1/exercise/9.9', '/nowhere'])('shows the 404 page at %s', (path) => {
+    renderAt(path);
+
+    expect(screen.getByTestId('not-found')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: `Go to Exercise ${exercises[0].key}` }))
+      .toHaveAttribute('href', getExercisePath(exercises[0].key));
+  });
+
+  it('shows the 404 page without a link when no exercises are registered', () => {
+    jest.spyOn(registry, 'getExercises').mockReturnValue([]);
+    jest.spyOn(registry, 'getParts').mockReturnValue([]);
+
+    renderAt('/');
+
+    expect(screen.getByTestId('not-found')).toBeInTheDocument();
+    expect(screen.queryByRole('link', { name: /Go to Exercise/ })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Component: ErrorLogPanel
+ * Sidebar viewer for the shared error log: list, filter, export as JSON, clear
+ */
+
+import React, { useState } from 'react';
+import { clearErrorLog, exportErrorLog, useErrorLog } from './errorLog';
+
+const ALL_EXERCISES = 'all';
+
+function matchesQuery(entry, query) {
+  const text = `${entry.message} ${entry.name} ${entry.boundary} ${entry.componentStack}`.toLowerCase();
+  return text.includes(query.trim().toLowerCase());
+}
+
+/**
+ * Helper: download the log as errorLog-<date>.json
+ */
+function downloadErrorLog() {
+  const blob = new Blob([exportErrorLog()], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `errorLog-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function ErrorLogPanel() {
+  const entries = useErrorLog();
+  const [query, setQuery] = useState('');
+  const [exerciseFilter, setExerciseFilter] = useState(ALL_EXERCISES);
+
+  const exerciseKeys = [...new Set(entries.map(entry => entry.exerciseKey).filter(Boolean))];
+  const visible = entries
+    .filter(entry => exerciseFilter === ALL_EXERCISES || entry.exerciseKey === exerciseFilter)
+    .filter(entry => matchesQuery(entry, query))
+    .reverse();
+
+  const buttonStyle = {
+    flex: 1,
+    padding: '6px',
+    backgroundColor: '#34495e',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: entries.length ? 'pointer' : 'not-allowed',
+    fontSize: '12px'
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '6px',
+    marginBottom: '6px',
+    borderRadius: '4px',
+    border: 'none',
+    fontSize: '12px',
+    boxSizing: 'border-box'
+  };
+
+  return (
+    <section aria-labelledby="error-log-heading" style={{ borderTop: '1px solid #34495e', paddingTop: '15px' }} data-testid="error-log-panel">
+      <h3 id="error-log-heading" style={{ fontSize: '14px', color: '#ecf0f1', textTransform: 'uppercase', margin: '0 0 10px 0' }}>
+        Error Log ({entries.length})
+      </h3>
+
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Filter errors..."
+        aria-label="Filter errors"
+        style={inputStyle}
+      />
+      <select
+        value={exerciseFilter}
+        onChange={(e) => setExerciseFilter(e.target.value)}
+        aria-label="Filter by exercise"
+        style={inputStyle}
+      >
+        <option value={ALL_EXERCISES}>All exercises</option>
+        {exerciseKeys.map(key => (
+          <option key={key} value={key}>Exercise {key}</option>
+        ))}
+      </select>
+
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+        <button onClick={downloadErrorLog} disabled={!entries.length} style={buttonStyle}>
+          Export JSON
+        </button>
+        <button onClick={clearErrorLog} disabled={!entries.length} style={buttonStyle}>
+          Clear
+        </button>
+      </div>
+
+      {visible.length === 0 ? (
+        <p style={{ fontSize: '12px', color: '#bdc3c7', margin: 0 }} data-testid="error-log-empty">
+          {entries.length ? 'No errors match the filter.' : 'No errors caught yet.'}
+        </p>
+      ) : (
+        <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+          {visible.map(entry => (
+            <li
+              key={entry.id}
+              style={{ padding: '8px', marginBottom: '6px', backgroundColor: '#34495e', borderRadius: '4px', fontSize: '12px' }}
+              data-testid="error-log-entry"
+            >
+              <div style={{ color: '#e74c3c', fontWeight: 'bold', wordBreak: 'break-word' }}>
+                {entry.name}: {entry.message}
+              </div>
+              <div style={{ color: '#bdc3c7', marginTop: '4px' }}>
+                <time dateTime={entry.timestamp}>{new Date(entry.timestamp).toLocaleTimeString()}</time>
+                {' · '}{entry.boundary}
+                {entry.exerciseKey && ` · Exercise ${entry.exerciseKey}`}
+              </div>
+              {entry.componentStack && (
+                <details style={{ marginTop: '4px' }}>
+                  <summary style={{ cursor: 'pointer', color: '#bdc3c7' }}>Component stack</summary>
+                  <pre style={{ whiteSpace: 'pre-wrap', fontSize: '11px', color: '#ecf0f1', margin: '4px 0 0 0' }}>
+                    {entry.componentStack.trim()}
+                  </pre>
+                </details>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,82 @@
+import React from 'react';
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { ErrorLogPanel } from './ErrorLogPanel';
+import { clearErrorLog, getErrorLog, logError } from './errorLog';
+
+function seedLog() {
+  act(() => {
+    logError({ error: new Error('Section crashed'), boundary: 'Section 1', exerciseKey: '4.2' });
+    logError({ error: new TypeError('Cannot read items'), boundary: 'ListBoundary', exerciseKey: '2.1' });
+  });
+}
+
+describe('ErrorLogPanel', () => {
+  beforeEach(() => {
+    clearErrorLog();
+  });
+
+  it('shows an empty state', () => {
+    render(<ErrorLogPanel />);
+
+    expect(screen.getByTestId('error-log-empty')).toHaveTextContent('No errors caught yet.');
+    expect(screen.getByText('Clear')).toBeDisabled();
+  });
+
+  it('lists logged errors, newest first', () => {
+    render(<ErrorLogPanel />);
+    seedLog();
+
+    const entries = screen.getAllByTestId('error-log-entry');
+    expect(screen.getByText('Error Log (2)')).toBeInTheDocument();
+    expect(entries[0]).toHaveTextContent('TypeError: Cannot read items');
+    expect(entries[1]).toHaveTextContent('Section 1 · Exercise 4.2');
+  });
+
+  it('filters by text and by exercise', () => {
+    render(<ErrorLogPanel />);
+    seedLog();
+
+    userEvent.type(screen.getByLabelText('Filter errors'), 'section');
+    expect(screen.getAllByTestId('error-log-entry')).toHaveLength(1);
+
+    userEvent.clear(screen.getByLabelText('Filter errors'));
+    userEvent.selectOptions(screen.getByLabelText('Filter by exercise'), '2.1');
+    expect(screen.getAllByTestId('error-log-entry')).toHaveLength(1);
+    expect(screen.getByTestId('error-log-entry')).toHaveTextContent('Cannot read items');
+  });
+
+  it('clears the log', () => {
+    render(<ErrorLogPanel />);
+    seedLog();
+
+    userEvent.click(screen.getByText('Clear'));
+
+    expect(getErrorLog()).toEqual([]);
+    expect(screen.getByTestId('error-log-empty')).toBeInTheDocument();
+  });
+
+  it('exports the log as a JSON download', () => {
+    URL.createObjectURL = jest.fn(() => 'blob:error-log');
+    URL.revokeObjectURL = jest.fn();
+    let downloadedLink;
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      downloadedLink = this;
+    });
+    render(<ErrorLogPanel />);
+    seedLog();
+    jest.useFakeTimers();
+
+    userEvent.click(screen.getByText('Export JSON'));
+
+    expect(URL.createObjectURL.mock.calls[0][0].type).toBe('application/json');
+    expect(downloadedLink.download).toMatch(/^errorLog-\d{4}-\d{2}-\d{2}\.json$/);
+    expect(downloadedLink.href).toBe('blob:error-log');
+    // Revoked only after the click has started the download
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    jest.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:error-log');
+    jest.useRealTimers();
+    click.mockRestore();
+  });
+});
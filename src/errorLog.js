@@ -0,0 +1,113 @@
+/**
+ * Error Log Store
+ *
+ * Every ErrorBoundary reports the errors it catches here, so the details
+ * survive a reset (and a reload). Entries are persisted in localStorage and
+ * capped at MAX_ERROR_LOG_ENTRIES, oldest dropped first.
+ *
+ *   logError({ error, componentStack, boundary, exerciseKey })
+ *   const entries = useErrorLog();   // re-renders on every change, in any tab
+ *   clearErrorLog();
+ *
+ * Boundaries read the current exercise key from ErrorLogContext, which the
+ * App provides around each exercise.
+ */
+
+import { createContext, useSyncExternalStore } from 'react';
+
+export const ERROR_LOG_KEY = 'errorLog';
+export const MAX_ERROR_LOG_ENTRIES = 50;
+
+// Long component stacks are trimmed so a few errors can't fill the quota
+const MAX_FIELD_LENGTH = 2000;
+
+export const ErrorLogContext = createContext({ exerciseKey: null });
+
+const listeners = new Set();
+let entries = null;
+
+function truncate(text) {
+  if (!text) return '';
+  return text.length > MAX_FIELD_LENGTH ? `${text.slice(0, MAX_FIELD_LENGTH)}…` : text;
+}
+
+function readEntries() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(ERROR_LOG_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function setEntries(nextEntries) {
+  entries = nextEntries;
+  try {
+    window.localStorage.setItem(ERROR_LOG_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.error('Error saving error log:', error);
+  }
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Current entries, oldest first. The same array is returned until the log changes.
+ */
+export function getErrorLog() {
+  if (entries === null) {
+    entries = readEntries();
+  }
+  return entries;
+}
+
+export function logError({ error, componentStack, boundary = 'ErrorBoundary', exerciseKey = null }) {
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: new Date().toISOString(),
+    name: error?.name || 'Error',
+    message: truncate(error?.message || String(error)),
+    componentStack: truncate(componentStack),
+    boundary,
+    exerciseKey
+  };
+
+  setEntries([...getErrorLog(), entry].slice(-MAX_ERROR_LOG_ENTRIES));
+  return entry;
+}
+
+export function clearErrorLog() {
+  setEntries([]);
+}
+
+export function exportErrorLog() {
+  return JSON.stringify(getErrorLog(), null, 2);
+}
+
+// Another tab changed the log: re-read it on the next getErrorLog()
+function handleStorage(e) {
+  if (e.storageArea !== window.localStorage) return;
+  if (e.key !== ERROR_LOG_KEY && e.key !== null) return; // null: storage was cleared
+  entries = null;
+  listeners.forEach(listener => listener());
+}
+
+export function subscribeToErrorLog(listener) {
+  if (listeners.size === 0) {
+    window.addEventListener('storage', handleStorage);
+  }
+  listeners.add(listener);
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      window.removeEventListener('storage', handleStorage);
+    }
+  };
+}
+
+/**
+ * Custom Hook: useErrorLog
+ */
+export function useErrorLog() {
+  return useSyncExternalStore(subscribeToErrorLog, getErrorLog);
+}
@@ -0,0 +1,87 @@
+import { act, renderHook } from '@testing-library/react';
+import {
+  ERROR_LOG_KEY,
+  MAX_ERROR_LOG_ENTRIES,
+  clearErrorLog,
+  exportErrorLog,
+  getErrorLog,
+  logError,
+  useErrorLog
+} from './errorLog';
+
+describe('errorLog', () => {
+  beforeEach(() => {
+    clearErrorLog();
+  });
+
+  it('records the error details and persists them', () => {
+    logError({
+      error: new TypeError('x is undefined'),
+      componentStack: '\n    at Broken',
+      boundary: 'Section 1',
+      exerciseKey: '4.2'
+    });
+
+    const [entry] = getErrorLog();
+    expect(entry).toMatchObject({
+      name: 'TypeError',
+      message: 'x is undefined',
+      componentStack: '\n    at Broken',
+      boundary: 'Section 1',
+      exerciseKey: '4.2'
+    });
+    expect(new Date(entry.timestamp).toString()).not.toBe('Invalid Date');
+    expect(JSON.parse(window.localStorage.getItem(ERROR_LOG_KEY))).toEqual([entry]);
+  });
+
+  it('keeps only the newest entries', () => {
+    for (let i = 0; i < MAX_ERROR_LOG_ENTRIES + 5; i++) {
+      logError({ error: new Error(`Error ${i}`) });
+    }
+
+    const log = getErrorLog();
+    expect(log).toHaveLength(MAX_ERROR_LOG_ENTRIES);
+    expect(log[0].message).toBe('Error 5');
+    expect(log[log.length - 1].message).toBe(`Error ${MAX_ERROR_LOG_ENTRIES + 4}`);
+  });
+
+  it('trims very long component stacks', () => {
+    logError({ error: new Error('Deep'), componentStack: 'x'.repeat(5000) });
+
+    expect(getErrorLog()[0].componentStack.length).toBeLessThan(2100);
+  });
+
+  it('exports JSON and clears', () => {
+    logError({ error: new Error('Exported') });
+
+    expect(JSON.parse(exportErrorLog())[0].message).toBe('Exported');
+
+    clearErrorLog();
+    expect(getErrorLog()).toEqual([]);
+    expect(window.localStorage.getItem(ERROR_LOG_KEY)).toBe('[]');
+  });
+
+  it('notifies useErrorLog subscribers', () => {
+    const { result } = renderHook(() => useErrorLog());
+    expect(result.current).toEqual([]);
+
+    act(() => {
+      logError({ error: new Error('Live') });
+    });
+
+    expect(result.current).toHaveLength(1);
+  });
+
+  it('picks up changes made in another tab', () => {
+    logError({ error: new Error('Here') });
+    const { result } = renderHook(() => useErrorLog());
+    const fromOtherTab = [{ id: 'other', message: 'There' }];
+
+    act(() => {
+      window.localStorage.setItem(ERROR_LOG_KEY, JSON.stringify(fromOtherTab));
+      window.dispatchEvent(new StorageEvent('storage', { key: ERROR_LOG_KEY, storageArea: window.localStorage }));
+    });
+
+    expect(result.current).toEqual(fromOtherTab);
+  });
+});
@@ -0,0 +1,70 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { CounterProvider, CounterDisplay, CounterControls, useCounter } from './Exercise1-1-ContextCounter';
+
+function CountValue({ testId }) {
+  const { count } = useCounter();
+  return <span data-testid={testId}>{count}</span>;
+}
+
+describe('CounterProvider', () => {
+  it('shares one count between consumers', () => {
+    render(
+      <CounterProvider>
+        <CountValue testId="first" />
+        <CountValue testId="second" />
+        <CounterControls />
+      </CounterProvider>
+    );
+
+    userEvent.click(screen.getByText('Increment (+)'));
+    userEvent.click(screen.getByText('Increment (+)'));
+
+    expect(screen.getByTestId('first')).toHaveTextContent('2');
+    expect(screen.getByTestId('second')).toHaveTextContent('2');
+  });
+
+  it('decrements and resets', () => {
+    render(
+      <CounterProvider>
+        <CounterDisplay />
+        <CounterControls />
+      </CounterProvider>
+    );
+
+    userEvent.click(screen.getByText('Decrement (-)'));
+    expect(screen.getByText('Current Count: -1')).toBeInTheDocument();
+
+    userEvent.click(screen.getByText('Reset'));
+    expect(screen.getByText('Current Count: 0')).toBeInTheDocument();
+  });
+
+  it('keeps separate providers independent', () => {
+    render(
+      <>
+        <CounterProvider>
+          <CountValue testId="a" />
+          <CounterControls />
+        </CounterProvider>
+        <CounterProvider>
+          <CountValue testId="b" />
+        </CounterProvider>
+      </>
+    );
+
+    userEvent.click(screen.getByText('Increment (+)'));
+
+    expect(screen.getByTestId('a')).toHaveTextContent('1');
+    expect(screen.getByTestId('b')).toHaveTextContent('0');
+  });
+
+  it('throws when useCounter is used outside the provider', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => render(<CountValue testId="orphan" />))
+      .toThrow('useCounter must be used within CounterProvider');
+
+    console.error.mockRestore();
+  });
+});
@@ -11,42 +11,54 @@
  * - Provide ability to clear persisted data
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
+import { rules, validateField } from '../validation';
+import { indexedDBAdapter, localStorageAdapter } from './storageAdapters';
+import { usePersistentState } from './usePersistentState';
+
+// usePersistentState lives in its own module; re-exported for existing imports
+export { usePersistentState };
+
+const isTodo = (todo) => Boolean(todo) && typeof todo.text === 'string' && typeof todo.completed === 'boolean';
+
+// v1: every todo has a boolean `completed` and a `createdAt` (ids are creation timestamps)
+export const todosSchema = {
+  version: 1,
+  migrations: {
+    1: (todos) => todos.map(todo => ({
+      ...todo,
+      completed: Boolean(todo.completed),
+      createdAt: todo.createdAt ?? new Date(todo.id).toISOString()
+    }))
+  },
+  validate: (todos) => Array.isArray(todos) && todos.every(isTodo)
+};
 
 /**
- * Custom Hook: usePersistentState
- * Combines useState with useEffect for localStorage persistence
+ * Component: shown when saved data had to be discarded or changes could not be saved
  */
-export function usePersistentState(key, initialValue) {
-  // State holds the current value
-  const [state, setState] = useState(() => {
-    // Initialize from localStorage if available
-    try {
-      const item = window.localStorage.getItem(key);
-      return item ? JSON.parse(item) : initialValue;
-    } catch (error) {
-      console.error('Error reading from localStorage:', error);
-      return initialValue;
-    }
-  });
+function StorageErrorNotice({ error, onDismiss }) {
+  if (!error) return null;
 
-  // Effect: Save to localStorage whenever state changes
-  useEffect(() => {
-    try {
-      window.localStorage.setItem(key, JSON.stringify(state));
-    } catch (error) {
-      console.error('Error saving to localStorage:', error);
-    }
-  }, [key, state]);
+  const saving = error.reason === 'write' || error.reason === 'quota';
 
-  return [state, setState];
+  return (
+    <div role="alert" style={{ padding: '8px', marginBottom: '10px', backgroundColor: '#fff3cd', border: '1px solid #ffc107', borderRadius: '4px', fontSize: '13px' }}>
+      {saving
+        ? <>Changes could not be saved ({error.reason}): {error.message}.</>
+        : <>Saved data could not be restored ({error.reason}): {error.message}. Starting fresh.</>}
+      {' '}
+      <button onClick={onDismiss}>Dismiss</button>
+    </div>
+  );
 }
 
 /**
  * Component: Todo List with Persistence
  */
 export function PersistentTodoList() {
-  const [todos, setTodos] = usePersistentState('todos', []);
+  const [storageError, setStorageError] = useState(null);
+  const [todos, setTodos] = usePersistentState('todos', [], { ...todosSchema, onError: setStorageError });
   const [input, setInput] = useState('');
 
   const addTodo = () => {
@@ -76,13 +88,13 @@ export function PersistentTodoList() {
 
   const clearAll = () => {
     setTodos([]);
-    window.localStorage.removeItem('todos');
   };
 
   return (
     <div style={{ padding: '20px', border: '1px solid orange' }}>
       <h3>Persistent Todo List</h3>
-      
+      <StorageErrorNotice error={storageError} onDismiss={() => setStorageError(null)} />
+
       <div style={{ marginBottom: '10px' }}>
         <input
           type="text"
@@ -129,37 +141,77 @@ export function PersistentTodoList() {
   );
 }
 
+/**
+ * Validation schema for PersistentForm (shared engine with RegistrationForm)
+ */
+const persistentFormSchema = {
+  name: { label: 'Name', rules: [rules.required(), rules.maxLength(50)] },
+  email: { label: 'Email', rules: [rules.email()] }
+};
+
+const DEFAULT_FORM_DATA = {
+  name: '',
+  email: '',
+  preferences: 'dark'
+};
+
+// v1: fields added later are filled in from the defaults
+export const formDataSchema = {
+  version: 1,
+  migrations: {
+    1: (data) => ({ ...DEFAULT_FORM_DATA, ...data })
+  },
+  validate: (data) => Boolean(data)
+    && typeof data.name === 'string'
+    && typeof data.email === 'string'
+    && ['light', 'dark', 'auto'].includes(data.preferences)
+};
+
+// Typing saves once the user pauses instead of on every keystroke
+const FORM_SAVE_DELAY = 300;
+
 /**
  * Component: Form with Persistent Values
  */
 export function PersistentForm() {
-  const [formData, setFormData] = usePersistentState('formData', {
-    name: '',
-    email: '',
-    preferences: 'dark'
+  const [storageError, setStorageError] = useState(null);
+  const [formData, setFormData] = usePersistentState('formData', DEFAULT_FORM_DATA, {
+    ...formDataSchema,
+    debounce: FORM_SAVE_DELAY,
+    onError: setStorageError
   });
+  // Errors are not persisted, they are derived again after a blur
+  const [errors, setErrors] = useState({});
+
+  const updateFieldError = (name, values) => {
+    if (!persistentFormSchema[name]) return;
+    setErrors(prev => ({ ...prev, [name]: validateField(persistentFormSchema, name, values) }));
+  };
 
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setFormData(prev => ({
-      ...prev,
+    const nextData = {
+      ...formData,
       [name]: value
-    }));
+    };
+    setFormData(nextData);
+    if (errors[name]) updateFieldError(name, nextData);
+  };
+
+  const handleBlur = (e) => {
+    updateFieldError(e.target.name, formData);
   };
 
   const handleReset = () => {
-    setFormData({
-      name: '',
-      email: '',
-      preferences: 'dark'
-    });
-    window.localStorage.removeItem('formData');
+    setFormData(DEFAULT_FORM_DATA);
+    setErrors({});
   };
 
   return (
     <div style={{ padding: '20px', border: '1px solid teal' }}>
       <h3>Persistent Form</h3>
-      
+      <StorageErrorNotice error={storageError} onDismiss={() => setStorageError(null)} />
+
       <div>
         <label>
           Name:
@@ -168,9 +220,11 @@ export function PersistentForm() {
             name="name"
             value={formData.name}
             onChange={handleChange}
+            onBlur={handleBlur}
             placeholder="Enter your name"
           />
         </label>
+        {errors.name && <span style={{ color: '#dc3545', fontSize: '12px' }}>{errors.name}</span>}
       </div>
 
       <div>
@@ -181,9 +235,11 @@ export function PersistentForm() {
             name="email"
             value={formData.email}
             onChange={handleChange}
+            onBlur={handleBlur}
             placeholder="Enter your email"
           />
         </label>
+        {errors.email && <span style={{ color: '#dc3545', fontSize: '12px' }}>{errors.email}</span>}
       </div>
 
       <div>
@@ -206,13 +262,51 @@ export function PersistentForm() {
   );
 }
 
+// Notes can outgrow localStorage's ~5MB, so they go to IndexedDB where there is one
+const NOTES_STORAGE = typeof window !== 'undefined' && window.indexedDB ? indexedDBAdapter : localStorageAdapter;
+const NOTES_SAVE_DELAY = 500;
+
+/**
+ * Component: Notes stored through an async adapter
+ */
+export function PersistentNotes({ storage = NOTES_STORAGE }) {
+  const [storageError, setStorageError] = useState(null);
+  const [notes, setNotes, { loading, saving }] = usePersistentState('notes', '', {
+    storage,
+    debounce: NOTES_SAVE_DELAY,
+    compress: true,
+    onError: setStorageError
+  });
+
+  return (
+    <div style={{ padding: '20px', border: '1px solid purple' }}>
+      <h3>Persistent Notes <small style={{ color: '#666' }}>({storage.name})</small></h3>
+      <StorageErrorNotice error={storageError} onDismiss={() => setStorageError(null)} />
+
+      <textarea
+        aria-label="Notes"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        placeholder={loading ? 'Loading notes…' : 'Write something'}
+        rows={4}
+        style={{ width: '100%' }}
+      />
+      <p style={{ fontSize: '12px', color: '#666' }} aria-live="polite">
+        {loading ? 'Loading notes…' : saving ? 'Saving…' : `${notes.length} characters saved`}
+      </p>
+    </div>
+  );
+}
+
 // Complete Example
 export function Exercise12Complete() {
   return (
     <div style={{ padding: '20px', backgroundColor: '#f9f9f9' }}>
       <h2>Exercise 1.2: Local Persistence</h2>
+      <p>🔁 Open this page in a second tab: todos and form changes show up in both.</p>
       <PersistentTodoList />
       <PersistentForm />
+      <PersistentNotes />
     </div>
   );
 }
@@ -0,0 +1,165 @@
+import React from 'react';
+import { act, render, renderHook, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { PersistentForm, PersistentNotes, PersistentTodoList, usePersistentState } from './Exercise1-2-LocalPersistence';
+
+describe('usePersistentState', () => {
+  it('falls back to the initial value when nothing is stored', () => {
+    const { result } = renderHook(() => usePersistentState('todos', []));
+
+    expect(result.current[0]).toEqual([]);
+  });
+
+  it('restores a previously stored value', () => {
+    window.localStorage.setItem('todos', JSON.stringify([{ id: 1, text: 'Saved' }]));
+
+    const { result } = renderHook(() => usePersistentState('todos', []));
+
+    expect(result.current[0]).toEqual([{ id: 1, text: 'Saved' }]);
+  });
+
+  it('writes updates to localStorage', () => {
+    const { result } = renderHook(() => usePersistentState('count', 0));
+
+    act(() => result.current[1](5));
+
+    expect(result.current[0]).toBe(5);
+    expect(JSON.parse(window.localStorage.getItem('count'))).toBe(5);
+  });
+
+  it('survives a remount', () => {
+    const first = renderHook(() => usePersistentState('name', ''));
+    act(() => first.result.current[1]('Ada'));
+    first.unmount();
+
+    const second = renderHook(() => usePersistentState('name', ''));
+
+    expect(second.result.current[0]).toBe('Ada');
+  });
+
+  it('ignores corrupt stored data', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.localStorage.setItem('broken', '{not json');
+
+    const { result } = renderHook(() => usePersistentState('broken', 'fallback'));
+
+    expect(result.current[0]).toBe('fallback');
+    console.error.mockRestore();
+  });
+});
+
+describe('versioned persistence in Exercise 1.2', () => {
+  it('migrates todos saved before versioning', () => {
+    window.localStorage.setItem('todos', JSON.stringify([{ id: 1700000000000, text: 'Old todo' }]));
+
+    render(<PersistentTodoList />);
+
+    expect(screen.getByText('Old todo')).toBeInTheDocument();
+    expect(screen.getByRole('checkbox')).not.toBeChecked();
+    expect(JSON.parse(window.localStorage.getItem('todos'))).toEqual({
+      __version: 1,
+      value: [{ id: 1700000000000, text: 'Old todo', completed: false, createdAt: '2023-11-14T22:13:20.000Z' }]
+    });
+  });
+
+  it('starts fresh and explains why when saved todos are invalid', () => {
+    window.localStorage.setItem('todos', JSON.stringify({ __version: 1, value: [{ id: 1 }] }));
+
+    render(<PersistentTodoList />);
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Saved data could not be restored (validate)');
+    expect(screen.getByText('Total Todos: 0 | Completed: 0')).toBeInTheDocument();
+
+    userEvent.click(screen.getByText('Dismiss'));
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  it('fills in form fields missing from older saves', () => {
+    window.localStorage.setItem('formData', JSON.stringify({ name: 'Ada' }));
+
+    render(<PersistentForm />);
+
+    expect(screen.getByPlaceholderText('Enter your name')).toHaveValue('Ada');
+    expect(screen.getByRole('combobox')).toHaveValue('dark');
+  });
+});
+
+describe('PersistentNotes', () => {
+  it('shows a loading state until the async store answers', async () => {
+    let answer;
+    const storage = {
+      name: 'slowStore',
+      async: true,
+      scope: 'origin',
+      getItem: () => new Promise(resolve => { answer = resolve; }),
+      setItem: jest.fn(() => Promise.resolve()),
+      removeItem: () => Promise.resolve()
+    };
+
+    const { unmount } = render(<PersistentNotes storage={storage} />);
+    expect(screen.getByText('Loading notes…')).toBeInTheDocument();
+
+    await act(async () => answer('"Remember the milk"'));
+
+    expect(screen.getByLabelText('Notes')).toHaveValue('Remember the milk');
+    expect(screen.getByText('17 characters saved')).toBeInTheDocument();
+
+    userEvent.type(screen.getByLabelText('Notes'), '!');
+    // Saves are debounced; unmounting flushes the pending one
+    expect(screen.getByText('Saving…')).toBeInTheDocument();
+    expect(storage.setItem).not.toHaveBeenCalled();
+    unmount();
+    expect(storage.setItem).toHaveBeenLastCalledWith('notes', '"Remember the milk!"');
+  });
+});
+
+describe('PersistentForm saving', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('saves after a pause in typing and shows when storage is full', () => {
+    jest.useFakeTimers();
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+    });
+    render(<PersistentForm />);
+
+    userEvent.type(screen.getByPlaceholderText('Enter your name'), 'Ada');
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+
+    act(() => jest.advanceTimersByTime(300));
+
+    expect(Storage.prototype.setItem).toHaveBeenCalledTimes(1);
+    expect(screen.getByRole('alert')).toHaveTextContent('Changes could not be saved (quota): Not enough space in localStorage to save "formData"');
+  });
+
+  it('persists a reset through the hook instead of removing the key', () => {
+    jest.useFakeTimers();
+    render(<PersistentForm />);
+    const storedName = () => JSON.parse(window.localStorage.getItem('formData')).value.name;
+
+    userEvent.type(screen.getByPlaceholderText('Enter your name'), 'Ada');
+    act(() => jest.advanceTimersByTime(300));
+    expect(storedName()).toBe('Ada');
+
+    userEvent.click(screen.getByText('Reset Form'));
+    act(() => jest.advanceTimersByTime(300));
+
+    expect(storedName()).toBe('');
+    expect(screen.getByPlaceholderText('Enter your name')).toHaveValue('');
+  });
+});
+
+describe('PersistentTodoList clearing', () => {
+  it('stores the empty list', () => {
+    render(<PersistentTodoList />);
+
+    userEvent.type(screen.getByPlaceholderText('Add a new todo...'), 'Write tests');
+    userEvent.click(screen.getByText('Add'));
+    userEvent.click(screen.getByText('Clear All'));
+
+    expect(JSON.parse(window.localStorage.getItem('todos'))).toEqual({ __version: 1, value: [] });
+  });
+});
@@ -0,0 +1,106 @@
+import React from 'react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { DataFetcher, SubscriptionManager, TimerComponent, WindowResizeListener } from './Exercise1-3-EffectChain';
+
+describe('Exercise 1.3 effects', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('TimerComponent', () => {
+    it('ticks while active, logs each second and updates the title', () => {
+      render(<TimerComponent />);
+
+      userEvent.click(screen.getByText('Start'));
+      // One tick per act, so each second renders (and is logged) on its own
+      [1, 2, 3].forEach(() => act(() => jest.advanceTimersByTime(1000)));
+
+      expect(screen.getByText('3s')).toBeInTheDocument();
+      expect(screen.getByText('Logs (3)')).toBeInTheDocument();
+      expect(document.title).toBe('Timer: 3s');
+    });
+
+    it('stops the interval when paused and resets', () => {
+      render(<TimerComponent />);
+
+      userEvent.click(screen.getByText('Start'));
+      act(() => jest.advanceTimersByTime(2000));
+      userEvent.click(screen.getByText('Pause'));
+      act(() => jest.advanceTimersByTime(5000));
+      expect(screen.getByText('2s')).toBeInTheDocument();
+
+      userEvent.click(screen.getByText('Reset'));
+      expect(screen.getByText('0s')).toBeInTheDocument();
+      expect(screen.getByText('Logs (0)')).toBeInTheDocument();
+    });
+
+    it('restores the title on unmount', () => {
+      const { unmount } = render(<TimerComponent />);
+
+      unmount();
+
+      expect(document.title).toBe('React Lab 5');
+    });
+  });
+
+  describe('DataFetcher', () => {
+    it('shows the user once loaded', () => {
+      render(<DataFetcher />);
+      expect(screen.getByText('Loading...')).toBeInTheDocument();
+
+      act(() => jest.advanceTimersByTime(1500));
+
+      expect(screen.queryByText('Loading...')).not.toBeInTheDocument();
+      expect(screen.getByText('User 1')).toBeInTheDocument();
+    });
+
+    it('cancels the previous request when the id changes', () => {
+      render(<DataFetcher />);
+
+      act(() => jest.advanceTimersByTime(1000));
+      fireEvent.change(screen.getByLabelText('User ID:'), { target: { value: '2' } });
+      act(() => jest.advanceTimersByTime(1000));
+      expect(screen.queryByText('User 1')).not.toBeInTheDocument();
+
+      act(() => jest.advanceTimersByTime(500));
+      expect(screen.getByText('User 2')).toBeInTheDocument();
+    });
+  });
+
+  describe('WindowResizeListener', () => {
+    it('follows the window size and stops listening on unmount', () => {
+      const removeEventListener = jest.spyOn(window, 'removeEventListener');
+      const { unmount } = render(<WindowResizeListener />);
+
+      act(() => {
+        window.innerWidth = 800;
+        window.innerHeight = 600;
+        window.dispatchEvent(new Event('resize'));
+      });
+      expect(screen.getByText('Window Size: 800px × 600px')).toBeInTheDocument();
+
+      unmount();
+      expect(removeEventListener).toHaveBeenCalledWith('resize', expect.any(Function));
+      removeEventListener.mockRestore();
+    });
+  });
+
+  describe('SubscriptionManager', () => {
+    it('subscribes to every topic in turn', () => {
+      render(<SubscriptionManager />);
+      expect(screen.getByText('subscribing')).toBeInTheDocument();
+
+      act(() => jest.advanceTimersByTime(1000));
+      expect(screen.getByText('Active Subscriptions: 2')).toBeInTheDocument();
+
+      act(() => jest.advanceTimersByTime(500));
+      expect(screen.getByText('subscribed')).toBeInTheDocument();
+      expect(screen.getAllByRole('listitem').map(item => item.textContent)).toEqual(['Topic A', 'Topic B', 'Topic C']);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * StorageProvider: app-wide defaults for usePersistentState
+ *
+ *   <StorageProvider storage={indexedDBAdapter} onError={report}>
+ *     <App />
+ *   </StorageProvider>
+ *
+ * Any usePersistentState option can be given as a prop; options passed to
+ * the hook itself still win. Without a provider, values go to localStorage.
+ */
+
+import React, { createContext, useContext } from 'react';
+
+const StorageContext = createContext({});
+
+/**
+ * Provider Component: StorageProvider
+ * Render it near the root: every hook below re-renders when it does
+ */
+export function StorageProvider({ children, ...defaults }) {
+  const inherited = useContext(StorageContext);
+
+  return (
+    <StorageContext.Provider value={{ ...inherited, ...defaults }}>
+      {children}
+    </StorageContext.Provider>
+  );
+}
+
+/**
+ * Custom Hook: useStorageDefaults
+ * The options set by the nearest StorageProviders (empty outside one)
+ */
+export function useStorageDefaults() {
+  return useContext(StorageContext);
+}
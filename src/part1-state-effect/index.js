@@ -3,6 +3,52 @@
  * Complete index file for all exercises in Part 1
  */
 
+import { registerPart, registerExercises } from '../registry';
+import { Exercise11Complete } from './Exercise1-1-ContextCounter';
+import { Exercise12Complete } from './Exercise1-2-LocalPersistence';
+import { Exercise13Complete } from './Exercise1-3-EffectChain';
+
 export { Exercise11Complete, CounterProvider, useCounter } from './Exercise1-1-ContextCounter';
 export { Exercise12Complete, usePersistentState } from './Exercise1-2-LocalPersistence';
+export { PersistedStateError, jsonSerializer, richSerializer } from './persistence';
+export { StorageProvider } from './StorageProvider';
+export {
+  localStorageAdapter,
+  sessionStorageAdapter,
+  indexedDBAdapter,
+  createMemoryAdapter,
+  createIndexedDBAdapter
+} from './storageAdapters';
 export { Exercise13Complete } from './Exercise1-3-EffectChain';
+
+registerPart({ part: 1, title: 'State & Effect Mastery' });
+
+registerExercises([
+  {
+    key: '1.1',
+    title: 'Context Counter',
+    part: 1,
+    component: Exercise11Complete,
+    tags: ['useContext', 'Context API', 'Provider Pattern'],
+    description: 'A global counter shared by multiple consumers without prop drilling.',
+    difficulty: 'beginner'
+  },
+  {
+    key: '1.2',
+    title: 'Local Persistence',
+    part: 1,
+    component: Exercise12Complete,
+    tags: ['useEffect', 'localStorage', 'IndexedDB', 'Custom Hooks'],
+    description: 'Persist state to localStorage and restore it on mount.',
+    difficulty: 'beginner'
+  },
+  {
+    key: '1.3',
+    title: 'Effect Chain',
+    part: 1,
+    component: Exercise13Complete,
+    tags: ['useEffect', 'Cleanup', 'Dependencies'],
+    description: 'Multiple effects with different dependencies and cleanup functions.',
+    difficulty: 'intermediate'
+  }
+]);
@@ -0,0 +1,143 @@
+/**
+ * Persistence helpers for usePersistentState
+ *
+ * Versioned values are stored in an envelope so their shape can change
+ * without breaking data saved by an older version of the app:
+ *
+ *   { "__version": 2, "value": [...] }
+ *
+ * On load, migrations bring the value up to the current version one step at
+ * a time (`migrations[n]` turns a version n-1 value into version n). Values
+ * saved before versioning was turned on count as version 0. Without a
+ * `version`, values are stored as plain JSON, as before.
+ *
+ * A serializer ({ stringify, parse }) turns values into text; richSerializer
+ * also round-trips Dates, Maps and Sets. Long texts can be compressed: they
+ * are stored with a "~lz:" prefix, which JSON never starts with, so
+ * compressed and plain values can be read back either way.
+ */
+
+import { compressToUTF16, decompressFromUTF16 } from 'lz-string';
+
+export const VERSION_FIELD = '__version';
+export const TYPE_FIELD = '__type';
+export const COMPRESSED_PREFIX = '~lz:';
+export const DEFAULT_COMPRESS_THRESHOLD = 1024; // characters
+
+export class PersistedStateError extends Error {
+  constructor(message, { key, reason, fromVersion = null, toVersion = null, cause } = {}) {
+    super(message);
+    this.name = 'PersistedStateError';
+    this.key = key;
+    this.reason = reason; // 'read' | 'parse' | 'migrate' | 'validate' | 'write' | 'quota'
+    this.fromVersion = fromVersion;
+    this.toVersion = toVersion;
+    this.cause = cause;
+  }
+}
+
+export const jsonSerializer = {
+  stringify: (value) => JSON.stringify(value),
+  parse: (text) => JSON.parse(text)
+};
+
+// { "__type": "Date", "value": ... } stands in for types JSON can't represent
+const REVIVERS = {
+  Date: (value) => new Date(value ?? NaN),
+  Map: (entries) => new Map(entries),
+  Set: (items) => new Set(items)
+};
+
+export const richSerializer = {
+  stringify: (value) => JSON.stringify(value, function replace(key, item) {
+    // `item` has already been through toJSON, so look at the original
+    const original = this[key];
+    if (original instanceof Date) return { [TYPE_FIELD]: 'Date', value: original.toJSON() };
+    if (original instanceof Map) return { [TYPE_FIELD]: 'Map', value: [...original] };
+    if (original instanceof Set) return { [TYPE_FIELD]: 'Set', value: [...original] };
+    return item;
+  }),
+  parse: (text) => JSON.parse(text, (key, item) => {
+    const revive = item && typeof item === 'object' && REVIVERS[item[TYPE_FIELD]];
+    return revive && 'value' in item ? revive(item.value) : item;
+  })
+};
+
+function isEnvelope(data) {
+  return Boolean(data) && typeof data === 'object' && !Array.isArray(data)
+    && Number.isInteger(data[VERSION_FIELD]) && 'value' in data;
+}
+
+/**
+ * `compress`: true, or the length in characters from which to compress.
+ * Compression is skipped when it doesn't make the value shorter.
+ */
+export function encodeValue(value, { version, serializer = jsonSerializer, compress = false } = {}) {
+  const text = serializer.stringify(version === undefined ? value : { [VERSION_FIELD]: version, value });
+  const threshold = compress === true ? DEFAULT_COMPRESS_THRESHOLD : compress;
+  if (!threshold || text.length < threshold) return text;
+
+  const compressed = COMPRESSED_PREFIX + compressToUTF16(text);
+  return compressed.length < text.length ? compressed : text;
+}
+
+function decompress(serialized) {
+  if (!serialized.startsWith(COMPRESSED_PREFIX)) return serialized;
+
+  const text = decompressFromUTF16(serialized.slice(COMPRESSED_PREFIX.length));
+  if (!text) throw new Error('Compressed data is corrupt');
+  return text;
+}
+
+/**
+ * Parse, migrate and validate a stored string.
+ * Returns { value } on success or { error } (a PersistedStateError), never throws.
+ */
+export function decodeValue(serialized, { key, version, migrations = {}, validate, serializer = jsonSerializer } = {}) {
+  const fail = (reason, message, details = {}) => ({
+    error: new PersistedStateError(message, { key, reason, ...details })
+  });
+
+  let data;
+  try {
+    data = serializer.parse(decompress(serialized));
+  } catch (cause) {
+    return fail('parse', `Stored value for "${key}" could not be parsed`, { cause });
+  }
+
+  let value = data;
+  if (version !== undefined) {
+    const fromVersion = isEnvelope(data) ? data[VERSION_FIELD] : 0;
+    value = isEnvelope(data) ? data.value : data;
+
+    if (fromVersion > version) {
+      return fail('migrate', `Stored value for "${key}" is version ${fromVersion}, newer than ${version}`, { fromVersion, toVersion: version });
+    }
+    for (let next = fromVersion + 1; next <= version; next++) {
+      const migrate = migrations[next];
+      if (!migrate) {
+        return fail('migrate', `No migration to version ${next} for "${key}"`, { fromVersion, toVersion: version });
+      }
+      try {
+        value = migrate(value);
+      } catch (cause) {
+        return fail('migrate', `Migration to version ${next} failed for "${key}": ${cause.message}`, { fromVersion, toVersion: version, cause });
+      }
+    }
+  }
+
+  if (validate) {
+    let valid = false;
+    let cause;
+    try {
+      valid = validate(value);
+    } catch (error) {
+      cause = error;
+    }
+    if (!valid) {
+      return fail('validate', `Stored value for "${key}" failed validation`, { toVersion: version ?? null, cause });
+    }
+  }
+
+  return { value };
+}
@@ -0,0 +1,95 @@
+import { COMPRESSED_PREFIX, PersistedStateError, decodeValue, encodeValue, richSerializer } from './persistence';
+
+const schema = {
+  key: 'prefs',
+  version: 2,
+  migrations: {
+    1: (color) => ({ color }),
+    2: ({ color }) => ({ theme: { color } })
+  },
+  validate: (value) => typeof value?.theme?.color === 'string'
+};
+
+describe('persistence', () => {
+  it('stores plain JSON without a version', () => {
+    expect(encodeValue([1, 2])).toBe('[1,2]');
+    expect(decodeValue('[1,2]', { key: 'list' })).toEqual({ value: [1, 2] });
+  });
+
+  it('wraps versioned values in an envelope', () => {
+    const serialized = encodeValue({ theme: { color: 'red' } }, schema);
+
+    expect(JSON.parse(serialized)).toEqual({ __version: 2, value: { theme: { color: 'red' } } });
+    expect(decodeValue(serialized, schema)).toEqual({ value: { theme: { color: 'red' } } });
+  });
+
+  it('runs every migration from an unversioned value', () => {
+    expect(decodeValue('"blue"', schema)).toEqual({ value: { theme: { color: 'blue' } } });
+  });
+
+  it('runs only the migrations that are needed', () => {
+    const serialized = JSON.stringify({ __version: 1, value: { color: 'green' } });
+
+    expect(decodeValue(serialized, schema)).toEqual({ value: { theme: { color: 'green' } } });
+  });
+
+  it('round-trips Dates, Maps and Sets with richSerializer', () => {
+    const value = {
+      due: new Date('2024-05-01T10:00:00.000Z'),
+      tags: new Set(['a', 'b']),
+      byId: new Map([[1, { seen: new Date(0) }]])
+    };
+
+    const serialized = encodeValue(value, { ...schema, validate: undefined, serializer: richSerializer });
+    const { value: restored } = decodeValue(serialized, { ...schema, validate: undefined, serializer: richSerializer });
+
+    expect(restored).toEqual(value);
+    expect(restored.byId.get(1).seen).toBeInstanceOf(Date);
+  });
+
+  it('compresses long values and reads them back', () => {
+    const long = Array.from({ length: 200 }, () => 'the same words again');
+
+    const compressed = encodeValue(long, { compress: true });
+    const short = encodeValue(['hi'], { compress: true });
+
+    expect(compressed.startsWith(COMPRESSED_PREFIX)).toBe(true);
+    expect(compressed.length).toBeLessThan(JSON.stringify(long).length / 4);
+    expect(short).toBe('["hi"]');
+    expect(decodeValue(compressed, { key: 'long' })).toEqual({ value: long });
+  });
+
+  it('reports corrupt compressed data', () => {
+    expect(decodeValue(`${COMPRESSED_PREFIX}`, schema).error).toMatchObject({ reason: 'parse' });
+  });
+
+  it('reports invalid JSON', () => {
+    const { error } = decodeValue('{oops', schema);
+
+    expect(error).toBeInstanceOf(PersistedStateError);
+    expect(error).toMatchObject({ key: 'prefs', reason: 'parse' });
+  });
+
+  it('reports a migration that throws', () => {
+    const failing = { ...schema, migrations: { ...schema.migrations, 2: () => { throw new Error('bad shape'); } } };
+
+    const { error } = decodeValue('"blue"', failing);
+
+    expect(error).toMatchObject({ reason: 'migrate', fromVersion: 0, toVersion: 2 });
+    expect(error.message).toBe('Migration to version 2 failed for "prefs": bad shape');
+    expect(error.cause.message).toBe('bad shape');
+  });
+
+  it('reports missing migrations and values from a newer version', () => {
+    expect(decodeValue('"blue"', { ...schema, migrations: { 1: schema.migrations[1] } }).error.message)
+      .toBe('No migration to version 2 for "prefs"');
+    expect(decodeValue(JSON.stringify({ __version: 3, value: {} }), schema).error)
+      .toMatchObject({ reason: 'migrate', fromVersion: 3, toVersion: 2 });
+  });
+
+  it('reports values that fail validation', () => {
+    const serialized = JSON.stringify({ __version: 2, value: { theme: {} } });
+
+    expect(decodeValue(serialized, schema).error).toMatchObject({ reason: 'validate' });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Storage Adapters for usePersistentState
+ *
+ * An adapter stores serialized strings by key:
+ *
+ *   {
+ *     name,                      // identifies the store in cross-tab messages
+ *     async,                     // true: getItem/setItem/removeItem return Promises
+ *     scope,                     // 'origin' (shared by all tabs) or 'tab'
+ *     getItem(key),              // string or null
+ *     setItem(key, value),
+ *     removeItem(key),
+ *     subscribe(key, callback)   // optional: call back when the key changes elsewhere
+ *   }
+ *
+ * Adapters touch browser APIs lazily, so importing this module is safe
+ * without a window (SSR, tests).
+ */
+
+let nextMemoryId = 1;
+
+function createWebStorageAdapter(name, scope) {
+  const getStorage = () => (typeof window === 'undefined' ? null : window[name]);
+
+  return {
+    name,
+    async: false,
+    scope,
+    getItem: (key) => getStorage()?.getItem(key) ?? null,
+    setItem: (key, value) => getStorage()?.setItem(key, value),
+    removeItem: (key) => getStorage()?.removeItem(key),
+    subscribe(key, callback) {
+      // storage events fire in the *other* tabs/frames sharing the storage
+      const handleStorage = (e) => {
+        if (e.storageArea !== getStorage()) return;
+        if (e.key === key || e.key === null) callback(); // null: storage was cleared
+      };
+      window.addEventListener('storage', handleStorage);
+      return () => window.removeEventListener('storage', handleStorage);
+    }
+  };
+}
+
+export const localStorageAdapter = createWebStorageAdapter('localStorage', 'origin');
+
+// sessionStorage is per tab, so values are never synced to other tabs
+export const sessionStorageAdapter = createWebStorageAdapter('sessionStorage', 'tab');
+
+/**
+ * In-memory store for tests and server rendering. Each call creates a separate store.
+ */
+export function createMemoryAdapter(initialValues = {}) {
+  const values = new Map(Object.entries(initialValues));
+  const listeners = new Map();
+
+  const notify = (key) => {
+    listeners.get(key)?.forEach(callback => callback());
+  };
+
+  return {
+    name: `memory-${nextMemoryId++}`,
+    async: false,
+    scope: 'tab',
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem(key, value) {
+      values.set(key, String(value));
+      notify(key);
+    },
+    removeItem(key) {
+      values.delete(key);
+      notify(key);
+    },
+    subscribe(key, callback) {
+      if (!listeners.has(key)) listeners.set(key, new Set());
+      listeners.get(key).add(callback);
+      return () => listeners.get(key).delete(callback);
+    }
+  };
+}
+
+/**
+ * IndexedDB store: asynchronous, and not limited to ~5MB like localStorage.
+ * Other tabs are kept in sync over BroadcastChannel.
+ */
+export function createIndexedDBAdapter({
+  databaseName = 'usePersistentState',
+  storeName = 'values',
+  indexedDB = typeof window === 'undefined' ? undefined : window.indexedDB
+} = {}) {
+  let database = null;
+
+  const openDatabase = () => {
+    if (!database) {
+      database = new Promise((resolve, reject) => {
+        if (!indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const request = indexedDB.open(databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // A failed open (blocked upgrade, private mode) is retried on the next call
+      database.catch(() => {
+        database = null;
+      });
+    }
+    return database;
+  };
+
+  const run = (mode, operation) => openDatabase().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }));
+
+  return {
+    name: `indexedDB:${databaseName}/${storeName}`,
+    async: true,
+    scope: 'origin',
+    getItem: (key) => run('readonly', store => store.get(key)).then(value => value ?? null),
+    setItem: (key, value) => run('readwrite', store => store.put(value, key)).then(() => undefined),
+    removeItem: (key) => run('readwrite', store => store.delete(key)).then(() => undefined)
+  };
+}
+
+export const indexedDBAdapter = createIndexedDBAdapter();
@@ -0,0 +1,85 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { createIndexedDBAdapter, createMemoryAdapter, localStorageAdapter, sessionStorageAdapter } from './storageAdapters';
+
+describe('storage adapters', () => {
+  afterEach(() => {
+    window.sessionStorage.clear();
+  });
+
+  it('reads and writes web storage', () => {
+    localStorageAdapter.setItem('a', '1');
+    sessionStorageAdapter.setItem('a', '2');
+
+    expect(window.localStorage.getItem('a')).toBe('1');
+    expect(sessionStorageAdapter.getItem('a')).toBe('2');
+
+    sessionStorageAdapter.removeItem('a');
+    expect(sessionStorageAdapter.getItem('a')).toBeNull();
+  });
+
+  it('only reports storage events for its own storage area and key', () => {
+    const callback = jest.fn();
+    const unsubscribe = sessionStorageAdapter.subscribe('a', callback);
+    const fire = (init) => window.dispatchEvent(new StorageEvent('storage', init));
+
+    fire({ key: 'a', storageArea: window.localStorage });
+    fire({ key: 'b', storageArea: window.sessionStorage });
+    fire({ key: 'a', storageArea: window.sessionStorage });
+    fire({ key: null, storageArea: window.sessionStorage });
+    unsubscribe();
+    fire({ key: 'a', storageArea: window.sessionStorage });
+
+    expect(callback).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps memory stores separate and notifies subscribers', () => {
+    const first = createMemoryAdapter({ a: '1' });
+    const second = createMemoryAdapter();
+    const callback = jest.fn();
+    first.subscribe('a', callback);
+
+    first.setItem('a', '2');
+    first.removeItem('a');
+
+    expect(first.name).not.toBe(second.name);
+    expect(first.getItem('a')).toBeNull();
+    expect(second.getItem('a')).toBeNull();
+    expect(callback).toHaveBeenCalledTimes(2);
+  });
+
+  it('stores values in IndexedDB', async () => {
+    const adapter = createIndexedDBAdapter({ indexedDB: new IDBFactory() });
+
+    expect(adapter.async).toBe(true);
+    await expect(adapter.getItem('notes')).resolves.toBeNull();
+
+    await adapter.setItem('notes', '"hello"');
+    await expect(adapter.getItem('notes')).resolves.toBe('"hello"');
+
+    await adapter.removeItem('notes');
+    await expect(adapter.getItem('notes')).resolves.toBeNull();
+  });
+
+  it('retries opening the database after a failure', async () => {
+    const factory = new IDBFactory();
+    const open = jest.spyOn(factory, 'open')
+      .mockImplementationOnce(() => {
+        const request = { error: new DOMException('Version change blocked', 'AbortError') };
+        setTimeout(() => request.onerror(), 0);
+        return request;
+      });
+    const adapter = createIndexedDBAdapter({ indexedDB: factory });
+
+    await expect(adapter.getItem('notes')).rejects.toThrow('Version change blocked');
+    await adapter.setItem('notes', '"second try"');
+
+    await expect(adapter.getItem('notes')).resolves.toBe('"second try"');
+    expect(open).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects when IndexedDB is not available', async () => {
+    const adapter = createIndexedDBAdapter({ indexedDB: null });
+
+    await expect(adapter.getItem('notes')).rejects.toThrow('IndexedDB is not available');
+  });
+});
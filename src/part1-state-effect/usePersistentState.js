@@ -0,0 +1,409 @@
+/**
+ * Custom Hook: usePersistentState
+ * Combines useState with useEffect for persistence (localStorage by default),
+ * kept in sync across browser tabs.
+ *
+ *   const [todos, setTodos] = usePersistentState('todos', []);
+ *   const [draft, setDraft] = usePersistentState('draft', {}, { conflict: mergeDraft });
+ *   const [prefs, setPrefs] = usePersistentState('prefs', DEFAULTS, {
+ *     version: 2,
+ *     migrations: { 1: addTheme, 2: renameColor },
+ *     validate: isPrefs,
+ *     onError: (error) => report(error)
+ *   });
+ *   const [notes, setNotes, { loading, saving, flush }] = usePersistentState('notes', '', {
+ *     storage: indexedDBAdapter,
+ *     debounce: 500
+ *   });
+ *
+ * Other tabs (and other hooks using the same key) are picked up through the
+ * adapter's own change events and, where available, a BroadcastChannel.
+ *
+ * Options (defaults can be set app-wide with a StorageProvider):
+ * - storage: where values live, see storageAdapters.js (default localStorage).
+ *   With an async adapter, `loading` is true and the state holds initialValue
+ *   until the stored value arrives. Edits made while loading are kept.
+ * - sync: listen for changes from elsewhere (default true)
+ * - conflict: (local, remote, { key, localTime, remoteTime }) => value
+ *   decides what to keep when a remote value arrives. Both times are when the
+ *   change was made, not when a debounced write saved it. The default,
+ *   lastWriteWins, keeps whichever change was made last. A merge function
+ *   should give the same result whichever side runs it, or tabs won't converge.
+ * - version / migrations / validate: see persistence.js. A stored value that
+ *   can't be read, parsed, migrated or validated is replaced by initialValue
+ *   (the stored data is left alone until the state changes).
+ * - serializer: { stringify, parse } (default JSON). richSerializer from
+ *   persistence.js also round-trips Dates, Maps and Sets.
+ * - compress: true, or the length in characters from which to compress
+ *   values (default off). Compressed values are read back either way.
+ * - debounce: wait until no change for this many ms before writing
+ * - throttle: write at most once per this many ms (ignored with debounce)
+ *   Pending writes are flushed when the page is hidden or unloaded, when
+ *   the component unmounts, and by calling `flush`. `saving` is true while a
+ *   write is scheduled or an async write hasn't finished.
+ * - onError: receives a PersistedStateError for each value that could not be
+ *   read or saved (reason 'quota' when storage is full); called from an
+ *   effect or timer, never during render. Defaults to console.error.
+ *
+ * A value received from elsewhere is never written or broadcast back, so
+ * tabs don't echo each other's updates.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { PersistedStateError, decodeValue, encodeValue, jsonSerializer } from './persistence';
+import { useStorageDefaults } from './StorageProvider';
+import { localStorageAdapter } from './storageAdapters';
+
+export const SYNC_CHANNEL_NAME = 'usePersistentState';
+
+export function lastWriteWins(local, remote, { localTime, remoteTime }) {
+  return remoteTime >= localTime ? remote : local;
+}
+
+function createSourceId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Tells this tab's messages apart from other tabs' for tab-scoped storage
+const TAB_ID = createSourceId();
+
+function readFailure(key, storage, cause) {
+  return new PersistedStateError(`Could not read "${key}" from ${storage.name}`, { key, reason: 'read', cause });
+}
+
+function isQuotaError(error) {
+  // Older Firefox uses its own name, older Safari only sets the legacy code
+  return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error?.code === 22;
+}
+
+function writeFailure(key, storage, serialized, cause) {
+  if (isQuotaError(cause)) {
+    return new PersistedStateError(
+      `Not enough space in ${storage.name} to save "${key}" (${serialized.length} characters)`,
+      { key, reason: 'quota', cause }
+    );
+  }
+  return new PersistedStateError(`Could not save "${key}" to ${storage.name}`, { key, reason: 'write', cause });
+}
+
+function logError(storage, error) {
+  const action = error.reason === 'write' || error.reason === 'quota' ? 'saving to' : 'reading from';
+  console.error(`Error ${action} ${storage.name}:`, error);
+}
+
+// Turns what's stored into { value, error, serialized }, falling back to initialValue
+function restore(serialized, initialValue, schema) {
+  const { value, error } = serialized === null ? { value: initialValue } : decodeValue(serialized, schema);
+
+  return {
+    value: error ? initialValue : value,
+    error: error || null,
+    // A migrated value differs from what's stored, so it gets written back in the new format
+    serialized: error || serialized === null ? encodeValue(initialValue, schema) : serialized
+  };
+}
+
+// Reads a synchronous adapter; a failed read counts like an unreadable value
+function readSync(storage, key, initialValue, schema) {
+  try {
+    return restore(storage.getItem(key), initialValue, schema);
+  } catch (error) {
+    return { ...restore(null, initialValue, schema), error: readFailure(key, storage, error) };
+  }
+}
+
+export function usePersistentState(key, initialValue, options = {}) {
+  const {
+    storage = localStorageAdapter,
+    sync = true,
+    conflict = lastWriteWins,
+    version,
+    migrations,
+    validate,
+    serializer = jsonSerializer,
+    compress = false,
+    debounce = 0,
+    throttle = 0,
+    onError = (error) => logError(storage, error)
+  } = { ...useStorageDefaults(), ...options };
+  const schema = { key, version, migrations, validate, serializer, compress };
+
+  // What this hook last wrote or received, and when that change was made;
+  // equal values are not written again
+  const lastWrite = useRef(null);
+  const loadError = useRef(null);
+  const initialState = useRef();
+  // The last state that came from storage or another tab rather than a local edit
+  const settledState = useRef();
+  // A scheduled write: { timer, time of the latest unsaved change }
+  const pendingWrite = useRef(null);
+  const writesInFlight = useRef(0);
+  const lastSaved = useRef(0);
+  // The key and adapter the state was last loaded from
+  const loadedFrom = useRef({ key, storage });
+
+  // State holds the current value
+  const [state, setState] = useState(() => {
+    if (storage.async) {
+      lastWrite.current = { serialized: encodeValue(initialValue, schema), time: 0 };
+      initialState.current = initialValue;
+      settledState.current = initialValue;
+      return initialValue;
+    }
+
+    // Initialize from storage if available
+    const restored = readSync(storage, key, initialValue, schema);
+    loadError.current = restored.error;
+    lastWrite.current = { serialized: restored.serialized, time: 0 };
+    settledState.current = restored.value;
+    return restored.value;
+  });
+  const [loading, setLoading] = useState(Boolean(storage.async));
+  const [saving, setSaving] = useState(false);
+
+  const [sourceId] = useState(createSourceId);
+  const channel = useRef(null);
+
+  // The sync listeners and write timers read these without resubscribing on every render
+  const latest = useRef({ key, storage, state, initialValue, conflict, schema, onError, loading });
+  useEffect(() => {
+    latest.current = { key, storage, state, initialValue, conflict, schema, onError, loading };
+  });
+
+  // True while a write is scheduled or an async write hasn't landed yet
+  const updateSaving = useCallback(() => {
+    setSaving(Boolean(pendingWrite.current) || writesInFlight.current > 0);
+  }, []);
+
+  // Writes the current state now (if it changed) and tells other tabs.
+  // `time` is when the change was made; a scheduled write passes its own.
+  const write = useCallback((time = Date.now()) => {
+    const { key: currentKey, storage: currentStorage, state: current, schema: currentSchema, loading: stillLoading } = latest.current;
+    if (stillLoading) return;
+
+    let serialized;
+    try {
+      serialized = encodeValue(current, currentSchema);
+    } catch (error) {
+      latest.current.onError(writeFailure(currentKey, currentStorage, '', error));
+      return;
+    }
+    if (serialized === lastWrite.current.serialized) return;
+
+    const previous = lastWrite.current;
+    lastWrite.current = { serialized, time };
+    lastSaved.current = Date.now();
+
+    const fail = (error) => {
+      // Not saved, so the next change or flush tries again
+      if (lastWrite.current.serialized === serialized) lastWrite.current = previous;
+      latest.current.onError(writeFailure(currentKey, currentStorage, serialized, error));
+    };
+    try {
+      const written = currentStorage.setItem(currentKey, serialized);
+      if (currentStorage.async) {
+        writesInFlight.current++;
+        written.catch(fail).finally(() => {
+          writesInFlight.current--;
+          updateSaving();
+        });
+      }
+    } catch (error) {
+      fail(error);
+      return;
+    }
+    channel.current?.postMessage({ key: currentKey, storage: currentStorage.name, tab: TAB_ID, serialized, time, source: sourceId });
+  }, [sourceId, updateSaving]);
+
+  const save = useCallback(() => {
+    const pending = pendingWrite.current;
+    clearTimeout(pending?.timer);
+    pendingWrite.current = null;
+    write(pending?.time);
+    updateSaving();
+  }, [write, updateSaving]);
+
+  // Effect: Report a value rejected on load
+  useEffect(() => {
+    if (loadError.current) {
+      latest.current.onError(loadError.current);
+      loadError.current = null;
+    }
+  }, []);
+
+  // Effect: Load again when the key or adapter changes, and from an async adapter.
+  // `latest` is updated too, so the save effect of this same commit already sees it.
+  useEffect(() => {
+    const switched = loadedFrom.current.key !== key || loadedFrom.current.storage !== storage;
+    loadedFrom.current = { key, storage };
+    // An edit still waiting for its debounce belongs to the old key
+    const flushPending = () => {
+      if (pendingWrite.current) save();
+    };
+
+    if (!storage.async) {
+      if (switched) {
+        const { value, error, serialized } = readSync(storage, key, latest.current.initialValue, latest.current.schema);
+        if (error) latest.current.onError(error);
+        lastWrite.current = { serialized, time: 0 };
+        settledState.current = value;
+        latest.current.state = value;
+        setState(value);
+      }
+      setLoading(false);
+      return flushPending;
+    }
+
+    // Hold writes until the new value is in
+    initialState.current = latest.current.state;
+    latest.current.loading = true;
+    setLoading(true);
+
+    let cancelled = false;
+    const finish = (restored) => {
+      if (cancelled) return;
+      const { state: current, initialValue: fallback, schema: currentSchema, onError: report } = latest.current;
+      const { value, error, serialized } = restored || restore(null, fallback, currentSchema);
+
+      if (error) report(error);
+      lastWrite.current = { serialized, time: 0 };
+      // Edits made while loading are newer than what was stored; the save effect writes them
+      if (current === initialState.current) {
+        settledState.current = value;
+        setState(value);
+      }
+      setLoading(false);
+    };
+
+    storage.getItem(key).then(
+      (serialized) => finish(restore(serialized, latest.current.initialValue, latest.current.schema)),
+      (error) => finish({ ...restore(null, latest.current.initialValue, latest.current.schema), error: readFailure(key, storage, error) })
+    );
+
+    return () => {
+      cancelled = true;
+      flushPending();
+    };
+  }, [key, storage, save]);
+
+  // Effect: Save to storage (and tell other tabs) whenever state changes,
+  // right away or on the debounce/throttle schedule
+  useEffect(() => {
+    if (loading) return;
+    // Nothing to wait for on a value that was just loaded or received: saving it
+    // is a no-op, or writes a migrated value back right away
+    if ((!debounce && !throttle) || state === settledState.current) {
+      save();
+      return;
+    }
+
+    const now = Date.now();
+    if (debounce) {
+      clearTimeout(pendingWrite.current?.timer);
+      pendingWrite.current = { timer: setTimeout(save, debounce), time: now };
+    } else if (pendingWrite.current) {
+      // The scheduled write picks up this change too
+      pendingWrite.current.time = now;
+    } else {
+      const wait = throttle - (now - lastSaved.current);
+      if (wait <= 0) {
+        save();
+      } else {
+        pendingWrite.current = { timer: setTimeout(save, wait), time: now };
+      }
+    }
+    updateSaving();
+  }, [key, state, version, storage, loading, debounce, throttle, save, updateSaving]);
+
+  // Effect: Flush a scheduled write before the page goes away or the component unmounts
+  useEffect(() => {
+    const flushPending = () => {
+      if (pendingWrite.current) save();
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flushPending();
+    };
+
+    window.addEventListener('beforeunload', flushPending);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('beforeunload', flushPending);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      flushPending();
+    };
+  }, [save]);
+
+  // Effect: Apply changes made in other tabs
+  useEffect(() => {
+    if (!sync) return undefined;
+
+    const receive = (serialized, remoteTime) => {
+      // The initial load picks up anything written in the meantime
+      if (latest.current.loading) return;
+      if (serialized === lastWrite.current.serialized) return;
+
+      const { state: local, initialValue: fallback, conflict: resolve, schema: currentSchema } = latest.current;
+      const { value: remote, error } = serialized === null ? { value: fallback } : decodeValue(serialized, currentSchema);
+      if (error) {
+        // Keep what we have rather than resetting on someone else's bad write
+        latest.current.onError(error);
+        return;
+      }
+
+      // An unsaved local change counts from when it was made
+      const localTime = pendingWrite.current?.time ?? lastWrite.current.time;
+      const resolved = resolve(local, remote, { key, localTime, remoteTime });
+      const { stringify } = currentSchema.serializer;
+      const resolvedSerialized = stringify(resolved);
+
+      if (resolvedSerialized === stringify(local)) return;
+      if (resolvedSerialized === stringify(remote)) {
+        // Adopted as-is: nothing new to write or broadcast
+        lastWrite.current = { serialized: encodeValue(resolved, currentSchema), time: remoteTime };
+      }
+      settledState.current = resolved;
+      setState(resolved);
+    };
+
+    // Re-read the key rather than trusting the event: if two tabs write at
+    // once, storage holds whichever landed last.
+    const handleChange = () => {
+      // A storage event doesn't say when the change was made. While a local
+      // change is unsaved, the other tab's message (which does) settles it.
+      if (pendingWrite.current && channel.current) return;
+      const time = Date.now();
+      const reportFailure = (error) => latest.current.onError(readFailure(key, storage, error));
+
+      if (storage.async) {
+        storage.getItem(key).then(serialized => receive(serialized, time), reportFailure);
+        return;
+      }
+      let serialized;
+      try {
+        serialized = storage.getItem(key);
+      } catch (error) {
+        reportFailure(error);
+        return;
+      }
+      receive(serialized, time);
+    };
+    const unsubscribe = storage.subscribe?.(key, handleChange);
+
+    if (typeof window.BroadcastChannel === 'function') {
+      channel.current = new window.BroadcastChannel(SYNC_CHANNEL_NAME);
+      channel.current.onmessage = ({ data }) => {
+        if (data.key !== key || data.storage !== storage.name || data.source === sourceId) return;
+        if (storage.scope === 'tab' && data.tab !== TAB_ID) return;
+        receive(data.serialized, data.time);
+      };
+    }
+
+    return () => {
+      unsubscribe?.();
+      channel.current?.close();
+      channel.current = null;
+    };
+  }, [key, sync, sourceId, storage]);
+
+  return [state, setState, { loading, saving, flush: save }];
+}
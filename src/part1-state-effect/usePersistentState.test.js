@@ -0,0 +1,514 @@
+import React from 'react';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { richSerializer } from './persistence';
+import { StorageProvider } from './StorageProvider';
+import { createMemoryAdapter, sessionStorageAdapter } from './storageAdapters';
+import { lastWriteWins, usePersistentState } from './usePersistentState';
+
+// Delivers messages to every other channel with the same name, synchronously
+class FakeBroadcastChannel {
+  static channels = [];
+  static sent = [];
+
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.channels.push(this);
+  }
+
+  postMessage(data) {
+    FakeBroadcastChannel.sent.push(data);
+    FakeBroadcastChannel.channels
+      .filter(channel => channel !== this && channel.name === this.name)
+      .forEach(channel => channel.onmessage?.({ data }));
+  }
+
+  close() {
+    FakeBroadcastChannel.channels = FakeBroadcastChannel.channels.filter(channel => channel !== this);
+  }
+}
+
+// What the browser does in *other* tabs when this one writes
+function writeFromAnotherTab(key, value) {
+  const newValue = value === null ? null : JSON.stringify(value);
+  act(() => {
+    if (newValue === null) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, newValue);
+    }
+    window.dispatchEvent(new StorageEvent('storage', { key, newValue, storageArea: window.localStorage }));
+  });
+}
+
+describe('usePersistentState sync', () => {
+  const originalBroadcastChannel = window.BroadcastChannel;
+
+  beforeEach(() => {
+    FakeBroadcastChannel.channels = [];
+    FakeBroadcastChannel.sent = [];
+  });
+
+  afterEach(() => {
+    window.BroadcastChannel = originalBroadcastChannel;
+    jest.useRealTimers();
+  });
+
+  it('picks up changes from storage events', () => {
+    const { result } = renderHook(() => usePersistentState('todos', []));
+
+    writeFromAnotherTab('todos', [{ id: 1, text: 'From tab B' }]);
+
+    expect(result.current[0]).toEqual([{ id: 1, text: 'From tab B' }]);
+  });
+
+  it('ignores storage events for other keys and other storage areas', () => {
+    const { result } = renderHook(() => usePersistentState('todos', []));
+
+    writeFromAnotherTab('other', ['x']);
+    act(() => {
+      window.dispatchEvent(new StorageEvent('storage', { key: 'todos', newValue: '["y"]', storageArea: window.sessionStorage }));
+    });
+
+    expect(result.current[0]).toEqual([]);
+  });
+
+  it('resets to the initial value when the key is removed elsewhere', () => {
+    window.localStorage.setItem('count', '3');
+    const { result } = renderHook(() => usePersistentState('count', 0));
+
+    writeFromAnotherTab('count', null);
+
+    expect(result.current[0]).toBe(0);
+  });
+
+  it('does not write a received value back', () => {
+    const { result } = renderHook(() => usePersistentState('count', 0));
+    const setItem = jest.spyOn(Storage.prototype, 'setItem');
+
+    writeFromAnotherTab('count', 7);
+
+    expect(result.current[0]).toBe(7);
+    // Only the simulated write from the other tab
+    expect(setItem).toHaveBeenCalledTimes(1);
+    setItem.mockRestore();
+  });
+
+  it('keeps hooks in sync over BroadcastChannel without echoing', () => {
+    window.BroadcastChannel = FakeBroadcastChannel;
+    const tabA = renderHook(() => usePersistentState('name', ''));
+    const tabB = renderHook(() => usePersistentState('name', ''));
+
+    act(() => tabA.result.current[1]('Ada'));
+
+    expect(tabB.result.current[0]).toBe('Ada');
+    expect(FakeBroadcastChannel.sent).toHaveLength(1);
+    expect(FakeBroadcastChannel.sent[0]).toMatchObject({ key: 'name', serialized: '"Ada"' });
+  });
+
+  it('uses a custom merge policy', () => {
+    window.BroadcastChannel = FakeBroadcastChannel;
+    const union = (local, remote) => [...new Set([...local, ...remote])].sort();
+    const tabA = renderHook(() => usePersistentState('tags', [], { conflict: union }));
+    const tabB = renderHook(() => usePersistentState('tags', [], { conflict: union }));
+
+    act(() => tabB.result.current[1](['b']));
+    act(() => tabA.result.current[1](['a']));
+
+    expect(tabA.result.current[0]).toEqual(['a', 'b']);
+    expect(tabB.result.current[0]).toEqual(['a', 'b']);
+  });
+
+  it('keeps the newer edit when an older one is saved later', () => {
+    jest.useFakeTimers();
+    window.BroadcastChannel = FakeBroadcastChannel;
+    const tabA = renderHook(() => usePersistentState('name', '', { debounce: 2000 }));
+    const tabB = renderHook(() => usePersistentState('name', '', { debounce: 2000 }));
+
+    act(() => tabB.result.current[1]('older'));
+    act(() => jest.advanceTimersByTime(1000));
+    act(() => tabA.result.current[1]('newer'));
+    // B saves first; its storage event must not settle the conflict by arrival time
+    act(() => jest.advanceTimersByTime(1000));
+    writeFromAnotherTab('name', 'older');
+
+    expect(tabA.result.current[0]).toBe('newer');
+
+    act(() => jest.advanceTimersByTime(1000));
+
+    expect(tabB.result.current[0]).toBe('newer');
+    expect(window.localStorage.getItem('name')).toBe('"newer"');
+  });
+
+  it('does not listen when sync is off', () => {
+    const { result } = renderHook(() => usePersistentState('count', 0, { sync: false }));
+
+    writeFromAnotherTab('count', 5);
+
+    expect(result.current[0]).toBe(0);
+  });
+});
+
+describe('usePersistentState versioning', () => {
+  const options = {
+    version: 1,
+    migrations: { 1: (count) => ({ count }) },
+    validate: (value) => Number.isInteger(value?.count)
+  };
+
+  it('migrates on load and writes the upgraded value back', () => {
+    window.localStorage.setItem('counter', '4');
+
+    const { result } = renderHook(() => usePersistentState('counter', { count: 0 }, options));
+
+    expect(result.current[0]).toEqual({ count: 4 });
+    expect(JSON.parse(window.localStorage.getItem('counter'))).toEqual({ __version: 1, value: { count: 4 } });
+  });
+
+  it('falls back to initialValue, reports the error and keeps the stored data', () => {
+    window.localStorage.setItem('counter', JSON.stringify({ __version: 1, value: { count: 'many' } }));
+    const onError = jest.fn();
+
+    const { result } = renderHook(() => usePersistentState('counter', { count: 0 }, { ...options, onError }));
+
+    expect(result.current[0]).toEqual({ count: 0 });
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0]).toMatchObject({ name: 'PersistedStateError', key: 'counter', reason: 'validate' });
+    expect(window.localStorage.getItem('counter')).toBe('{"__version":1,"value":{"count":"many"}}');
+  });
+
+  it('logs rejected values when no onError is given', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.localStorage.setItem('counter', '{oops');
+
+    renderHook(() => usePersistentState('counter', { count: 0 }, options));
+
+    expect(console.error).toHaveBeenCalledWith('Error reading from localStorage:', expect.objectContaining({ reason: 'parse' }));
+    console.error.mockRestore();
+  });
+
+  it('migrates values written by another tab and ignores ones it cannot read', () => {
+    const onError = jest.fn();
+    const { result } = renderHook(() => usePersistentState('counter', { count: 0 }, { ...options, onError }));
+
+    writeFromAnotherTab('counter', 9);
+    expect(result.current[0]).toEqual({ count: 9 });
+
+    writeFromAnotherTab('counter', { __version: 2, value: {} });
+    expect(result.current[0]).toEqual({ count: 9 });
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ reason: 'migrate', fromVersion: 2 }));
+  });
+});
+
+// A memory store whose reads resolve only when the test says so
+function createDeferredAdapter(initialValues = {}) {
+  const memory = createMemoryAdapter(initialValues);
+  const reads = [];
+
+  return {
+    ...memory,
+    async: true,
+    reads,
+    getItem: (key) => new Promise((resolve, reject) => reads.push({ resolve: () => resolve(memory.getItem(key)), reject })),
+    setItem: (key, value) => Promise.resolve(memory.setItem(key, value)),
+    removeItem: (key) => Promise.resolve(memory.removeItem(key)),
+    peek: (key) => memory.getItem(key)
+  };
+}
+
+describe('usePersistentState storage adapters', () => {
+  const originalBroadcastChannel = window.BroadcastChannel;
+
+  beforeEach(() => {
+    FakeBroadcastChannel.channels = [];
+    FakeBroadcastChannel.sent = [];
+  });
+
+  afterEach(() => {
+    window.BroadcastChannel = originalBroadcastChannel;
+    window.sessionStorage.clear();
+  });
+
+  it('reads and writes the chosen adapter instead of localStorage', () => {
+    const storage = createMemoryAdapter({ count: '2' });
+    const { result } = renderHook(() => usePersistentState('count', 0, { storage }));
+
+    act(() => result.current[1](3));
+
+    expect(result.current[0]).toBe(3);
+    expect(result.current[2]).toMatchObject({ loading: false });
+    expect(storage.getItem('count')).toBe('3');
+    expect(window.localStorage.getItem('count')).toBeNull();
+  });
+
+  it('keeps hooks sharing a memory adapter in sync', () => {
+    const storage = createMemoryAdapter();
+    const first = renderHook(() => usePersistentState('name', '', { storage }));
+    const second = renderHook(() => usePersistentState('name', '', { storage }));
+
+    act(() => first.result.current[1]('Ada'));
+
+    expect(second.result.current[0]).toBe('Ada');
+  });
+
+  it('takes its defaults from the nearest StorageProvider', () => {
+    const storage = createMemoryAdapter({ count: '5' });
+    const wrapper = ({ children }) => <StorageProvider storage={storage}>{children}</StorageProvider>;
+
+    const { result } = renderHook(() => usePersistentState('count', 0), { wrapper });
+    const local = renderHook(() => usePersistentState('count', 0, { storage: sessionStorageAdapter }), { wrapper });
+
+    expect(result.current[0]).toBe(5);
+    expect(local.result.current[0]).toBe(0);
+  });
+
+  it('does not sync sessionStorage values from other tabs', () => {
+    window.BroadcastChannel = FakeBroadcastChannel;
+    const { result } = renderHook(() => usePersistentState('draft', '', { storage: sessionStorageAdapter }));
+
+    act(() => {
+      FakeBroadcastChannel.sent.length = 0;
+      new FakeBroadcastChannel('usePersistentState').postMessage({
+        key: 'draft', storage: 'sessionStorage', tab: 'another-tab', serialized: '"theirs"', time: Date.now(), source: 'x'
+      });
+    });
+
+    expect(result.current[0]).toBe('');
+  });
+
+  it('ignores messages about the same key in a different store', () => {
+    window.BroadcastChannel = FakeBroadcastChannel;
+    const local = renderHook(() => usePersistentState('draft', ''));
+    const session = renderHook(() => usePersistentState('draft', '', { storage: sessionStorageAdapter }));
+
+    act(() => session.result.current[1]('session only'));
+
+    expect(local.result.current[0]).toBe('');
+    expect(window.localStorage.getItem('draft')).toBeNull();
+  });
+
+  it('is loading until an async adapter answers', async () => {
+    const storage = createDeferredAdapter({ notes: '"saved"' });
+    const { result } = renderHook(() => usePersistentState('notes', '', { storage }));
+
+    expect(result.current[0]).toBe('');
+    expect(result.current[2].loading).toBe(true);
+
+    await act(async () => storage.reads[0].resolve());
+
+    expect(result.current[0]).toBe('saved');
+    expect(result.current[2].loading).toBe(false);
+  });
+
+  it('keeps edits made while loading and saves them once loaded', async () => {
+    const storage = createDeferredAdapter({ notes: '"saved"' });
+    const { result } = renderHook(() => usePersistentState('notes', '', { storage }));
+
+    act(() => result.current[1]('typed early'));
+    expect(storage.peek('notes')).toBe('"saved"');
+
+    await act(async () => storage.reads[0].resolve());
+
+    expect(result.current[0]).toBe('typed early');
+    await waitFor(() => expect(storage.peek('notes')).toBe('"typed early"'));
+  });
+
+  it('loads again when the key changes, without writing the old value under the new key', async () => {
+    const storage = createDeferredAdapter({ first: '"one"', second: '"two"' });
+    const { result, rerender } = renderHook(({ key }) => usePersistentState(key, '', { storage }), {
+      initialProps: { key: 'first' }
+    });
+    await act(async () => storage.reads[0].resolve());
+    expect(result.current[0]).toBe('one');
+
+    rerender({ key: 'second' });
+
+    expect(result.current[2].loading).toBe(true);
+    expect(storage.peek('second')).toBe('"two"');
+
+    await act(async () => storage.reads[1].resolve());
+
+    expect(result.current[0]).toBe('two');
+    expect(result.current[2].loading).toBe(false);
+    expect(storage.peek('second')).toBe('"two"');
+  });
+
+  it('reads the new key of a synchronous adapter and keeps its value', () => {
+    window.localStorage.setItem('first', '"one"');
+    window.localStorage.setItem('second', '"two"');
+    const { result, rerender } = renderHook(({ key }) => usePersistentState(key, ''), {
+      initialProps: { key: 'first' }
+    });
+
+    rerender({ key: 'second' });
+    expect(result.current[0]).toBe('two');
+    expect(window.localStorage.getItem('second')).toBe('"two"');
+
+    act(() => result.current[1]('two-edited'));
+
+    expect(window.localStorage.getItem('first')).toBe('"one"');
+    expect(window.localStorage.getItem('second')).toBe('"two-edited"');
+  });
+
+  it('saves a debounced edit under the key it was made for', () => {
+    const storage = createMemoryAdapter({ first: '"one"' });
+    const { result, rerender } = renderHook(({ key }) => usePersistentState(key, '', { storage, debounce: 5000 }), {
+      initialProps: { key: 'first' }
+    });
+
+    act(() => result.current[1]('one-edited'));
+    rerender({ key: 'second' });
+
+    expect(storage.getItem('first')).toBe('"one-edited"');
+    expect(storage.getItem('second')).toBeNull();
+    expect(result.current[0]).toBe('');
+  });
+
+  it('reports a failed async read and starts from initialValue', async () => {
+    const storage = createDeferredAdapter();
+    const onError = jest.fn();
+    const { result } = renderHook(() => usePersistentState('notes', 'empty', { storage, onError }));
+
+    await act(async () => storage.reads[0].reject(new Error('blocked')));
+
+    expect(result.current[0]).toBe('empty');
+    expect(result.current[2].loading).toBe(false);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ reason: 'read', key: 'notes' }));
+    expect(onError.mock.calls[0][0].cause.message).toBe('blocked');
+  });
+});
+
+describe('usePersistentState writes', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const typeInto = (result, ...values) => values.forEach(value => act(() => result.current[1](value)));
+
+  it('debounces writes', () => {
+    jest.useFakeTimers();
+    const setItem = jest.spyOn(Storage.prototype, 'setItem');
+    const { result } = renderHook(() => usePersistentState('name', '', { debounce: 300 }));
+
+    typeInto(result, 'A', 'Ad', 'Ada');
+    expect(setItem).not.toHaveBeenCalled();
+
+    act(() => jest.advanceTimersByTime(300));
+
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(window.localStorage.getItem('name')).toBe('"Ada"');
+  });
+
+  it('reports saving until a scheduled write lands', async () => {
+    jest.useFakeTimers();
+    const storage = createDeferredAdapter();
+    const { result } = renderHook(() => usePersistentState('name', '', { storage, debounce: 300 }));
+    await act(async () => storage.reads[0].resolve());
+    expect(result.current[2].saving).toBe(false);
+
+    typeInto(result, 'Ada');
+    expect(result.current[2].saving).toBe(true);
+
+    await act(async () => jest.advanceTimersByTime(300));
+
+    expect(storage.peek('name')).toBe('"Ada"');
+    expect(result.current[2].saving).toBe(false);
+  });
+
+  it('throttles writes, keeping the first and the last change', () => {
+    jest.useFakeTimers();
+    const setItem = jest.spyOn(Storage.prototype, 'setItem');
+    const { result } = renderHook(() => usePersistentState('name', '', { throttle: 1000 }));
+
+    typeInto(result, 'A', 'Ad', 'Ada');
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(window.localStorage.getItem('name')).toBe('"A"');
+
+    act(() => jest.advanceTimersByTime(1000));
+
+    expect(setItem).toHaveBeenCalledTimes(2);
+    expect(window.localStorage.getItem('name')).toBe('"Ada"');
+  });
+
+  it('flushes a pending write when the page is hidden', () => {
+    jest.useFakeTimers();
+    jest.spyOn(document, 'visibilityState', 'get').mockReturnValue('hidden');
+    const { result } = renderHook(() => usePersistentState('name', '', { debounce: 5000 }));
+
+    typeInto(result, 'Ada');
+    act(() => {
+      document.dispatchEvent(new Event('visibilitychange'));
+    });
+
+    expect(window.localStorage.getItem('name')).toBe('"Ada"');
+  });
+
+  it('flushes on beforeunload, on unmount and on request', () => {
+    jest.useFakeTimers();
+    const { result, unmount } = renderHook(() => usePersistentState('name', '', { debounce: 5000 }));
+
+    typeInto(result, 'A');
+    act(() => {
+      window.dispatchEvent(new Event('beforeunload'));
+    });
+    expect(window.localStorage.getItem('name')).toBe('"A"');
+
+    typeInto(result, 'Ad');
+    act(() => result.current[2].flush());
+    expect(window.localStorage.getItem('name')).toBe('"Ad"');
+
+    typeInto(result, 'Ada');
+    unmount();
+    expect(window.localStorage.getItem('name')).toBe('"Ada"');
+  });
+
+  it('round-trips Dates, Maps and Sets with a custom serializer', () => {
+    const options = { serializer: richSerializer };
+    const first = renderHook(() => usePersistentState('seen', new Map(), options));
+
+    act(() => first.result.current[1](new Map([['post', new Set([new Date(0)])]])));
+    first.unmount();
+    const { result } = renderHook(() => usePersistentState('seen', new Map(), options));
+
+    expect(result.current[0]).toEqual(new Map([['post', new Set([new Date(0)])]]));
+  });
+
+  it('reports a full storage to the caller and retries on the next flush', () => {
+    const onError = jest.fn();
+    const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementationOnce(() => {
+      throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+    });
+    const { result } = renderHook(() => usePersistentState('name', '', { onError }));
+
+    typeInto(result, 'Ada');
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0]).toMatchObject({ name: 'PersistedStateError', key: 'name', reason: 'quota' });
+    expect(onError.mock.calls[0][0].message).toBe('Not enough space in localStorage to save "name" (5 characters)');
+    expect(window.localStorage.getItem('name')).toBeNull();
+
+    act(() => result.current[2].flush());
+
+    expect(setItem).toHaveBeenCalledTimes(2);
+    expect(window.localStorage.getItem('name')).toBe('"Ada"');
+  });
+
+  it('reports other write failures with reason "write"', () => {
+    const onError = jest.fn();
+    const circular = {};
+    circular.self = circular;
+    const { result } = renderHook(() => usePersistentState('data', {}, { onError }));
+
+    typeInto(result, circular);
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ reason: 'write', key: 'data' }));
+  });
+});
+
+describe('lastWriteWins', () => {
+  it('keeps the newer value', () => {
+    expect(lastWriteWins('local', 'remote', { localTime: 1, remoteTime: 2 })).toBe('remote');
+    expect(lastWriteWins('local', 'remote', { localTime: 3, remoteTime: 2 })).toBe('local');
+  });
+});
@@ -11,7 +11,23 @@
  * - Demonstrate performance difference with/without optimization
  */
 
-import React, { useState, useMemo, memo } from 'react';
+import React, { useState, useMemo, useReducer } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { VirtualList } from './VirtualList';
+import { canUseWorkers, useListQuery } from './useListQuery';
+import { DEFAULT_VIEW, viewFromSearchParams, viewToSearchParams } from './listView';
+import { FilterBuilder, SavedViews, SortBuilder } from './ListViewControls';
+import { RenderProfiler, profiled } from './RenderProfiler';
+
+const DATASET_SIZES = [500, 10000, 50000];
+const LIST_HEIGHT = 400;
+const ROW_HEIGHT = 40;
+const DETAILED_ROW_HEIGHT = 60;
+
+// Variable height mode: category B rows show an extra line
+const isDetailed = (item) => item.category === 'B';
+const getRowHeight = (item) => (isDetailed(item) ? DETAILED_ROW_HEIGHT : ROW_HEIGHT);
+const getItemId = (item) => item.id;
 
 // WITHOUT OPTIMIZATION (Commented for reference)
 // This component rerenders every parent update
@@ -26,12 +42,16 @@ import React, { useState, useMemo, memo } from 'react';
 // }
 
 // WITH OPTIMIZATION: React.memo prevents re-renders when props don't change
-const ListItem = memo(function ListItem({ item, onDelete }) {
-  console.log('Rendering item:', item.id); // Now only logs when this item's props change
-  
+// (profiled() applies memo; switch it off in the Render Profiler to compare)
+const ListItem = profiled('ListItem', function ListItem({ item, onDelete, detailed = false }) {
   return (
-    <div style={{ padding: '8px', borderBottom: '1px solid #eee', display: 'flex', justifyContent: 'space-between' }}>
-      <span>{item.id}: {item.name} (Score: {item.score})</span>
+    <div style={{ padding: '8px', borderBottom: '1px solid #eee', display: 'flex', justifyContent: 'space-between', boxSizing: 'border-box', height: '100%' }}>
+      <span>
+        {item.id}: {item.name} (Score: {item.score})
+        {detailed && (
+          <small style={{ display: 'block', color: '#666' }}>Category {item.category} · featured</small>
+        )}
+      </span>
       <button onClick={() => onDelete(item.id)}>Delete</button>
     </div>
   );
@@ -53,11 +73,12 @@ function generateMockItems(count = 1000) {
  * Main Component: LaggyList with Optimization
  */
 export function LaggyList() {
-  const [items, setItems] = useState(() => generateMockItems(500));
-  const [filterText, setFilterText] = useState('');
-  const [filterCategory, setFilterCategory] = useState('');
-  const [sortBy, setSortBy] = useState('id');
-  const [renderCount, setRenderCount] = useState(0);
+  const [datasetSize, setDatasetSize] = useState(DATASET_SIZES[0]);
+  const [items, setItems] = useState(() => generateMockItems(DATASET_SIZES[0]));
+  const [virtualized, setVirtualized] = useState(true);
+  const [variableHeight, setVariableHeight] = useState(false);
+  const [offload, setOffload] = useState(false);
+  const [, forceRerender] = useReducer(count => count + 1, 0);
 
   // WITHOUT useMemo: This would be recalculated on every parent render!
   // const filteredAndSorted = items
@@ -73,78 +94,144 @@ export function LaggyList() {
   //     return 0;
   //   });
 
-  // WITH useMemo: Only recalculate when dependencies change
-  const filteredAndSorted = useMemo(() => {
-    console.log('Recalculating filtered list...');
-    
-    const filtered = items
-      .filter(item => {
-        const matchesText = item.name.toLowerCase().includes(filterText.toLowerCase());
-        const matchesCategory = !filterCategory || item.category === filterCategory;
-        return matchesText && matchesCategory;
-      });
-
-    const sorted = filtered.sort((a, b) => {
-      if (sortBy === 'id') return a.id - b.id;
-      if (sortBy === 'name') return a.name.localeCompare(b.name);
-      if (sortBy === 'score') return b.score - a.score;
-      return 0;
-    });
-
-    return sorted;
-  }, [items, filterText, filterCategory, sortBy]);
+  // The view (filters + sort) lives in the URL, so it survives reloads and can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const view = useMemo(() => viewFromSearchParams(searchParams), [searchParams]);
+
+  // Typing shouldn't add a history entry per keystroke
+  const updateView = (patch) => {
+    setSearchParams(viewToSearchParams({ ...view, ...patch }), { replace: true });
+  };
+  const loadView = (nextView) => {
+    setSearchParams(viewToSearchParams(nextView));
+  };
+
+  // WITH useMemo: Only recalculate when dependencies change.
+  // useListQuery memoizes on the main thread, or hands the work to a Web Worker.
+  const { items: filteredAndSorted, stats, pending, mode } = useListQuery(items, view, { offload });
 
   const handleDelete = (id) => {
     setItems(items.filter(item => item.id !== id));
   };
 
-  const stats = useMemo(() => ({
-    total: items.length,
-    filtered: filteredAndSorted.length,
-    avgScore: Math.round(items.reduce((sum, item) => sum + item.score, 0) / items.length),
-    categories: [...new Set(items.map(item => item.category))]
-  }), [items, filteredAndSorted]);
+  const handleDatasetSizeChange = (size) => {
+    setDatasetSize(size);
+    setItems(generateMockItems(size));
+  };
 
   return (
-    <div style={{ padding: '20px', border: '1px solid blue', maxHeight: '600px', overflow: 'hidden', display: 'flex', flexDirection: 'column' }}>
+    <div style={{ padding: '20px', border: '1px solid blue', display: 'flex', flexDirection: 'column' }}>
       <h3>Exercise 2.1: The Laggy List (Optimized)</h3>
 
       <div style={{ marginBottom: '10px' }}>
         <p>Total Items: {stats.total} | Filtered: {stats.filtered} | Avg Score: {stats.avgScore}</p>
         <p>Categories: {stats.categories.join(', ')}</p>
+        <p data-testid="query-mode">
+          Computed on: {mode === 'worker' ? 'Web Worker' : 'main thread'}
+          {offload && !canUseWorkers() && ' (Web Workers unavailable)'}
+          {pending && ' · updating…'}
+        </p>
       </div>
 
       <div style={{ marginBottom: '10px', display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
         <input
           type="text"
           placeholder="Filter by name..."
-          value={filterText}
-          onChange={(e) => setFilterText(e.target.value)}
+          value={view.filterText}
+          onChange={(e) => updateView({ filterText: e.target.value })}
         />
 
-        <select value={filterCategory} onChange={(e) => setFilterCategory(e.target.value)}>
+        <select value={view.filterCategory} onChange={(e) => updateView({ filterCategory: e.target.value })}>
           <option value="">All Categories</option>
           <option value="A">Category A</option>
           <option value="B">Category B</option>
           <option value="C">Category C</option>
         </select>
 
-        <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
-          <option value="id">Sort by ID</option>
-          <option value="name">Sort by Name</option>
-          <option value="score">Sort by Score</option>
-        </select>
-
-        <button onClick={() => setRenderCount(renderCount + 1)}>
-          Force Rerender ({renderCount})
+        <label>
+          Score from{' '}
+          <input
+            type="number"
+            min="0"
+            max="99"
+            value={view.minScore}
+            onChange={(e) => updateView({ minScore: e.target.value })}
+            aria-label="Minimum score"
+            style={{ width: '60px' }}
+          />
+        </label>
+        <label>
+          to{' '}
+          <input
+            type="number"
+            min="0"
+            max="99"
+            value={view.maxScore}
+            onChange={(e) => updateView({ maxScore: e.target.value })}
+            aria-label="Maximum score"
+            style={{ width: '60px' }}
+          />
+        </label>
+
+        <button onClick={forceRerender}>
+          Force Rerender
         </button>
       </div>
 
-      <div style={{ flex: 1, overflow: 'auto', border: '1px solid #ddd', borderRadius: '4px' }}>
-        {filteredAndSorted.map(item => (
-          <ListItem key={item.id} item={item} onDelete={handleDelete} />
-        ))}
+      <div style={{ marginBottom: '10px', display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'flex-start' }}>
+        <SortBuilder sort={view.sort} onChange={(sort) => updateView({ sort })} />
+        <FilterBuilder conditions={view.conditions} match={view.match} onChange={updateView} />
       </div>
+
+      <div style={{ marginBottom: '10px', display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center' }}>
+        <SavedViews view={view} onLoad={loadView} />
+        <button onClick={() => loadView(DEFAULT_VIEW)}>Reset view</button>
+      </div>
+
+      <div style={{ marginBottom: '10px', display: 'flex', gap: '15px', flexWrap: 'wrap', alignItems: 'center' }}>
+        <label>
+          Items:{' '}
+          <select
+            value={datasetSize}
+            onChange={(e) => handleDatasetSizeChange(Number(e.target.value))}
+          >
+            {DATASET_SIZES.map(size => (
+              <option key={size} value={size}>{size.toLocaleString()}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={virtualized} onChange={(e) => setVirtualized(e.target.checked)} />
+          {' '}Virtualized
+        </label>
+        <label>
+          <input type="checkbox" checked={variableHeight} onChange={(e) => setVariableHeight(e.target.checked)} />
+          {' '}Variable row height
+        </label>
+        <label>
+          <input type="checkbox" checked={offload} onChange={(e) => setOffload(e.target.checked)} />
+          {' '}Filter in Web Worker
+        </label>
+      </div>
+
+      {virtualized ? (
+        <VirtualList
+          items={filteredAndSorted}
+          height={LIST_HEIGHT}
+          itemHeight={variableHeight ? getRowHeight : ROW_HEIGHT}
+          getItemKey={getItemId}
+          aria-label="Items"
+          renderItem={(item) => (
+            <ListItem item={item} onDelete={handleDelete} detailed={variableHeight && isDetailed(item)} />
+          )}
+        />
+      ) : (
+        <div style={{ height: LIST_HEIGHT, overflow: 'auto', border: '1px solid #ddd', borderRadius: '4px' }} data-testid="full-list">
+          {filteredAndSorted.map(item => (
+            <ListItem key={item.id} item={item} onDelete={handleDelete} detailed={variableHeight && isDetailed(item)} />
+          ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -156,8 +243,13 @@ export function Exercise21Complete() {
   return (
     <div style={{ padding: '20px', backgroundColor: '#f5f5f5' }}>
       <h2>Exercise 2.1: The Laggy List (useMemo & React.memo)</h2>
-      <p>✅ Open browser console to see optimization in action. With memo, items only log when their props change!</p>
-      <LaggyList />
+      <p>✅ Open the <strong>Render Profiler</strong> (bottom right) to see optimization in action. With memo, items only re-render when their props change!</p>
+      <p>🪟 Switch to 50,000 items and compare <strong>Virtualized</strong> (only visible rows are mounted) with full rendering.
+        Click a row or focus the list and use the arrow keys, Page Up/Down, Home and End.</p>
+      <p>🧵 Tick <strong>Filter in Web Worker</strong> to move filtering, sorting and stats off the main thread, then type quickly in the filter.</p>
+      <RenderProfiler components={['ListItem']}>
+        <LaggyList />
+      </RenderProfiler>
     </div>
   );
 }
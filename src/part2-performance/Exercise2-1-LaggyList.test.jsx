@@ -0,0 +1,165 @@
+import React from 'react';
+import { cleanup, render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, useLocation } from 'react-router-dom';
+import { LaggyList } from './Exercise2-1-LaggyList';
+
+function LocationDisplay() {
+  const location = useLocation();
+  return <div data-testid="location">{location.search}</div>;
+}
+
+function renderList(url = '/') {
+  return render(
+    <MemoryRouter initialEntries={[url]}>
+      <LaggyList />
+      <LocationDisplay />
+    </MemoryRouter>
+  );
+}
+
+const getRows = () => within(screen.getByRole('grid', { name: 'Items' })).getAllByRole('row');
+const getScores = () => getRows().map(row => Number(row.textContent.match(/Score: (\d+)/)[1]));
+
+describe('LaggyList', () => {
+  beforeEach(() => {
+    // useListQuery logs every recalculation on purpose (it's the point of the exercise)
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('virtualizes by default and can render everything instead', () => {
+    renderList();
+
+    expect(screen.getByRole('grid', { name: 'Items' })).toBeInTheDocument();
+    expect(screen.getAllByText('Delete').length).toBeLessThan(30);
+
+    userEvent.click(screen.getByLabelText('Virtualized'));
+
+    expect(screen.queryByRole('grid')).not.toBeInTheDocument();
+    expect(screen.getAllByText('Delete')).toHaveLength(500);
+  });
+
+  it('keeps the mounted row count small for 50,000 items', () => {
+    renderList();
+
+    userEvent.selectOptions(screen.getByLabelText(/Items:/), '50000');
+
+    expect(screen.getByText(/Total Items: 50000/)).toBeInTheDocument();
+    const list = screen.getByRole('grid', { name: 'Items' });
+    expect(within(list).getAllByRole('row').length).toBeLessThan(30);
+  });
+
+  it('filters the virtualized rows', () => {
+    renderList();
+
+    userEvent.type(screen.getByPlaceholderText('Filter by name...'), 'Item 42');
+
+    // Item 42 and Item 420-429
+    const rows = getRows();
+    expect(rows).toHaveLength(11);
+    expect(rows[0]).toHaveTextContent('42: Item 42 ');
+    expect(screen.getByText(/Filtered: 11 /)).toBeInTheDocument();
+  });
+
+  it('falls back to the main thread when Web Workers are unavailable', () => {
+    renderList();
+
+    userEvent.click(screen.getByLabelText('Filter in Web Worker'));
+    userEvent.type(screen.getByPlaceholderText('Filter by name...'), 'Item 42');
+
+    expect(screen.getByTestId('query-mode')).toHaveTextContent('Computed on: main thread (Web Workers unavailable)');
+    expect(screen.getByText(/Filtered: 11 /)).toBeInTheDocument();
+  });
+
+  it('writes the view to the URL and restores it from there', () => {
+    renderList();
+
+    userEvent.type(screen.getByPlaceholderText('Filter by name...'), 'Item 42');
+    userEvent.type(screen.getByLabelText('Minimum score'), '0');
+
+    expect(screen.getByTestId('location')).toHaveTextContent('?q=Item+42&min=0');
+
+    cleanup();
+    renderList('/?q=Item+42&min=0');
+
+    expect(screen.getByPlaceholderText('Filter by name...')).toHaveValue('Item 42');
+    expect(screen.getByLabelText('Minimum score')).toHaveValue(0);
+    expect(getRows()).toHaveLength(11);
+  });
+
+  it('filters by score range', () => {
+    renderList('/?min=40&max=60');
+
+    const scores = getScores();
+    expect(scores.length).toBeGreaterThan(0);
+    scores.forEach(score => {
+      expect(score).toBeGreaterThanOrEqual(40);
+      expect(score).toBeLessThanOrEqual(60);
+    });
+  });
+
+  it('sorts by several keys', () => {
+    renderList();
+
+    userEvent.selectOptions(screen.getByLabelText('Sort key 1'), 'score');
+    userEvent.click(screen.getByLabelText('Sort direction 1'));
+    userEvent.click(screen.getByText('+ Add sort key'));
+
+    expect(screen.getByTestId('location')).toHaveTextContent('sort=score%3Adesc%2Cid%3Aasc');
+    const scores = getScores();
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+  });
+
+  it('applies builder conditions', () => {
+    renderList();
+
+    userEvent.click(screen.getByText('+ Add condition'));
+    userEvent.selectOptions(screen.getByLabelText('Condition 1 field'), 'id');
+    userEvent.selectOptions(screen.getByLabelText('Condition 1 operator'), 'lte');
+    userEvent.type(screen.getByLabelText('Condition 1 value'), '3');
+
+    expect(getRows()).toHaveLength(3);
+    expect(screen.getByText(/Filtered: 3 /)).toBeInTheDocument();
+  });
+
+  it('saves and loads named views', () => {
+    renderList();
+
+    userEvent.type(screen.getByPlaceholderText('Filter by name...'), 'Item 42');
+    userEvent.type(screen.getByLabelText('View name'), 'Forties');
+    userEvent.click(screen.getByText('Save view'));
+
+    expect(JSON.parse(window.localStorage.getItem('laggyListViews'))).toEqual({
+      __version: 1,
+      value: [{ name: 'Forties', view: expect.objectContaining({ filterText: 'Item 42' }) }]
+    });
+
+    userEvent.click(screen.getByText('Reset view'));
+    expect(screen.getByPlaceholderText('Filter by name...')).toHaveValue('');
+
+    userEvent.selectOptions(screen.getByLabelText('Saved views'), 'Forties');
+    expect(screen.getByPlaceholderText('Filter by name...')).toHaveValue('Item 42');
+    expect(getRows()).toHaveLength(11);
+  });
+
+  it('keeps views saved before versioning and ignores malformed ones', () => {
+    window.localStorage.setItem('laggyListViews', JSON.stringify([{ name: 'Old', view: { filterText: 'Item 7' } }]));
+    const { unmount } = renderList();
+
+    userEvent.selectOptions(screen.getByLabelText('Saved views'), 'Old');
+    expect(screen.getByPlaceholderText('Filter by name...')).toHaveValue('Item 7');
+    unmount();
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.localStorage.setItem('laggyListViews', JSON.stringify({ name: 'not a list' }));
+    renderList();
+
+    expect(screen.getByPlaceholderText('Filter by name...')).toBeInTheDocument();
+    expect(console.error).toHaveBeenCalledWith('Error reading from localStorage:', expect.objectContaining({ reason: 'validate' }));
+    console.error.mockRestore();
+  });
+});
@@ -11,15 +11,14 @@
  * - Demonstrate when useCallback is necessary
  */
 
-import React, { useState, useCallback, memo } from 'react';
+import React, { useState, useCallback } from 'react';
+import { RenderProfiler, profiled } from './RenderProfiler';
 
 /**
- * Child Component: SearchFilter (optimized with React.memo)
+ * Child Component: SearchFilter (optimized with React.memo via profiled())
  * Without useCallback in parent, this would re-render every time parent updates
  */
-const SearchFilter = memo(function SearchFilter({ onSearch, placeholder, value }) {
-  console.log('SearchFilter rendering...');
-  
+const SearchFilter = profiled('SearchFilter', function SearchFilter({ onSearch, placeholder, value }) {
   return (
     <input
       type="text"
@@ -34,9 +33,7 @@ const SearchFilter = memo(function SearchFilter({ onSearch, placeholder, value }
 /**
  * Child Component: Button with Callback
  */
-const ActionButton = memo(function ActionButton({ label, onClick, color = '#51cf66' }) {
-  console.log('ActionButton rendering:', label);
-  
+const ActionButton = profiled('ActionButton', function ActionButton({ label, onClick, color = '#51cf66' }) {
   return (
     <button
       onClick={onClick}
@@ -58,9 +55,7 @@ const ActionButton = memo(function ActionButton({ label, onClick, color = '#51cf
 /**
  * Child Component: List of items
  */
-const ItemList = memo(function ItemList({ items, onItemClick, selectedId }) {
-  console.log('ItemList rendering...');
-  
+const ItemList = profiled('ItemList', function ItemList({ items, onItemClick, selectedId }) {
   return (
     <div style={{ border: '1px solid #ddd', padding: '10px', maxHeight: '300px', overflow: 'auto' }}>
       {items.length === 0 ? (
@@ -146,7 +141,7 @@ export function StabilizationDemo() {
         <p><strong>Stats:</strong></p>
         <p>Search Count: {stats.searches} | Click Count: {stats.clicks}</p>
         <p style={{ fontSize: '12px', color: '#666' }}>
-          Open console to see that child components only re-render when necessary (thanks to useCallback!)
+          Open the Render Profiler (bottom right) to see that child components only re-render when necessary (thanks to useCallback!)
         </p>
       </div>
 
@@ -234,8 +229,10 @@ export function Exercise22Complete() {
   return (
     <div style={{ padding: '20px', backgroundColor: '#f9f9f9' }}>
       <h2>Exercise 2.2: Stabilization (useCallback)</h2>
-      <StabilizationDemo />
-      <AdvancedCallbackExample />
+      <RenderProfiler components={['SearchFilter', 'ActionButton', 'ItemList']}>
+        <StabilizationDemo />
+        <AdvancedCallbackExample />
+      </RenderProfiler>
     </div>
   );
 }
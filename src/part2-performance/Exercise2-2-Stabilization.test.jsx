@@ -0,0 +1,59 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { AdvancedCallbackExample, Exercise22Complete, StabilizationDemo } from './Exercise2-2-Stabilization';
+
+describe('StabilizationDemo', () => {
+  it('filters the items and counts searches', () => {
+    render(<StabilizationDemo />);
+
+    userEvent.type(screen.getByPlaceholderText('Search items...'), 'use');
+
+    expect(screen.getByText('useCallback Pattern')).toBeInTheDocument();
+    expect(screen.getByText('useContext API')).toBeInTheDocument();
+    expect(screen.queryByText('Memoization')).not.toBeInTheDocument();
+    expect(screen.getByText('Search Count: 3 | Click Count: 0')).toBeInTheDocument();
+  });
+
+  it('shows an empty state when nothing matches', () => {
+    render(<StabilizationDemo />);
+
+    userEvent.type(screen.getByPlaceholderText('Search items...'), 'zzz');
+
+    expect(screen.getByText('No items found')).toBeInTheDocument();
+  });
+
+  it('selects an item and resets', () => {
+    render(<StabilizationDemo />);
+
+    userEvent.type(screen.getByPlaceholderText('Search items...'), 'memo');
+    userEvent.click(screen.getByText('Memoization'));
+    expect(screen.getByText('Selected: Memoization')).toBeInTheDocument();
+    expect(screen.getByText('Search Count: 4 | Click Count: 1')).toBeInTheDocument();
+
+    userEvent.click(screen.getByText('Reset'));
+    expect(screen.getByPlaceholderText('Search items...')).toHaveValue('');
+    expect(screen.queryByText(/^Selected:/)).not.toBeInTheDocument();
+  });
+});
+
+describe('AdvancedCallbackExample', () => {
+  it('uses the current multiplier', () => {
+    render(<AdvancedCallbackExample />);
+
+    userEvent.click(screen.getByText('Calculate (5 × 1)'));
+    fireEvent.change(screen.getByLabelText('Multiplier:'), { target: { value: '3' } });
+    userEvent.click(screen.getByText('Calculate (5 × 3)'));
+
+    expect(screen.getByText('Results: 5, 15')).toBeInTheDocument();
+  });
+});
+
+describe('Exercise22Complete', () => {
+  it('renders the demos inside the render profiler', () => {
+    render(<Exercise22Complete />);
+
+    expect(screen.getByPlaceholderText('Search items...')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Render Profiler/ })).toBeInTheDocument();
+  });
+});
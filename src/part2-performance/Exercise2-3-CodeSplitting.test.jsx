@@ -0,0 +1,54 @@
+import React from 'react';
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { BatchLazyLoading, CodeSplittingDemo } from './Exercise2-3-CodeSplitting';
+
+// Lets a lazy component's simulated download finish and React render the result
+async function advance(ms) {
+  await act(async () => {
+    jest.advanceTimersByTime(ms);
+  });
+}
+
+describe('CodeSplittingDemo', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('shows a fallback until the lazy route has loaded', async () => {
+    render(<CodeSplittingDemo />);
+    expect(screen.getByText('Loading component...')).toBeInTheDocument();
+
+    await advance(2000);
+
+    expect(screen.queryByText('Loading component...')).not.toBeInTheDocument();
+    expect(screen.getByText('Dashboard')).toBeInTheDocument();
+  });
+
+  it('loads each route on first visit and counts visits', async () => {
+    render(<CodeSplittingDemo />);
+
+    userEvent.click(screen.getByText(/Settings \(0\)/));
+    expect(screen.getByText('Loading component...')).toBeInTheDocument();
+    await advance(1500);
+
+    expect(screen.getByText('Lazy loaded Settings component')).toBeInTheDocument();
+    expect(screen.getByText(/Settings \(1\)/)).toBeInTheDocument();
+  });
+});
+
+describe('BatchLazyLoading', () => {
+  it('expands and collapses modules on demand', () => {
+    render(<BatchLazyLoading />);
+
+    userEvent.click(screen.getByRole('button', { name: /Database/ }));
+    expect(screen.getByText('✅ Module "Database" loaded successfully!')).toBeInTheDocument();
+
+    userEvent.click(screen.getByRole('button', { name: /Database/ }));
+    expect(screen.queryByText('✅ Module "Database" loaded successfully!')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Components: controls for editing a LaggyList view (see listView.js)
+ *
+ * - SortBuilder: ordered sort keys, each ascending or descending
+ * - FilterBuilder: field / operator / value conditions, matched all or any
+ * - SavedViews: save, load and delete named views in localStorage
+ */
+
+import React, { useState } from 'react';
+import { usePersistentState } from '../part1-state-effect/Exercise1-2-LocalPersistence';
+import { FILTER_FIELDS, FILTER_OPERATORS, SORT_KEYS } from './listQuery';
+import { SAVED_VIEWS_KEY, sanitizeView, savedViewsSchema } from './listView';
+
+const rowStyle = { display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '6px' };
+const fieldsetStyle = { border: '1px solid #ddd', borderRadius: '4px', padding: '8px 10px', margin: 0 };
+
+/**
+ * Component: SortBuilder
+ * Earlier keys win; later keys only break ties
+ */
+export function SortBuilder({ sort, onChange }) {
+  const unusedKeys = Object.keys(SORT_KEYS).filter(key => !sort.some(entry => entry.key === key));
+
+  const update = (index, patch) => {
+    onChange(sort.map((entry, i) => (i === index ? { ...entry, ...patch } : entry)));
+  };
+
+  const moveUp = (index) => {
+    const next = [...sort];
+    [next[index - 1], next[index]] = [next[index], next[index - 1]];
+    onChange(next);
+  };
+
+  return (
+    <fieldset style={fieldsetStyle} data-testid="sort-builder">
+      <legend>Sort by</legend>
+      {sort.map((entry, index) => (
+        <div key={entry.key} style={rowStyle}>
+          <span>{index === 0 ? 'Sort by' : 'then by'}</span>
+          <select
+            value={entry.key}
+            onChange={(e) => update(index, { key: e.target.value })}
+            aria-label={`Sort key ${index + 1}`}
+          >
+            {[entry.key, ...unusedKeys].map(key => (
+              <option key={key} value={key}>{SORT_KEYS[key].label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => update(index, { direction: entry.direction === 'asc' ? 'desc' : 'asc' })}
+            aria-label={`Sort direction ${index + 1}`}
+          >
+            {entry.direction === 'asc' ? '▲ asc' : '▼ desc'}
+          </button>
+          <button type="button" onClick={() => moveUp(index)} disabled={index === 0} aria-label={`Move sort key ${index + 1} up`}>
+            ↑
+          </button>
+          <button type="button" onClick={() => onChange(sort.filter((_, i) => i !== index))} disabled={sort.length === 1} aria-label={`Remove sort key ${index + 1}`}>
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...sort, { key: unusedKeys[0], direction: 'asc' }])}
+        disabled={unusedKeys.length === 0}
+      >
+        + Add sort key
+      </button>
+    </fieldset>
+  );
+}
+
+/**
+ * Component: FilterBuilder
+ * Incomplete conditions (no value yet) are ignored by the query
+ */
+export function FilterBuilder({ conditions, match, onChange }) {
+  const update = (index, patch) => {
+    onChange({ conditions: conditions.map((condition, i) => (i === index ? { ...condition, ...patch } : condition)) });
+  };
+
+  const changeField = (index, field) => {
+    // Keep the operator if the new field supports it
+    const { operators } = FILTER_FIELDS[field];
+    const operator = operators.includes(conditions[index].operator) ? conditions[index].operator : operators[0];
+    update(index, { field, operator, value: '' });
+  };
+
+  return (
+    <fieldset style={fieldsetStyle} data-testid="filter-builder">
+      <legend>
+        Conditions{' '}
+        <select value={match} onChange={(e) => onChange({ match: e.target.value })} aria-label="Match conditions">
+          <option value="all">match all</option>
+          <option value="any">match any</option>
+        </select>
+      </legend>
+      {conditions.map((condition, index) => {
+        const definition = FILTER_FIELDS[condition.field];
+        return (
+          <div key={index} style={rowStyle} data-testid="filter-condition">
+            <select value={condition.field} onChange={(e) => changeField(index, e.target.value)} aria-label={`Condition ${index + 1} field`}>
+              {Object.entries(FILTER_FIELDS).map(([field, { label }]) => (
+                <option key={field} value={field}>{label}</option>
+              ))}
+            </select>
+            <select value={condition.operator} onChange={(e) => update(index, { operator: e.target.value })} aria-label={`Condition ${index + 1} operator`}>
+              {definition.operators.map(operator => (
+                <option key={operator} value={operator}>{FILTER_OPERATORS[operator].label}</option>
+              ))}
+            </select>
+            <input
+              type={definition.type === 'number' ? 'number' : 'text'}
+              value={condition.value}
+              onChange={(e) => update(index, { value: e.target.value })}
+              aria-label={`Condition ${index + 1} value`}
+              style={{ width: '100px' }}
+            />
+            <button type="button" onClick={() => onChange({ conditions: conditions.filter((_, i) => i !== index) })} aria-label={`Remove condition ${index + 1}`}>
+              ✕
+            </button>
+          </div>
+        );
+      })}
+      <button type="button" onClick={() => onChange({ conditions: [...conditions, { field: 'name', operator: 'contains', value: '' }] })}>
+        + Add condition
+      </button>
+    </fieldset>
+  );
+}
+
+/**
+ * Component: SavedViews
+ * Saving under an existing name replaces that view
+ */
+export function SavedViews({ view, onLoad }) {
+  const [views, setViews] = usePersistentState(SAVED_VIEWS_KEY, [], savedViewsSchema);
+  const [name, setName] = useState('');
+  const [selected, setSelected] = useState('');
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setViews([...views.filter(saved => saved.name !== trimmed), { name: trimmed, view }]);
+    setSelected(trimmed);
+    setName('');
+  };
+
+  const handleLoad = (viewName) => {
+    setSelected(viewName);
+    const saved = views.find(entry => entry.name === viewName);
+    if (saved) {
+      onLoad(sanitizeView(saved.view));
+    }
+  };
+
+  const handleDelete = () => {
+    setViews(views.filter(saved => saved.name !== selected));
+    setSelected('');
+  };
+
+  return (
+    <form onSubmit={handleSave} style={{ ...rowStyle, flexWrap: 'wrap' }} data-testid="saved-views">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="View name"
+        aria-label="View name"
+      />
+      <button type="submit" disabled={!name.trim()}>Save view</button>
+      <select value={selected} onChange={(e) => handleLoad(e.target.value)} aria-label="Saved views">
+        <option value="" disabled>Load a saved view…</option>
+        {views.map(saved => (
+          <option key={saved.name} value={saved.name}>{saved.name}</option>
+        ))}
+      </select>
+      <button type="button" onClick={handleDelete} disabled={!selected}>Delete view</button>
+    </form>
+  );
+}
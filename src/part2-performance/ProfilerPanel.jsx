@@ -0,0 +1,179 @@
+/**
+ * Component: ProfilerPanel
+ * On-page overlay for RenderProfiler: interactions, flame-style commit bars and memo toggles
+ */
+
+import React, { useContext, useState, useSyncExternalStore } from 'react';
+import { ProfilerContext, summarizeInteraction } from './profilerStore';
+
+const BAR_HEIGHT = 18;
+
+function formatMs(duration) {
+  return `${duration.toFixed(1)}ms`;
+}
+
+// Like React DevTools: green is cheap, red is slow
+function durationColor(duration) {
+  if (duration < 1) return '#51cf66';
+  if (duration < 5) return '#fcc419';
+  return '#ff6b6b';
+}
+
+function useProfilerContext() {
+  const profiler = useContext(ProfilerContext);
+  if (!profiler) {
+    throw new Error('ProfilerPanel must be used within RenderProfiler');
+  }
+  return profiler;
+}
+
+/**
+ * Flame-style view of one commit: the root bar spans the commit's actual
+ * duration (base duration shown behind it), tracked components sit below it
+ */
+function CommitFlame({ commit, index, scale }) {
+  const width = (duration) => `${Math.max((duration / scale) * 100, 0.5)}%`;
+  const components = Object.entries(commit.components).sort((a, b) => b[1].actualDuration - a[1].actualDuration);
+
+  return (
+    <div style={{ marginBottom: '8px' }} data-testid="profiler-commit">
+      <div style={{ fontSize: '11px', color: '#bdc3c7', marginBottom: '2px' }}>
+        Commit {index + 1} ({commit.phase}) · actual {formatMs(commit.actualDuration)} / base {formatMs(commit.baseDuration)}
+      </div>
+      <div style={{ position: 'relative', height: BAR_HEIGHT }}>
+        <div
+          title={`Base duration ${formatMs(commit.baseDuration)}`}
+          style={{ position: 'absolute', inset: 0, width: width(commit.baseDuration), backgroundColor: '#34495e', borderRadius: '2px' }}
+        />
+        <div
+          title={`Actual duration ${formatMs(commit.actualDuration)}`}
+          style={{
+            position: 'absolute',
+            inset: 0,
+            width: width(commit.actualDuration),
+            backgroundColor: durationColor(commit.actualDuration),
+            borderRadius: '2px'
+          }}
+        />
+      </div>
+      <div style={{ display: 'flex', gap: '1px', marginTop: '1px' }}>
+        {components.map(([name, stats]) => (
+          <div
+            key={name}
+            title={`${name} ×${stats.count} · ${formatMs(stats.actualDuration)}`}
+            style={{
+              width: width(stats.actualDuration),
+              minWidth: '40px',
+              height: BAR_HEIGHT,
+              backgroundColor: durationColor(stats.actualDuration),
+              color: '#2c3e50',
+              fontSize: '10px',
+              lineHeight: `${BAR_HEIGHT}px`,
+              padding: '0 3px',
+              overflow: 'hidden',
+              whiteSpace: 'nowrap',
+              boxSizing: 'border-box',
+              borderRadius: '2px'
+            }}
+          >
+            {name} ×{stats.count}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export function ProfilerPanel() {
+  const { store, components, isMemoEnabled, setMemoEnabled } = useProfilerContext();
+  const { commitCount, interactions } = useSyncExternalStore(store.subscribe, store.getSnapshot);
+  const [open, setOpen] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+
+  // Follow the latest interaction unless one was picked
+  const selected = interactions.find(interaction => interaction.id === selectedId) || interactions[interactions.length - 1];
+  const summary = summarizeInteraction(selected);
+  const scale = Math.max(...selected.commits.map(commit => Math.max(commit.actualDuration, commit.baseDuration)), 1);
+
+  const handleMemoToggle = (name, enabled) => {
+    store.startInteraction(`memo ${enabled ? 'on' : 'off'}: ${name}`);
+    setMemoEnabled(name, enabled);
+  };
+
+  const containerStyle = {
+    position: 'fixed',
+    right: '20px',
+    bottom: '20px',
+    zIndex: 1000,
+    width: open ? '380px' : 'auto',
+    maxHeight: '70vh',
+    overflowY: 'auto',
+    backgroundColor: '#2c3e50',
+    color: 'white',
+    borderRadius: '6px',
+    boxShadow: '0 4px 12px rgba(0,0,0,0.3)',
+    fontSize: '12px'
+  };
+
+  return (
+    <section aria-label="Render profiler" style={containerStyle} data-testid="profiler-panel">
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        style={{ width: '100%', padding: '8px 12px', backgroundColor: 'transparent', color: 'white', border: 'none', cursor: 'pointer', textAlign: 'left', fontSize: '12px' }}
+      >
+        ⏱ Render Profiler · {commitCount} commits
+      </button>
+
+      {open && (
+        <div style={{ padding: '0 12px 12px' }}>
+          {components.length > 0 && (
+            <fieldset style={{ border: '1px solid #34495e', borderRadius: '4px', margin: '0 0 10px 0' }}>
+              <legend>React.memo</legend>
+              {components.map(name => (
+                <label key={name} style={{ display: 'inline-block', marginRight: '10px' }}>
+                  <input
+                    type="checkbox"
+                    checked={isMemoEnabled(name)}
+                    onChange={(e) => handleMemoToggle(name, e.target.checked)}
+                  />
+                  {' '}{name}
+                </label>
+              ))}
+            </fieldset>
+          )}
+
+          <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+            <select
+              value={selected.id}
+              onChange={(e) => setSelectedId(Number(e.target.value))}
+              aria-label="Interaction"
+              style={{ flex: 1, fontSize: '12px' }}
+            >
+              {[...interactions].reverse().map(interaction => (
+                <option key={interaction.id} value={interaction.id}>
+                  {interaction.label} ({interaction.commits.length})
+                </option>
+              ))}
+            </select>
+            <button onClick={() => { store.clear(); setSelectedId(null); }}>Clear</button>
+          </div>
+
+          <p style={{ margin: '0 0 6px 0' }} data-testid="profiler-summary">
+            {summary.commits} commits · actual {formatMs(summary.actualDuration)} / base {formatMs(summary.baseDuration)}
+          </p>
+          <p style={{ margin: '0 0 10px 0', color: '#bdc3c7' }} data-testid="profiler-rerendered">
+            Re-rendered:{' '}
+            {summary.components.length
+              ? summary.components.map(({ name, count }) => `${name} ×${count}`).join(', ')
+              : 'no tracked components'}
+          </p>
+
+          {selected.commits.map((commit, index) => (
+            <CommitFlame key={index} commit={commit} index={index} scale={scale} />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
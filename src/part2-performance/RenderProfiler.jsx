@@ -0,0 +1,102 @@
+/**
+ * Component: RenderProfiler
+ *
+ * Wraps an exercise in a React.Profiler and shows the ProfilerPanel overlay:
+ * commits per interaction, actual vs. base durations and which tracked
+ * components re-rendered.
+ *
+ *   const ListItem = profiled('ListItem', function ListItem({ item }) { ... });
+ *
+ *   <RenderProfiler components={['ListItem']}>
+ *     <LaggyList />
+ *   </RenderProfiler>
+ *
+ * `profiled` components are wrapped in React.memo; the panel can switch memo
+ * off per component (those listed in `components`) to compare. Outside a
+ * RenderProfiler they behave like a plain memo component.
+ *
+ * React only calls onRender in development and profiling builds.
+ */
+
+import React, { Profiler, memo, useCallback, useContext, useMemo, useState } from 'react';
+import { ProfilerContext, createProfilerStore } from './profilerStore';
+import { ProfilerPanel } from './ProfilerPanel';
+
+/**
+ * Helper: short label for the event that starts an interaction
+ */
+function describeEvent(e) {
+  if (e.type === 'keydown') return `keydown ${e.key}`;
+
+  const target = e.target;
+  const name = target.getAttribute?.('aria-label')
+    || target.placeholder
+    || target.textContent?.trim().slice(0, 30)
+    || target.tagName?.toLowerCase();
+  return `${e.type} "${name}"`;
+}
+
+export function profiled(name, Component) {
+  function Profiled(props) {
+    const profiler = useContext(ProfilerContext);
+    if (!profiler) return <Component {...props} />;
+
+    return (
+      <Profiler id={name} onRender={profiler.onComponentRender}>
+        <Component {...props} />
+      </Profiler>
+    );
+  }
+  Profiled.displayName = `Profiled(${name})`;
+
+  const Memoized = memo(Profiled);
+
+  // Switching memo on/off remounts the component, which is fine for a comparison toggle
+  function Tracked(props) {
+    const profiler = useContext(ProfilerContext);
+    return profiler && !profiler.isMemoEnabled(name) ? <Profiled {...props} /> : <Memoized {...props} />;
+  }
+  Tracked.displayName = name;
+
+  return Tracked;
+}
+
+export function RenderProfiler({ children, components = [] }) {
+  const [store] = useState(createProfilerStore);
+  const [memoDisabled, setMemoDisabled] = useState({});
+
+  const setMemoEnabled = useCallback((name, enabled) => {
+    setMemoDisabled(prev => ({ ...prev, [name]: !enabled }));
+  }, []);
+
+  const componentsKey = components.join(',');
+
+  const value = useMemo(() => ({
+    store,
+    components: componentsKey ? componentsKey.split(',') : [],
+    isMemoEnabled: (name) => !memoDisabled[name],
+    setMemoEnabled,
+    onComponentRender: (id, phase, actualDuration, baseDuration) => {
+      store.recordComponent(id, actualDuration, baseDuration);
+    }
+  }), [store, memoDisabled, setMemoEnabled, componentsKey]);
+
+  const handleCommit = (id, phase, actualDuration, baseDuration, startTime, commitTime) => {
+    store.recordCommit(phase, actualDuration, baseDuration, commitTime);
+  };
+
+  const handleEvent = (e) => {
+    store.startInteraction(describeEvent(e));
+  };
+
+  return (
+    <ProfilerContext.Provider value={value}>
+      <div onClickCapture={handleEvent} onChangeCapture={handleEvent} onKeyDownCapture={handleEvent}>
+        <Profiler id="root" onRender={handleCommit}>
+          {children}
+        </Profiler>
+      </div>
+      <ProfilerPanel />
+    </ProfilerContext.Provider>
+  );
+}
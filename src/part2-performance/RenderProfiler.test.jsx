@@ -0,0 +1,136 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { createProfilerStore, summarizeInteraction } from './profilerStore';
+import { RenderProfiler, profiled } from './RenderProfiler';
+import { StabilizationDemo } from './Exercise2-2-Stabilization';
+
+describe('profilerStore', () => {
+  it('groups buffered component renders into the next commit', () => {
+    const store = createProfilerStore();
+
+    store.startInteraction('click "Add"');
+    store.recordComponent('Row', 2, 3);
+    store.recordComponent('Row', 1, 3);
+    store.recordComponent('List', 4, 10);
+    store.recordCommit('update', 5, 12, 100);
+
+    const { commitCount, interactions } = store.getSnapshot();
+    expect(commitCount).toBe(1);
+    expect(interactions.map(interaction => interaction.label)).toEqual(['click "Add"']);
+    expect(interactions[0].commits[0].components).toEqual({
+      Row: { count: 2, actualDuration: 3, baseDuration: 6 },
+      List: { count: 1, actualDuration: 4, baseDuration: 10 }
+    });
+  });
+
+  it('starts a new interaction only after the current one committed', () => {
+    const store = createProfilerStore();
+    store.recordCommit('mount', 1, 1, 1);
+
+    store.startInteraction('keydown a');
+    store.startInteraction('change "Search"');
+    store.recordCommit('update', 1, 1, 2);
+    store.startInteraction('click "Reset"');
+
+    expect(store.getSnapshot().interactions.map(interaction => interaction.label)).toEqual([
+      'mount',
+      'change "Search"',
+      'click "Reset"'
+    ]);
+  });
+
+  it('summarizes an interaction across commits', () => {
+    const store = createProfilerStore();
+    store.recordComponent('Row', 2, 2);
+    store.recordCommit('update', 3, 8, 1);
+    store.recordComponent('Row', 1, 2);
+    store.recordComponent('List', 5, 5);
+    store.recordCommit('update', 6, 8, 2);
+
+    expect(summarizeInteraction(store.getSnapshot().interactions[0])).toEqual({
+      commits: 2,
+      actualDuration: 9,
+      baseDuration: 16,
+      components: [
+        { name: 'List', count: 1, actualDuration: 5 },
+        { name: 'Row', count: 2, actualDuration: 3 }
+      ]
+    });
+  });
+
+  it('notifies subscribers and can be cleared', () => {
+    const store = createProfilerStore();
+    const listener = jest.fn();
+    store.subscribe(listener);
+
+    store.recordComponent('Row', 1, 1);
+    expect(listener).not.toHaveBeenCalled();
+    store.recordCommit('update', 1, 1, 1);
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    store.clear();
+    expect(store.getSnapshot().commitCount).toBe(0);
+    expect(store.getSnapshot().interactions[0].commits).toEqual([]);
+  });
+});
+
+describe('RenderProfiler', () => {
+  function renderDemo() {
+    render(
+      <RenderProfiler components={['SearchFilter', 'ActionButton', 'ItemList']}>
+        <StabilizationDemo />
+      </RenderProfiler>
+    );
+    userEvent.click(screen.getByRole('button', { name: /Render Profiler/ }));
+  }
+
+  it('shows which components re-rendered for the latest interaction', () => {
+    renderDemo();
+
+    expect(screen.getByTestId('profiler-rerendered')).toHaveTextContent('SearchFilter ×1');
+    expect(screen.getByTestId('profiler-rerendered')).toHaveTextContent('ActionButton ×2');
+
+    userEvent.type(screen.getByPlaceholderText('Search items...'), 'r');
+
+    expect(screen.getByLabelText('Interaction')).toHaveDisplayValue('change "Search items..." (1)');
+    expect(screen.getByTestId('profiler-summary')).toHaveTextContent(/^1 commits · actual/);
+    // Stable callbacks: the memoized buttons are skipped
+    expect(screen.getByTestId('profiler-rerendered')).toHaveTextContent('Re-rendered: ');
+    expect(screen.getByTestId('profiler-rerendered')).toHaveTextContent('SearchFilter ×1');
+    expect(screen.getByTestId('profiler-rerendered')).toHaveTextContent('ItemList ×1');
+    expect(screen.getByTestId('profiler-rerendered')).not.toHaveTextContent('ActionButton');
+    expect(screen.getAllByTestId('profiler-commit')).toHaveLength(1);
+  });
+
+  it('re-renders a component on every update once memo is switched off', () => {
+    renderDemo();
+
+    userEvent.click(screen.getByLabelText('ActionButton'));
+    userEvent.type(screen.getByPlaceholderText('Search items...'), 'r');
+
+    expect(screen.getByLabelText('ActionButton')).not.toBeChecked();
+    expect(screen.getByTestId('profiler-rerendered')).toHaveTextContent('ActionButton ×2');
+  });
+
+  it('keeps earlier interactions selectable and can clear them', () => {
+    renderDemo();
+    userEvent.click(screen.getByText('Memoization'));
+    userEvent.click(screen.getByText('Reset'));
+
+    userEvent.selectOptions(screen.getByLabelText('Interaction'), 'click "Memoization" (1)');
+    expect(screen.getByTestId('profiler-rerendered')).toHaveTextContent('ItemList ×1');
+
+    userEvent.click(screen.getByRole('button', { name: 'Clear' }));
+    expect(screen.getByRole('button', { name: /Render Profiler/ })).toHaveTextContent('0 commits');
+    expect(screen.getByTestId('profiler-rerendered')).toHaveTextContent('no tracked components');
+  });
+
+  it('renders profiled components normally without a RenderProfiler', () => {
+    const Greeting = profiled('Greeting', ({ name }) => <p>Hello {name}</p>);
+
+    render(<Greeting name="Ada" />);
+
+    expect(screen.getByText('Hello Ada')).toBeInTheDocument();
+  });
+});
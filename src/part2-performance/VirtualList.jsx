@@ -0,0 +1,239 @@
+/**
+ * Component: VirtualList (windowing)
+ *
+ * Only the rows inside the viewport, plus `overscan` rows on each side, are
+ * mounted, so 50k items cost about as much as 20.
+ *
+ *   <VirtualList
+ *     items={items}
+ *     height={400}
+ *     itemHeight={36}                          // or (item, index) => number
+ *     getItemKey={(item) => item.id}
+ *     renderItem={(item, index, { isActive }) => <Row item={item} />}
+ *   />
+ *
+ * - variable row heights use precomputed offsets and a binary search
+ * - the row at the top of the viewport (or the active row) stays in place when
+ *   `items` is filtered or re-sorted
+ * - keyboard: Arrow Up/Down, Page Up/Down, Home/End move the active row
+ * - exposed as a one-column grid, so rows may contain buttons and links;
+ *   the active row stays mounted while scrolled out of the window, so
+ *   aria-activedescendant always points at an element
+ */
+
+import React, { useId, useLayoutEffect, useMemo, useRef, useState } from 'react';
+
+const DEFAULT_OVERSCAN = 5;
+
+// Pass module-level (or memoized) getItemKey / itemHeight functions:
+// offsets and keys are recomputed whenever they change
+const getIndexKey = (item, index) => index;
+
+/**
+ * Helper: offsets[i] is the top of row i; offsets[length] is the total height
+ */
+function computeOffsets(items, itemHeight) {
+  const offsets = new Array(items.length + 1);
+  offsets[0] = 0;
+  for (let i = 0; i < items.length; i++) {
+    const height = typeof itemHeight === 'function' ? itemHeight(items[i], i) : itemHeight;
+    offsets[i + 1] = offsets[i] + height;
+  }
+  return offsets;
+}
+
+/**
+ * Helper: index of the row containing `position` (binary search over offsets)
+ */
+function findIndexAt(offsets, position) {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= position) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return Math.max(low, 0);
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+export function VirtualList({
+  items,
+  height,
+  itemHeight,
+  renderItem,
+  getItemKey = getIndexKey,
+  overscan = DEFAULT_OVERSCAN,
+  'aria-label': ariaLabel
+}) {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [activeKey, setActiveKey] = useState(null);
+  const baseId = useId();
+
+  const offsets = useMemo(() => computeOffsets(items, itemHeight), [items, itemHeight]);
+  const totalHeight = offsets[items.length];
+
+  const keys = useMemo(() => items.map(getItemKey), [items, getItemKey]);
+  const activeIndex = activeKey === null ? -1 : keys.indexOf(activeKey);
+
+  // Scroll anchor: which row to keep in place when items change
+  const anchor = useRef(null);
+  const previousItems = useRef(items);
+
+  useLayoutEffect(() => {
+    if (previousItems.current === items) return;
+    previousItems.current = items;
+
+    const container = containerRef.current;
+    const { key, delta } = anchor.current || {};
+    const index = key === undefined ? -1 : keys.indexOf(key);
+    const maxScroll = Math.max(totalHeight - height, 0);
+    const nextScrollTop = index === -1
+      ? clamp(container.scrollTop, 0, maxScroll)
+      : clamp(offsets[index] - delta, 0, maxScroll);
+
+    container.scrollTop = nextScrollTop;
+    setScrollTop(nextScrollTop);
+  }, [items, keys, offsets, totalHeight, height]);
+
+  const rememberAnchor = (top, preferredIndex = activeIndex) => {
+    if (items.length === 0) {
+      anchor.current = null;
+      return;
+    }
+    // Prefer the active row while it is on screen, otherwise the first visible row
+    const preferredTop = preferredIndex === -1 ? -1 : offsets[preferredIndex];
+    const index = preferredTop >= top && preferredTop < top + height
+      ? preferredIndex
+      : findIndexAt(offsets, top);
+    anchor.current = { key: keys[index], delta: offsets[index] - top };
+  };
+
+  const handleScroll = (e) => {
+    const top = e.currentTarget.scrollTop;
+    setScrollTop(top);
+    rememberAnchor(top);
+  };
+
+  // Scroll just enough to show row `index`
+  const scrollToIndex = (index) => {
+    const container = containerRef.current;
+    const top = offsets[index];
+    const bottom = offsets[index + 1];
+    let nextScrollTop = container.scrollTop;
+    if (top < nextScrollTop) {
+      nextScrollTop = top;
+    } else if (bottom > nextScrollTop + height) {
+      nextScrollTop = bottom - height;
+    }
+    container.scrollTop = nextScrollTop;
+    setScrollTop(nextScrollTop);
+    rememberAnchor(nextScrollTop, index);
+  };
+
+  const handleKeyDown = (e) => {
+    if (items.length === 0) return;
+
+    const current = activeIndex === -1 ? findIndexAt(offsets, scrollTop) : activeIndex;
+    const pageSize = Math.max(Math.floor(height / (offsets[current + 1] - offsets[current])), 1);
+    let next;
+    switch (e.key) {
+      case 'ArrowDown':
+        next = activeIndex === -1 ? current : current + 1;
+        break;
+      case 'ArrowUp':
+        next = current - 1;
+        break;
+      case 'PageDown':
+        next = current + pageSize;
+        break;
+      case 'PageUp':
+        next = current - pageSize;
+        break;
+      case 'Home':
+        next = 0;
+        break;
+      case 'End':
+        next = items.length - 1;
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    next = clamp(next, 0, items.length - 1);
+    setActiveKey(keys[next]);
+    scrollToIndex(next);
+  };
+
+  const startIndex = items.length ? Math.max(findIndexAt(offsets, scrollTop) - overscan, 0) : 0;
+  const endIndex = items.length
+    ? Math.min(findIndexAt(offsets, scrollTop + height) + overscan, items.length - 1)
+    : -1;
+
+  const renderRow = (index) => {
+    const key = keys[index];
+    const isActive = index === activeIndex;
+    return (
+      <div
+        key={key}
+        role="row"
+        aria-rowindex={index + 1}
+        aria-selected={isActive}
+        onClick={() => {
+          setActiveKey(key);
+          rememberAnchor(scrollTop, index);
+        }}
+        style={{
+          position: 'absolute',
+          top: offsets[index],
+          left: 0,
+          right: 0,
+          height: offsets[index + 1] - offsets[index],
+          boxSizing: 'border-box',
+          outline: isActive ? '2px solid #3498db' : 'none',
+          outlineOffset: '-2px'
+        }}
+      >
+        <div role="gridcell" id={`${baseId}-cell-${index}`} style={{ height: '100%' }}>
+          {renderItem(items[index], index, { isActive })}
+        </div>
+      </div>
+    );
+  };
+
+  // The active row stays mounted outside the window, for aria-activedescendant
+  const rows = [];
+  if (activeIndex !== -1 && activeIndex < startIndex) rows.push(renderRow(activeIndex));
+  for (let index = startIndex; index <= endIndex; index++) {
+    rows.push(renderRow(index));
+  }
+  if (activeIndex > endIndex) rows.push(renderRow(activeIndex));
+
+  return (
+    <div
+      ref={containerRef}
+      role="grid"
+      aria-label={ariaLabel}
+      aria-rowcount={items.length}
+      aria-colcount={1}
+      aria-activedescendant={activeIndex === -1 ? undefined : `${baseId}-cell-${activeIndex}`}
+      tabIndex={0}
+      onScroll={handleScroll}
+      onKeyDown={handleKeyDown}
+      style={{ height, overflowY: 'auto', position: 'relative', border: '1px solid #ddd', borderRadius: '4px' }}
+      data-testid="virtual-list"
+    >
+      <div style={{ height: totalHeight, position: 'relative' }}>
+        {rows}
+      </div>
+    </div>
+  );
+}
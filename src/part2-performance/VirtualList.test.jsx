@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { VirtualList } from './VirtualList';
+
+const ITEMS = Array.from({ length: 10000 }, (_, i) => ({ id: i + 1, name: `Item ${i + 1}` }));
+const getId = (item) => item.id;
+const renderRow = (item) => <span>{item.name}</span>;
+
+function renderList(props = {}) {
+  return render(
+    <VirtualList
+      items={ITEMS}
+      height={200}
+      itemHeight={20}
+      getItemKey={getId}
+      overscan={2}
+      renderItem={renderRow}
+      aria-label="Items"
+      {...props}
+    />
+  );
+}
+
+function scrollTo(top) {
+  const list = screen.getByRole('grid');
+  list.scrollTop = top;
+  fireEvent.scroll(list);
+}
+
+describe('VirtualList', () => {
+  it('mounts only the visible rows plus overscan', () => {
+    renderList();
+
+    // 200px / 20px = rows 0-10, plus 2 overscan below
+    expect(screen.getAllByRole('row')).toHaveLength(13);
+    expect(screen.getByText('Item 1')).toBeInTheDocument();
+    expect(screen.queryByText('Item 20')).not.toBeInTheDocument();
+  });
+
+  it('sizes the scroll area for every row', () => {
+    renderList();
+
+    expect(screen.getByRole('grid').firstChild).toHaveStyle({ height: '200000px' });
+    expect(screen.getByRole('grid')).toHaveAttribute('aria-rowcount', '10000');
+    expect(screen.getAllByRole('row')[1]).toHaveAttribute('aria-rowindex', '2');
+  });
+
+  it('renders the window around the scroll position', () => {
+    renderList();
+
+    scrollTo(100000);
+
+    expect(screen.getByText('Item 5001')).toBeInTheDocument();
+    expect(screen.getByText('Item 4999')).toBeInTheDocument();
+    expect(screen.queryByText('Item 1')).not.toBeInTheDocument();
+  });
+
+  it('supports variable row heights', () => {
+    const itemHeight = (item) => (item.id % 2 === 0 ? 40 : 20);
+    renderList({ itemHeight, overscan: 0 });
+
+    const rows = screen.getAllByRole('row');
+    expect(rows[1]).toHaveStyle({ top: '20px', height: '40px' });
+    expect(rows[2]).toHaveStyle({ top: '60px', height: '20px' });
+    expect(screen.getByRole('grid').firstChild).toHaveStyle({ height: '300000px' });
+
+    // Two rows per 60px: 600px is the start of Item 21
+    scrollTo(600);
+    expect(screen.getAllByRole('row')[0]).toHaveTextContent('Item 21');
+  });
+
+  it('moves the active row with the keyboard and keeps it in view', () => {
+    renderList();
+    const list = screen.getByRole('grid');
+    list.focus();
+
+    userEvent.keyboard('{arrowdown}');
+    expect(screen.getByRole('row', { selected: true })).toHaveTextContent('Item 1');
+    expect(list).toHaveAttribute('aria-activedescendant', within(screen.getByRole('row', { selected: true })).getByRole('gridcell').id);
+
+    userEvent.keyboard('{end}');
+    expect(screen.getByRole('row', { selected: true })).toHaveTextContent('Item 10000');
+    expect(list.scrollTop).toBe(200000 - 200);
+
+    userEvent.keyboard('{pageup}');
+    expect(screen.getByRole('row', { selected: true })).toHaveTextContent('Item 9990');
+
+    userEvent.keyboard('{home}');
+    expect(screen.getByRole('row', { selected: true })).toHaveTextContent('Item 1');
+    expect(list.scrollTop).toBe(0);
+  });
+
+  it('keeps the active row mounted while it is scrolled out of view', () => {
+    renderList();
+    const list = screen.getByRole('grid');
+    list.focus();
+    userEvent.keyboard('{arrowdown}');
+
+    scrollTo(100000);
+
+    const active = document.getElementById(list.getAttribute('aria-activedescendant'));
+    expect(active).toHaveTextContent('Item 1');
+    expect(screen.getByRole('row', { selected: true })).toContainElement(active);
+    expect(screen.getAllByRole('row')).toHaveLength(16);
+  });
+
+  it('lets rows contain interactive content', () => {
+    const onDelete = jest.fn();
+    renderList({ renderItem: (item) => <button onClick={() => onDelete(item.id)}>Delete {item.name}</button> });
+
+    userEvent.click(screen.getByRole('button', { name: 'Delete Item 2' }));
+
+    expect(onDelete).toHaveBeenCalledWith(2);
+    expect(within(screen.getAllByRole('row')[1]).getByRole('gridcell')).toContainElement(screen.getByRole('button', { name: 'Delete Item 2' }));
+  });
+
+  it('keeps the top row in place when items are filtered', () => {
+    function Filterable() {
+      const [evenOnly, setEvenOnly] = useState(false);
+      const items = evenOnly ? ITEMS.filter(item => item.id % 2 === 0) : ITEMS;
+      return (
+        <>
+          <button onClick={() => setEvenOnly(true)}>Even only</button>
+          <VirtualList items={items} height={200} itemHeight={20} getItemKey={getId} overscan={0} renderItem={renderRow} />
+        </>
+      );
+    }
+    render(<Filterable />);
+
+    // Item 1002 at the top of the viewport
+    scrollTo(20020);
+    expect(screen.getAllByRole('row')[0]).toHaveTextContent('Item 1002');
+
+    userEvent.click(screen.getByText('Even only'));
+
+    // Item 1002 is now at index 500
+    expect(screen.getByRole('grid').scrollTop).toBe(500 * 20);
+    expect(screen.getAllByRole('row')[0]).toHaveTextContent('Item 1002');
+  });
+
+  it('keeps the anchored row on top when the order changes', () => {
+    function Sortable() {
+      const [reversed, setReversed] = useState(false);
+      const items = reversed ? [...ITEMS].reverse() : ITEMS;
+      return (
+        <>
+          <button onClick={() => setReversed(true)}>Reverse</button>
+          <VirtualList items={items} height={200} itemHeight={20} getItemKey={getId} overscan={0} renderItem={renderRow} />
+        </>
+      );
+    }
+    render(<Sortable />);
+
+    scrollTo(20000);
+    userEvent.click(screen.getByText('Reverse'));
+
+    // Item 1001 is now at index 8999
+    expect(screen.getByRole('grid').scrollTop).toBe(8999 * 20);
+    expect(screen.getAllByRole('row')[0]).toHaveTextContent('Item 1001');
+  });
+});
@@ -3,6 +3,45 @@
  * Complete index file for all exercises in Part 2
  */
 
+import { registerPart, registerExercises } from '../registry';
+import { Exercise21Complete } from './Exercise2-1-LaggyList';
+import { Exercise22Complete } from './Exercise2-2-Stabilization';
+import { Exercise23Complete } from './Exercise2-3-CodeSplitting';
+
 export { Exercise21Complete } from './Exercise2-1-LaggyList';
+export { VirtualList } from './VirtualList';
+export { RenderProfiler, profiled } from './RenderProfiler';
 export { Exercise22Complete } from './Exercise2-2-Stabilization';
 export { Exercise23Complete } from './Exercise2-3-CodeSplitting';
+
+registerPart({ part: 2, title: 'Performance Engineering' });
+
+registerExercises([
+  {
+    key: '2.1',
+    title: 'The Laggy List',
+    part: 2,
+    component: Exercise21Complete,
+    tags: ['useMemo', 'React.memo', 'Virtualization'],
+    description: 'Memoize expensive computations and skip unnecessary re-renders.',
+    difficulty: 'intermediate'
+  },
+  {
+    key: '2.2',
+    title: 'Stabilization',
+    part: 2,
+    component: Exercise22Complete,
+    tags: ['useCallback', 'React.memo'],
+    description: 'Stabilize callback references passed to memoized children.',
+    difficulty: 'intermediate'
+  },
+  {
+    key: '2.3',
+    title: 'Code Splitting',
+    part: 2,
+    component: Exercise23Complete,
+    tags: ['React.lazy', 'Suspense'],
+    description: 'Lazy load components behind Suspense boundaries.',
+    difficulty: 'intermediate'
+  }
+]);
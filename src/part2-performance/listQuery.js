@@ -0,0 +1,136 @@
+/**
+ * List Query
+ *
+ * Filtering, sorting and stats for LaggyList. Pure functions, shared by the
+ * main thread and listQuery.worker.js so both produce the same result.
+ *
+ *   const { items: visible, stats } = runListQuery(items, {
+ *     filterText: 'item 4',
+ *     filterCategory: 'A',
+ *     minScore: 50,
+ *     maxScore: '',                                         // '' = no bound
+ *     conditions: [{ field: 'name', operator: 'startsWith', value: 'Item 1' }],
+ *     match: 'all',                                         // or 'any'
+ *     sort: [{ key: 'category', direction: 'asc' }, { key: 'score', direction: 'desc' }]
+ *   });
+ *
+ * The quick filters (text, category, score range) always apply; `conditions`
+ * are combined with each other according to `match`.
+ */
+
+export const SORT_KEYS = {
+  id: { label: 'ID', compare: (a, b) => a.id - b.id },
+  name: { label: 'Name', compare: (a, b) => a.name.localeCompare(b.name) },
+  score: { label: 'Score', compare: (a, b) => a.score - b.score },
+  category: { label: 'Category', compare: (a, b) => a.category.localeCompare(b.category) }
+};
+
+export const DEFAULT_SORT = [{ key: 'id', direction: 'asc' }];
+
+export const FILTER_OPERATORS = {
+  contains: { label: 'contains', test: (actual, expected) => actual.includes(expected) },
+  startsWith: { label: 'starts with', test: (actual, expected) => actual.startsWith(expected) },
+  equals: { label: '=', test: (actual, expected) => actual === expected },
+  notEquals: { label: '≠', test: (actual, expected) => actual !== expected },
+  gt: { label: '>', test: (actual, expected) => actual > expected },
+  gte: { label: '≥', test: (actual, expected) => actual >= expected },
+  lt: { label: '<', test: (actual, expected) => actual < expected },
+  lte: { label: '≤', test: (actual, expected) => actual <= expected }
+};
+
+export const FILTER_FIELDS = {
+  name: { label: 'Name', type: 'text', operators: ['contains', 'startsWith', 'equals', 'notEquals'] },
+  category: { label: 'Category', type: 'text', operators: ['equals', 'notEquals'] },
+  score: { label: 'Score', type: 'number', operators: ['gt', 'gte', 'lt', 'lte', 'equals', 'notEquals'] },
+  id: { label: 'ID', type: 'number', operators: ['gt', 'gte', 'lt', 'lte', 'equals', 'notEquals'] }
+};
+
+const isSet = (value) => value !== '' && value !== null && value !== undefined;
+
+function normalize(type, value) {
+  return type === 'number' ? Number(value) : String(value).toLowerCase();
+}
+
+/**
+ * Helper: turn a condition into a predicate, or null if it is incomplete
+ * (so a half-filled builder row doesn't hide every item)
+ */
+function toPredicate({ field, operator, value }) {
+  const definition = FILTER_FIELDS[field];
+  if (!definition || !definition.operators.includes(operator) || !isSet(value)) return null;
+
+  const expected = normalize(definition.type, value);
+  if (definition.type === 'number' && Number.isNaN(expected)) return null;
+
+  const { test } = FILTER_OPERATORS[operator];
+  return (item) => test(normalize(definition.type, item[field]), expected);
+}
+
+function toComparator(sort) {
+  const comparators = sort
+    .filter(({ key }) => SORT_KEYS[key])
+    .map(({ key, direction }) => {
+      const { compare } = SORT_KEYS[key];
+      return direction === 'desc' ? (a, b) => compare(b, a) : compare;
+    });
+
+  return (a, b) => {
+    for (const compare of comparators) {
+      const result = compare(a, b);
+      if (result !== 0) return result;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Indexes (into `items`) of the matching items, in display order.
+ * The worker sends these back instead of copying the items themselves.
+ */
+export function queryListIndexes(items, {
+  filterText = '',
+  filterCategory = '',
+  minScore = '',
+  maxScore = '',
+  conditions = [],
+  match = 'all',
+  sort = DEFAULT_SORT
+}) {
+  const text = filterText.toLowerCase();
+  const predicates = conditions.map(toPredicate).filter(Boolean);
+  const matchesConditions = match === 'any'
+    ? (item) => predicates.length === 0 || predicates.some(predicate => predicate(item))
+    : (item) => predicates.every(predicate => predicate(item));
+
+  const indexes = [];
+  items.forEach((item, index) => {
+    const matchesText = item.name.toLowerCase().includes(text);
+    const matchesCategory = !filterCategory || item.category === filterCategory;
+    const matchesRange = (!isSet(minScore) || item.score >= Number(minScore))
+      && (!isSet(maxScore) || item.score <= Number(maxScore));
+    if (matchesText && matchesCategory && matchesRange && matchesConditions(item)) {
+      indexes.push(index);
+    }
+  });
+
+  const compare = toComparator(sort);
+  indexes.sort((a, b) => compare(items[a], items[b]));
+  return indexes;
+}
+
+export function computeListStats(items, filteredCount) {
+  return {
+    total: items.length,
+    filtered: filteredCount,
+    avgScore: Math.round(items.reduce((sum, item) => sum + item.score, 0) / items.length),
+    categories: [...new Set(items.map(item => item.category))]
+  };
+}
+
+export function runListQuery(items, query) {
+  const indexes = queryListIndexes(items, query);
+  return {
+    items: indexes.map(index => items[index]),
+    stats: computeListStats(items, indexes.length)
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * Web Worker: runs listQuery off the main thread
+ *
+ * Messages in:
+ *   { type: 'items', items }        replace the dataset (sent only when it changes)
+ *   { type: 'query', id, query }    filter + sort + stats
+ *
+ * Messages out:
+ *   { id, indexes, stats }          indexes into the current items, in display order
+ *
+ * Queries are coalesced: if several arrive while one is running, only the
+ * newest is computed and the stale ones are dropped.
+ */
+
+/* eslint-disable no-restricted-globals */
+import { computeListStats, queryListIndexes } from './listQuery';
+
+let items = [];
+let pendingQuery = null;
+let scheduled = false;
+
+function runPendingQuery() {
+  scheduled = false;
+  if (!pendingQuery) return;
+
+  const { id, query } = pendingQuery;
+  pendingQuery = null;
+
+  const indexes = Int32Array.from(queryListIndexes(items, query));
+  self.postMessage({ id, indexes, stats: computeListStats(items, indexes.length) }, [indexes.buffer]);
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'items') {
+    items = data.items;
+  } else if (data.type === 'query') {
+    pendingQuery = data;
+    // Let any queued messages land first so a burst of keystrokes costs one query
+    if (!scheduled) {
+      scheduled = true;
+      setTimeout(runPendingQuery, 0);
+    }
+  }
+};
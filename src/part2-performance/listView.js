@@ -0,0 +1,117 @@
+/**
+ * List View
+ *
+ * A "view" is everything that shapes LaggyList's output: quick filters, score
+ * range, filter-builder conditions and the sort keys. Views are plain data,
+ * so they can be passed to the worker, saved to localStorage and written to
+ * the URL:
+ *
+ *   ?q=item&category=A&min=50&where=name:startsWith:Item 1&match=any&sort=category:asc,score:desc
+ *
+ * Defaults are left out of the URL. Anything unknown or malformed is dropped
+ * when reading a view back, since URLs and storage can hold stale data.
+ */
+
+import { DEFAULT_SORT, FILTER_FIELDS, SORT_KEYS } from './listQuery';
+
+export const SAVED_VIEWS_KEY = 'laggyListViews';
+
+// v1: a list of { name, view }; views saved before versioning already have that shape
+export const savedViewsSchema = {
+  version: 1,
+  migrations: { 1: (views) => views },
+  validate: (views) => Array.isArray(views) && views.every(saved => saved && typeof saved.name === 'string')
+};
+
+export const DEFAULT_VIEW = {
+  filterText: '',
+  filterCategory: '',
+  minScore: '',
+  maxScore: '',
+  conditions: [],
+  match: 'all',
+  sort: DEFAULT_SORT
+};
+
+const CATEGORIES = ['A', 'B', 'C'];
+
+function toBound(value) {
+  if (value === '' || value === null || value === undefined) return '';
+  const number = Number(value);
+  return Number.isFinite(number) ? number : '';
+}
+
+function isValidCondition(condition) {
+  const definition = FILTER_FIELDS[condition?.field];
+  return Boolean(definition && definition.operators.includes(condition.operator));
+}
+
+function isValidSortKey(entry) {
+  return Boolean(SORT_KEYS[entry?.key]) && (entry.direction === 'asc' || entry.direction === 'desc');
+}
+
+function encodeSort(sort) {
+  return sort.map(({ key, direction }) => `${key}:${direction}`).join(',');
+}
+
+/**
+ * Helper: fill in defaults and drop anything invalid
+ */
+export function sanitizeView(input) {
+  const view = input || {};
+  const seen = new Set();
+  const sort = (Array.isArray(view.sort) ? view.sort : [])
+    .filter(isValidSortKey)
+    .filter(({ key }) => {
+      // Sorting twice by the same key is pointless; keep the first
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(({ key, direction }) => ({ key, direction }));
+
+  return {
+    filterText: typeof view.filterText === 'string' ? view.filterText : '',
+    filterCategory: CATEGORIES.includes(view.filterCategory) ? view.filterCategory : '',
+    minScore: toBound(view.minScore),
+    maxScore: toBound(view.maxScore),
+    conditions: Array.isArray(view.conditions)
+      ? view.conditions.filter(isValidCondition).map(({ field, operator, value }) => ({ field, operator, value: String(value ?? '') }))
+      : [],
+    match: view.match === 'any' ? 'any' : 'all',
+    sort: sort.length ? sort : DEFAULT_SORT
+  };
+}
+
+export function viewToSearchParams(view) {
+  const params = new URLSearchParams();
+  if (view.filterText) params.set('q', view.filterText);
+  if (view.filterCategory) params.set('category', view.filterCategory);
+  if (view.minScore !== '') params.set('min', view.minScore);
+  if (view.maxScore !== '') params.set('max', view.maxScore);
+  view.conditions.forEach(({ field, operator, value }) => {
+    params.append('where', `${field}:${operator}:${value}`);
+  });
+  if (view.match !== DEFAULT_VIEW.match) params.set('match', view.match);
+  if (encodeSort(view.sort) !== encodeSort(DEFAULT_SORT)) params.set('sort', encodeSort(view.sort));
+  return params;
+}
+
+export function viewFromSearchParams(params) {
+  return sanitizeView({
+    filterText: params.get('q') ?? '',
+    filterCategory: params.get('category') ?? '',
+    minScore: params.get('min') ?? '',
+    maxScore: params.get('max') ?? '',
+    conditions: params.getAll('where').map(entry => {
+      // The value itself may contain ':'
+      const [field, operator, ...value] = entry.split(':');
+      return { field, operator, value: value.join(':') };
+    }),
+    match: params.get('match') ?? '',
+    sort: (params.get('sort') ?? '').split(',').filter(Boolean).map(entry => {
+      const [key, direction] = entry.split(':');
+      return { key, direction };
+    })
+  });
+}
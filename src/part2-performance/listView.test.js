@@ -0,0 +1,42 @@
+import { DEFAULT_VIEW, sanitizeView, viewFromSearchParams, viewToSearchParams } from './listView';
+
+describe('listView', () => {
+  it('leaves defaults out of the URL', () => {
+    expect(viewToSearchParams(DEFAULT_VIEW).toString()).toBe('');
+  });
+
+  it('round-trips a view through the URL', () => {
+    const view = {
+      filterText: 'item 4',
+      filterCategory: 'B',
+      minScore: 10,
+      maxScore: 80,
+      conditions: [
+        { field: 'name', operator: 'contains', value: 'a:b' },
+        { field: 'score', operator: 'gte', value: '' }
+      ],
+      match: 'any',
+      sort: [{ key: 'category', direction: 'asc' }, { key: 'score', direction: 'desc' }]
+    };
+
+    const params = viewToSearchParams(view);
+
+    expect(params.get('sort')).toBe('category:asc,score:desc');
+    expect(viewFromSearchParams(new URLSearchParams(params.toString()))).toEqual(view);
+  });
+
+  it('drops unknown or malformed values', () => {
+    const params = new URLSearchParams('category=Z&min=abc&max=50&match=some&where=secret:eq:1&where=score:contains:5&sort=score:up,name:desc,name:asc');
+
+    expect(viewFromSearchParams(params)).toEqual({
+      ...DEFAULT_VIEW,
+      maxScore: 50,
+      sort: [{ key: 'name', direction: 'desc' }]
+    });
+  });
+
+  it('falls back to the default sort', () => {
+    expect(sanitizeView({ sort: [] }).sort).toEqual(DEFAULT_VIEW.sort);
+    expect(sanitizeView(null)).toEqual(DEFAULT_VIEW);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Profiler Store
+ *
+ * Collects React.Profiler measurements for the render profiler panel and
+ * groups them by interaction (the user event that caused the commits).
+ *
+ *   interactions: [{
+ *     id, label: 'change "Search items..."', startedAt,
+ *     commits: [{
+ *       commitTime, phase, actualDuration, baseDuration,
+ *       components: { ItemList: { count, actualDuration, baseDuration } }
+ *     }]
+ *   }]
+ *
+ * During a commit React calls onRender child-first, so tracked components are
+ * buffered by recordComponent() and attached to the commit when the root
+ * Profiler reports it via recordCommit(). Subscribers are notified once per commit.
+ */
+
+import { createContext } from 'react';
+
+export const MAX_INTERACTIONS = 50;
+
+// Provided by RenderProfiler; null means "not profiling"
+export const ProfilerContext = createContext(null);
+
+let nextInteractionId = 1;
+
+function createInteraction(label) {
+  return { id: nextInteractionId++, label, startedAt: Date.now(), commits: [] };
+}
+
+export function createProfilerStore() {
+  const listeners = new Set();
+  let state = { commitCount: 0, interactions: [createInteraction('mount')] };
+  let pendingComponents = {};
+
+  const setState = (nextState) => {
+    state = nextState;
+    listeners.forEach(listener => listener());
+  };
+
+  const replaceLast = (interaction) => [...state.interactions.slice(0, -1), interaction];
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getSnapshot() {
+      return state;
+    },
+
+    /**
+     * A user event happened: following commits belong to a new interaction.
+     * If the current one caused no commits yet (e.g. keydown before change), it is relabelled instead.
+     */
+    startInteraction(label) {
+      const current = state.interactions[state.interactions.length - 1];
+      const interactions = current.commits.length === 0
+        ? replaceLast({ ...current, label })
+        : [...state.interactions, createInteraction(label)].slice(-MAX_INTERACTIONS);
+      setState({ ...state, interactions });
+    },
+
+    recordComponent(name, actualDuration, baseDuration) {
+      const previous = pendingComponents[name] || { count: 0, actualDuration: 0, baseDuration: 0 };
+      pendingComponents[name] = {
+        count: previous.count + 1,
+        actualDuration: previous.actualDuration + actualDuration,
+        baseDuration: previous.baseDuration + baseDuration
+      };
+    },
+
+    recordCommit(phase, actualDuration, baseDuration, commitTime) {
+      const commit = { commitTime, phase, actualDuration, baseDuration, components: pendingComponents };
+      pendingComponents = {};
+
+      const current = state.interactions[state.interactions.length - 1];
+      setState({
+        commitCount: state.commitCount + 1,
+        interactions: replaceLast({ ...current, commits: [...current.commits, commit] })
+      });
+    },
+
+    clear() {
+      pendingComponents = {};
+      setState({ commitCount: 0, interactions: [createInteraction('cleared')] });
+    }
+  };
+}
+
+/**
+ * Helper: totals for one interaction, components sorted by time spent
+ */
+export function summarizeInteraction(interaction) {
+  const components = {};
+  let actualDuration = 0;
+  let baseDuration = 0;
+
+  interaction.commits.forEach(commit => {
+    actualDuration += commit.actualDuration;
+    baseDuration += commit.baseDuration;
+    Object.entries(commit.components).forEach(([name, stats]) => {
+      const previous = components[name] || { count: 0, actualDuration: 0 };
+      components[name] = {
+        count: previous.count + stats.count,
+        actualDuration: previous.actualDuration + stats.actualDuration
+      };
+    });
+  });
+
+  return {
+    commits: interaction.commits.length,
+    actualDuration,
+    baseDuration,
+    components: Object.entries(components)
+      .map(([name, stats]) => ({ name, ...stats }))
+      .sort((a, b) => b.actualDuration - a.actualDuration)
+  };
+}
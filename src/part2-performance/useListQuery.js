@@ -0,0 +1,100 @@
+/**
+ * Custom Hook: useListQuery
+ *
+ * Filters, sorts and aggregates a list, either with useMemo on the main thread
+ * or in a Web Worker so typing stays responsive on large datasets.
+ *
+ *   const { items, stats, pending, mode } = useListQuery(allItems, query, { offload: true });
+ *
+ * - `query` should be memoized: every new object starts a new request
+ * - only the newest request's response is used; stale ones are ignored
+ * - falls back to the main thread when Worker is unavailable (e.g. jsdom) or fails
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { runListQuery } from './listQuery';
+
+export function canUseWorkers() {
+  return typeof window !== 'undefined' && typeof window.Worker === 'function';
+}
+
+function createListQueryWorker() {
+  return new Worker(new URL('./listQuery.worker.js', import.meta.url));
+}
+
+export function useListQuery(items, query, { offload = false } = {}) {
+  const [worker, setWorker] = useState(null);
+  const [workerFailed, setWorkerFailed] = useState(false);
+  const [workerResult, setWorkerResult] = useState(null);
+  const [latestRequestId, setLatestRequestId] = useState(0);
+
+  const latestRequest = useRef({ id: 0, items: null });
+  const sentItems = useRef(null);
+
+  useEffect(() => {
+    if (!offload || workerFailed || !canUseWorkers()) return undefined;
+
+    let instance;
+    try {
+      instance = createListQueryWorker();
+    } catch (error) {
+      console.warn('Web Worker unavailable, filtering on the main thread:', error);
+      setWorkerFailed(true);
+      return undefined;
+    }
+
+    instance.onmessage = ({ data }) => {
+      const request = latestRequest.current;
+      if (data.id !== request.id) return; // stale
+
+      setWorkerResult({
+        id: data.id,
+        items: Array.from(data.indexes, index => request.items[index]),
+        stats: data.stats
+      });
+    };
+    instance.onerror = (event) => {
+      console.warn('List worker failed, filtering on the main thread:', event.message);
+      setWorkerFailed(true);
+    };
+
+    setWorker(instance);
+    return () => {
+      instance.terminate();
+      sentItems.current = null;
+      setWorker(null);
+      setWorkerResult(null);
+    };
+  }, [offload, workerFailed]);
+
+  useEffect(() => {
+    if (!worker) return;
+
+    const id = latestRequest.current.id + 1;
+    latestRequest.current = { id, items };
+    if (sentItems.current !== items) {
+      worker.postMessage({ type: 'items', items });
+      sentItems.current = items;
+    }
+    worker.postMessage({ type: 'query', id, query });
+    setLatestRequestId(id);
+  }, [worker, items, query]);
+
+  // Until the worker has answered once, compute on the main thread
+  const onMainThread = !worker || !workerResult;
+  const mainResult = useMemo(() => {
+    if (!onMainThread) return null;
+    console.log('Recalculating filtered list...');
+    return runListQuery(items, query);
+  }, [onMainThread, items, query]);
+
+  if (onMainThread) {
+    return { ...mainResult, pending: false, mode: 'main' };
+  }
+  return {
+    items: workerResult.items,
+    stats: workerResult.stats,
+    pending: workerResult.id !== latestRequestId,
+    mode: 'worker'
+  };
+}
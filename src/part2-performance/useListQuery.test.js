@@ -0,0 +1,183 @@
+import { act, renderHook } from '@testing-library/react';
+import { computeListStats, queryListIndexes, runListQuery } from './listQuery';
+import { useListQuery } from './useListQuery';
+
+const ITEMS = [
+  { id: 1, name: 'Item 1', score: 50, category: 'A' },
+  { id: 2, name: 'Item 2', score: 90, category: 'B' },
+  { id: 3, name: 'Item 3', score: 10, category: 'A' },
+  { id: 12, name: 'Item 12', score: 70, category: 'C' }
+];
+
+// Records messages; tests answer them by hand, in any order
+class FakeWorker {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.messages = [];
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  queries() {
+    return this.messages.filter(message => message.type === 'query');
+  }
+
+  // Answer a query the way listQuery.worker.js would
+  respond(query, items = ITEMS) {
+    const indexes = queryListIndexes(items, query.query);
+    act(() => {
+      this.onmessage({ data: { id: query.id, indexes: Int32Array.from(indexes), stats: computeListStats(items, indexes.length) } });
+    });
+  }
+}
+
+describe('listQuery', () => {
+  it('filters by text and category and sorts', () => {
+    expect(queryListIndexes(ITEMS, { filterText: 'item 1' })).toEqual([0, 3]);
+    expect(queryListIndexes(ITEMS, { filterCategory: 'A', sort: [{ key: 'score', direction: 'desc' }] })).toEqual([0, 2]);
+    expect(queryListIndexes(ITEMS, { sort: [{ key: 'name', direction: 'asc' }] })).toEqual([0, 3, 1, 2]);
+  });
+
+  it('sorts by several keys in order', () => {
+    const sort = [{ key: 'category', direction: 'asc' }, { key: 'score', direction: 'desc' }];
+
+    expect(queryListIndexes(ITEMS, { sort })).toEqual([0, 2, 1, 3]);
+  });
+
+  it('filters by score range, inclusive', () => {
+    expect(queryListIndexes(ITEMS, { minScore: 50, maxScore: 70 })).toEqual([0, 3]);
+    expect(queryListIndexes(ITEMS, { minScore: '', maxScore: 10 })).toEqual([2]);
+  });
+
+  it('combines builder conditions with match all or any', () => {
+    const conditions = [
+      { field: 'category', operator: 'equals', value: 'a' },
+      { field: 'score', operator: 'gt', value: '20' }
+    ];
+
+    expect(queryListIndexes(ITEMS, { conditions, match: 'all' })).toEqual([0]);
+    expect(queryListIndexes(ITEMS, { conditions, match: 'any' })).toEqual([0, 1, 2, 3]);
+  });
+
+  it('ignores incomplete conditions', () => {
+    const conditions = [
+      { field: 'name', operator: 'contains', value: '' },
+      { field: 'score', operator: 'lt', value: 'abc' }
+    ];
+
+    expect(queryListIndexes(ITEMS, { conditions, match: 'any' })).toHaveLength(4);
+  });
+
+  it('computes stats over the whole dataset', () => {
+    expect(runListQuery(ITEMS, { filterCategory: 'A' }).stats).toEqual({
+      total: 4,
+      filtered: 2,
+      avgScore: 55,
+      categories: ['A', 'B', 'C']
+    });
+  });
+});
+
+describe('useListQuery', () => {
+  const originalWorker = window.Worker;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    FakeWorker.instances = [];
+  });
+
+  afterEach(() => {
+    window.Worker = originalWorker;
+    console.log.mockRestore();
+  });
+
+  it('runs on the main thread when Worker is unavailable', () => {
+    const query = { filterText: '2' };
+    const { result } = renderHook(() => useListQuery(ITEMS, query, { offload: true }));
+
+    expect(result.current.mode).toBe('main');
+    expect(result.current.items.map(item => item.id)).toEqual([2, 12]);
+    expect(result.current.stats.filtered).toBe(2);
+  });
+
+  it('uses the worker result once it arrives', () => {
+    window.Worker = FakeWorker;
+    const query = { filterCategory: 'A', sort: [{ key: 'score', direction: 'desc' }] };
+    const { result } = renderHook(() => useListQuery(ITEMS, query, { offload: true }));
+
+    const worker = FakeWorker.instances[0];
+    expect(worker.messages[0]).toEqual({ type: 'items', items: ITEMS });
+    expect(worker.queries()).toHaveLength(1);
+
+    worker.respond(worker.queries()[0]);
+
+    expect(result.current.mode).toBe('worker');
+    expect(result.current.pending).toBe(false);
+    expect(result.current.items.map(item => item.id)).toEqual([1, 3]);
+  });
+
+  it('ignores responses to stale queries', () => {
+    window.Worker = FakeWorker;
+    const { result, rerender } = renderHook(
+      ({ query }) => useListQuery(ITEMS, query, { offload: true }),
+      { initialProps: { query: {} } }
+    );
+    const worker = FakeWorker.instances[0];
+    worker.respond(worker.queries()[0]);
+
+    rerender({ query: { filterText: 'Item 1' } });
+    rerender({ query: { filterText: 'Item 12' } });
+    const [, stale, latest] = worker.queries();
+
+    expect(result.current.pending).toBe(true);
+    // Items are only sent again when they change
+    expect(worker.messages.filter(message => message.type === 'items')).toHaveLength(1);
+
+    worker.respond(latest);
+    worker.respond(stale);
+
+    expect(result.current.pending).toBe(false);
+    expect(result.current.items.map(item => item.id)).toEqual([12]);
+  });
+
+  it('terminates the worker when offloading is turned off', () => {
+    window.Worker = FakeWorker;
+    const query = {};
+    const { result, rerender } = renderHook(
+      ({ offload }) => useListQuery(ITEMS, query, { offload }),
+      { initialProps: { offload: true } }
+    );
+    const worker = FakeWorker.instances[0];
+    worker.respond(worker.queries()[0]);
+
+    rerender({ offload: false });
+
+    expect(worker.terminated).toBe(true);
+    expect(result.current.mode).toBe('main');
+  });
+
+  it('falls back to the main thread if the worker errors', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    window.Worker = FakeWorker;
+    const query = { filterCategory: 'B' };
+    const { result } = renderHook(() => useListQuery(ITEMS, query, { offload: true }));
+    const worker = FakeWorker.instances[0];
+
+    act(() => worker.onerror({ message: 'boom' }));
+
+    expect(worker.terminated).toBe(true);
+    expect(result.current.mode).toBe('main');
+    expect(result.current.items.map(item => item.id)).toEqual([2]);
+    console.warn.mockRestore();
+  });
+});
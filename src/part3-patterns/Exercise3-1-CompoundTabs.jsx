@@ -11,26 +11,115 @@
  * - Support keyboard navigation
  */
 
-import React, { createContext, useContext, useState, Children } from 'react';
+import React, { createContext, useContext, useState, useId, lazy, Suspense } from 'react';
 
 // Create Context for Tabs
 const TabsContext = createContext();
 
+// How inactive panels are handled:
+// - unmount: only the active panel is mounted (state is lost on switch)
+// - lazy-keep-alive: mount on first visit, then keep mounted but hidden
+// - eager: mount every panel up front, hide the inactive ones
+const MOUNT_STRATEGIES = ['unmount', 'lazy-keep-alive', 'eager'];
+
+// Arrow keys that move focus, per orientation
+const NAVIGATION_KEYS = {
+  horizontal: { prev: 'ArrowLeft', next: 'ArrowRight' },
+  vertical: { prev: 'ArrowUp', next: 'ArrowDown' }
+};
+
+/**
+ * Helper: Read the Tabs context, failing loudly outside <Tabs>
+ */
+function useTabsContext() {
+  const context = useContext(TabsContext);
+  if (!context) {
+    throw new Error('Tab components must be used within Tabs');
+  }
+  return context;
+}
+
+/**
+ * Helper: Tabs and panels are identified by `value` (string or number),
+ * falling back to the numeric `index` prop
+ */
+function getTabKey(value, index) {
+  return value !== undefined ? value : index;
+}
+
+/**
+ * Helper: Turn a tab key into something safe to use inside a DOM id
+ */
+function toIdSegment(key) {
+  return String(key).replace(/\s+/g, '-');
+}
+
 /**
  * Parent Component: Tabs
  * Manages the active tab state and provides it to children
+ *
+ * Uncontrolled: pass `defaultTab` and let Tabs own the state.
+ * Controlled: pass `value` and `onChange` to drive it from a URL or a store.
+ *
+ * activation="automatic" selects a tab as soon as it receives focus,
+ * activation="manual" only moves focus and waits for Enter/Space.
+ *
+ * mountStrategy controls whether inactive panels keep their state
+ * (see MOUNT_STRATEGIES).
  */
-export function Tabs({ children, defaultTab = 0, onTabChange }) {
-  const [activeTab, setActiveTab] = useState(defaultTab);
+export function Tabs({
+  children,
+  defaultTab = 0,
+  value,
+  onChange,
+  onTabChange,
+  activation = 'automatic',
+  orientation = 'horizontal',
+  mountStrategy = 'unmount'
+}) {
+  if (!MOUNT_STRATEGIES.includes(mountStrategy)) {
+    throw new Error(`Unknown mountStrategy "${mountStrategy}"`);
+  }
+
+  const [uncontrolledTab, setUncontrolledTab] = useState(defaultTab);
+  const baseId = useId();
 
-  const handleTabChange = (index) => {
-    setActiveTab(index);
-    onTabChange?.(index);
+  const isControlled = value !== undefined;
+  const activeTab = isControlled ? value : uncontrolledTab;
+
+  // Remember visited tabs so lazy-keep-alive panels stay mounted.
+  // Updated during render so controlled value changes are tracked too.
+  const [visitedTabs, setVisitedTabs] = useState(() => new Set([activeTab]));
+  if (!visitedTabs.has(activeTab)) {
+    setVisitedTabs(new Set(visitedTabs).add(activeTab));
+  }
+
+  const handleTabChange = (key) => {
+    if (key === activeTab) return;
+    if (!isControlled) setUncontrolledTab(key);
+    onChange?.(key);
+    onTabChange?.(key);
+  };
+
+  const contextValue = {
+    activeTab,
+    setActiveTab: handleTabChange,
+    activation,
+    orientation,
+    mountStrategy,
+    visitedTabs,
+    getTabId: (key) => `${baseId}-tab-${toIdSegment(key)}`,
+    getPanelId: (key) => `${baseId}-panel-${toIdSegment(key)}`
   };
 
   return (
-    <TabsContext.Provider value={{ activeTab, setActiveTab: handleTabChange }}>
-      <div style={{ border: '1px solid #ddd', borderRadius: '8px', overflow: 'hidden' }}>
+    <TabsContext.Provider value={contextValue}>
+      <div style={{
+        display: orientation === 'vertical' ? 'flex' : 'block',
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        overflow: 'hidden'
+      }}>
         {children}
       </div>
     </TabsContext.Provider>
@@ -39,15 +128,59 @@ export function Tabs({ children, defaultTab = 0, onTabChange }) {
 
 /**
  * Child Component: TabList
- * Container for tab buttons
+ * Container for tab buttons, handles Arrow/Home/End keyboard navigation.
+ * Disabled tabs are skipped.
  */
-export function TabList({ children }) {
+export function TabList({ children, 'aria-label': ariaLabel }) {
+  const { activation, orientation } = useTabsContext();
+  const keys = NAVIGATION_KEYS[orientation];
+
+  const handleKeyDown = (e) => {
+    const tabs = Array.from(e.currentTarget.querySelectorAll('[role="tab"]:not([disabled])'));
+    const currentIndex = tabs.indexOf(document.activeElement);
+    if (currentIndex === -1) return;
+
+    let nextIndex;
+    switch (e.key) {
+      case keys.next:
+        nextIndex = (currentIndex + 1) % tabs.length;
+        break;
+      case keys.prev:
+        nextIndex = (currentIndex - 1 + tabs.length) % tabs.length;
+        break;
+      case 'Home':
+        nextIndex = 0;
+        break;
+      case 'End':
+        nextIndex = tabs.length - 1;
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    tabs[nextIndex].focus();
+    if (activation === 'automatic') {
+      tabs[nextIndex].click();
+    }
+  };
+
+  const isVertical = orientation === 'vertical';
+
   return (
-    <div style={{
-      display: 'flex',
-      borderBottom: '2px solid #eee',
-      backgroundColor: '#f9f9f9'
-    }}>
+    <div
+      role="tablist"
+      aria-label={ariaLabel}
+      aria-orientation={orientation}
+      onKeyDown={handleKeyDown}
+      style={{
+        display: 'flex',
+        flexDirection: isVertical ? 'column' : 'row',
+        borderBottom: isVertical ? 'none' : '2px solid #eee',
+        borderRight: isVertical ? '2px solid #eee' : 'none',
+        backgroundColor: '#f9f9f9'
+      }}
+    >
       {children}
     </div>
   );
@@ -55,24 +188,38 @@ export function TabList({ children }) {
 
 /**
  * Child Component: TabButton
- * Individual tab button
+ * Individual tab button, only the active tab is in the Tab order (roving tabindex)
  */
-export function TabButton({ children, index }) {
-  const { activeTab, setActiveTab } = useContext(TabsContext);
-  const isActive = activeTab === index;
+export function TabButton({ children, value, index, disabled = false }) {
+  const { activeTab, setActiveTab, orientation, getTabId, getPanelId } = useTabsContext();
+  const key = getTabKey(value, index);
+  const isActive = activeTab === key;
+  const indicator = isActive ? '3px solid #51cf66' : '3px solid transparent';
 
   return (
     <button
-      onClick={() => setActiveTab(index)}
+      type="button"
+      role="tab"
+      id={getTabId(key)}
+      aria-selected={isActive}
+      aria-controls={getPanelId(key)}
+      tabIndex={isActive ? 0 : -1}
+      disabled={disabled}
+      onClick={() => {
+        if (!disabled) setActiveTab(key);
+      }}
       style={{
-        flex: 1,
+        flex: orientation === 'vertical' ? 'none' : 1,
         padding: '12px 16px',
         border: 'none',
         backgroundColor: isActive ? 'white' : '#f9f9f9',
-        borderBottom: isActive ? '3px solid #51cf66' : '3px solid transparent',
-        cursor: 'pointer',
+        borderBottom: orientation === 'vertical' ? 'none' : indicator,
+        borderRight: orientation === 'vertical' ? indicator : 'none',
+        cursor: disabled ? 'not-allowed' : 'pointer',
         fontWeight: isActive ? 'bold' : 'normal',
         color: isActive ? '#51cf66' : '#666',
+        opacity: disabled ? 0.5 : 1,
+        textAlign: orientation === 'vertical' ? 'left' : 'center',
         transition: 'all 0.3s ease'
       }}
     >
@@ -84,39 +231,75 @@ export function TabButton({ children, index }) {
 /**
  * Child Component: TabPanel
  * Content area for each tab
+ *
+ * Pass `fallback` when the panel content is lazy (React.lazy / Suspense):
+ * the panel shows it while loading instead of suspending the whole Tabs.
  */
-export function TabPanel({ children, index }) {
-  const { activeTab } = useContext(TabsContext);
+export function TabPanel({ children, value, index, fallback }) {
+  const { activeTab, orientation, mountStrategy, visitedTabs, getTabId, getPanelId } = useTabsContext();
+  const key = getTabKey(value, index);
+  const isActive = activeTab === key;
 
-  if (activeTab !== index) return null;
+  const shouldMount =
+    isActive ||
+    mountStrategy === 'eager' ||
+    (mountStrategy === 'lazy-keep-alive' && visitedTabs.has(key));
+
+  if (!shouldMount) return null;
 
   return (
-    <div style={{ padding: '20px', animation: 'fadeIn 0.3s ease' }}>
+    <div
+      role="tabpanel"
+      id={getPanelId(key)}
+      aria-labelledby={getTabId(key)}
+      tabIndex={0}
+      hidden={!isActive}
+      style={{
+        flex: orientation === 'vertical' ? 1 : 'none',
+        padding: '20px',
+        animation: 'fadeIn 0.3s ease'
+      }}
+    >
       <style>{`
         @keyframes fadeIn {
           from { opacity: 0; transform: translateY(5px); }
           to { opacity: 1; transform: translateY(0); }
         }
       `}</style>
-      {children}
+      {fallback !== undefined ? (
+        <Suspense fallback={fallback}>{children}</Suspense>
+      ) : (
+        children
+      )}
     </div>
   );
 }
 
+/**
+ * Lazy panel content (simulated network delay, like Exercise 2.3)
+ */
+const ApiReference = lazy(() =>
+  new Promise(resolve =>
+    setTimeout(() => resolve({
+      default: () => (
+        <div>
+          <p><strong>Tabs Component:</strong> Container for all tab components</p>
+          <p><strong>TabList Component:</strong> Wrapper for tab buttons</p>
+          <p><strong>TabButton Component:</strong> Individual tab button</p>
+          <p><strong>TabPanel Component:</strong> Content for each tab</p>
+        </div>
+      )
+    }), 1000)
+  )
+);
+
 /**
  * Example: Documentation Tabs
  */
 export function DocumentationTabs() {
-  const [loadedTabs, setLoadedTabs] = useState(new Set([0]));
-
-  const handleTabChange = (index) => {
-    // Lazy load content (simulated)
-    setLoadedTabs(prev => new Set(prev).add(index));
-  };
-
   return (
-    <Tabs onTabChange={handleTabChange}>
-      <TabList>
+    <Tabs mountStrategy="lazy-keep-alive">
+      <TabList aria-label="Documentation">
         <TabButton index={0}>📘 Installation</TabButton>
         <TabButton index={1}>🚀 Getting Started</TabButton>
         <TabButton index={2}>📚 API Reference</TabButton>
@@ -145,18 +328,9 @@ npm install @react-advanced/tabs
         </pre>
       </TabPanel>
 
-      <TabPanel index={2}>
+      <TabPanel index={2} fallback={<p>Loading...</p>}>
         <h4>API Reference</h4>
-        {loadedTabs.has(2) ? (
-          <div>
-            <p><strong>Tabs Component:</strong> Container for all tab components</p>
-            <p><strong>TabList Component:</strong> Wrapper for tab buttons</p>
-            <p><strong>TabButton Component:</strong> Individual tab button</p>
-            <p><strong>TabPanel Component:</strong> Content for each tab</p>
-          </div>
-        ) : (
-          <p>Loading...</p>
-        )}
+        <ApiReference />
       </TabPanel>
 
       <TabPanel index={3}>
@@ -178,8 +352,8 @@ npm install @react-advanced/tabs
  */
 export function SettingsTabs() {
   return (
-    <Tabs defaultTab={0}>
-      <TabList>
+    <Tabs defaultTab={0} activation="manual" mountStrategy="lazy-keep-alive">
+      <TabList aria-label="Settings">
         <TabButton index={0}>⚙️ Account</TabButton>
         <TabButton index={1}>🔔 Notifications</TabButton>
         <TabButton index={2}>🔐 Privacy</TabButton>
@@ -231,18 +405,73 @@ export function SettingsTabs() {
   );
 }
 
+/**
+ * Example: Controlled, Vertical Product Tabs
+ * The parent owns the active tab (string ids) and can change it from outside
+ */
+export function ProductTabs() {
+  const [activeTab, setActiveTab] = useState('specs');
+
+  return (
+    <div>
+      <div style={{ marginBottom: '10px', display: 'flex', gap: '5px', alignItems: 'center' }}>
+        <span>Active tab (from parent): <strong>{activeTab}</strong></span>
+        <button onClick={() => setActiveTab('specs')}>Show Specs</button>
+        <button onClick={() => setActiveTab('reviews')}>Show Reviews</button>
+      </div>
+
+      <Tabs value={activeTab} onChange={setActiveTab} orientation="vertical">
+        <TabList aria-label="Product details">
+          <TabButton value="specs">📋 Specs</TabButton>
+          <TabButton value="reviews">⭐ Reviews</TabButton>
+          <TabButton value="qa" disabled>❓ Q&A (coming soon)</TabButton>
+          <TabButton value="shipping">🚚 Shipping</TabButton>
+        </TabList>
+
+        <TabPanel value="specs">
+          <h4>Specifications</h4>
+          <p>Weight: 1.2kg | Battery: 10h | Warranty: 2 years</p>
+        </TabPanel>
+
+        <TabPanel value="reviews">
+          <h4>Reviews</h4>
+          <p>⭐⭐⭐⭐⭐ "Works exactly as described."</p>
+        </TabPanel>
+
+        <TabPanel value="qa">
+          <h4>Questions & Answers</h4>
+        </TabPanel>
+
+        <TabPanel value="shipping">
+          <h4>Shipping</h4>
+          <p>Free shipping on orders over $50.</p>
+        </TabPanel>
+      </Tabs>
+    </div>
+  );
+}
+
 // Complete Example
 export function Exercise31Complete() {
   return (
     <div style={{ padding: '20px', backgroundColor: '#f5f5f5' }}>
       <h2>Exercise 3.1: The Compound Tabs Component</h2>
       <p>The Compound Component pattern allows flexible, composable components!</p>
+      <p style={{ fontSize: '12px', color: '#666' }}>
+        ⌨️ Focus a tab and use Arrow keys, Home and End to move between tabs.
+        Documentation tabs activate on focus; Settings tabs wait for Enter or Space.
+        Vertical tabs use Up/Down and skip disabled tabs.
+        Documentation and Settings tabs keep visited panels mounted, so inputs and scroll position survive a switch.
+      </p>
       
       <h3>Documentation Tabs</h3>
       <DocumentationTabs />
 
       <h3 style={{ marginTop: '30px' }}>Settings Tabs</h3>
       <SettingsTabs />
+
+      <h3 style={{ marginTop: '30px' }}>Controlled Vertical Tabs</h3>
+      <ProductTabs />
     </div>
   );
 }
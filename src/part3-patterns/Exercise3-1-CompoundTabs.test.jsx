@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Tabs, TabList, TabButton, TabPanel } from './Exercise3-1-CompoundTabs';
+
+function renderTabs(props = {}) {
+  return render(
+    <Tabs {...props}>
+      <TabList aria-label="Example">
+        <TabButton index={0}>One</TabButton>
+        <TabButton index={1}>Two</TabButton>
+        <TabButton index={2} disabled>Three</TabButton>
+        <TabButton index={3}>Four</TabButton>
+      </TabList>
+      <TabPanel index={0}>Panel one <input aria-label="Draft" /></TabPanel>
+      <TabPanel index={1}>Panel two</TabPanel>
+      <TabPanel index={2}>Panel three</TabPanel>
+      <TabPanel index={3}>Panel four</TabPanel>
+    </Tabs>
+  );
+}
+
+describe('Tabs', () => {
+  it('links tabs and panels with ARIA attributes', () => {
+    renderTabs();
+
+    const tab = screen.getByRole('tab', { name: 'One' });
+    const panel = screen.getByRole('tabpanel');
+
+    expect(screen.getByRole('tablist')).toHaveAttribute('aria-label', 'Example');
+    expect(tab).toHaveAttribute('aria-selected', 'true');
+    expect(tab).toHaveAttribute('aria-controls', panel.id);
+    expect(panel).toHaveAttribute('aria-labelledby', tab.id);
+  });
+
+  it('switches panels on click', () => {
+    renderTabs();
+
+    userEvent.click(screen.getByRole('tab', { name: 'Two' }));
+
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Panel two');
+    expect(screen.getByRole('tab', { name: 'Two' })).toHaveAttribute('aria-selected', 'true');
+  });
+
+  it('starts on defaultTab and reports changes', () => {
+    const onTabChange = jest.fn();
+    renderTabs({ defaultTab: 1, onTabChange });
+
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Panel two');
+
+    userEvent.click(screen.getByRole('tab', { name: 'Four' }));
+    expect(onTabChange).toHaveBeenCalledWith(3);
+  });
+
+  it('moves with arrow keys, skipping disabled tabs', () => {
+    renderTabs({ defaultTab: 1 });
+
+    screen.getByRole('tab', { name: 'Two' }).focus();
+    userEvent.keyboard('{arrowright}');
+
+    expect(screen.getByRole('tab', { name: 'Four' })).toHaveFocus();
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Panel four');
+
+    userEvent.keyboard('{home}');
+    expect(screen.getByRole('tab', { name: 'One' })).toHaveFocus();
+  });
+
+  it('waits for Enter with manual activation', () => {
+    renderTabs({ activation: 'manual' });
+
+    screen.getByRole('tab', { name: 'One' }).focus();
+    userEvent.keyboard('{arrowright}');
+
+    expect(screen.getByRole('tab', { name: 'Two' })).toHaveFocus();
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Panel one');
+
+    userEvent.keyboard('{enter}');
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Panel two');
+  });
+
+  it('follows a controlled value', () => {
+    function Controlled() {
+      const [tab, setTab] = useState(0);
+      return (
+        <>
+          <button onClick={() => setTab(3)}>Jump</button>
+          <Tabs value={tab} onChange={setTab}>
+            <TabList>
+              <TabButton index={0}>One</TabButton>
+              <TabButton index={3}>Four</TabButton>
+            </TabList>
+            <TabPanel index={0}>Panel one</TabPanel>
+            <TabPanel index={3}>Panel four</TabPanel>
+          </Tabs>
+        </>
+      );
+    }
+    render(<Controlled />);
+
+    userEvent.click(screen.getByText('Jump'));
+
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Panel four');
+  });
+
+  it('keeps visited panels mounted with lazy-keep-alive', () => {
+    renderTabs({ mountStrategy: 'lazy-keep-alive' });
+
+    userEvent.type(screen.getByLabelText('Draft'), 'kept');
+    userEvent.click(screen.getByRole('tab', { name: 'Two' }));
+    userEvent.click(screen.getByRole('tab', { name: 'One' }));
+
+    expect(screen.getByLabelText('Draft')).toHaveValue('kept');
+    expect(screen.queryByText('Panel four')).not.toBeInTheDocument();
+  });
+
+  it('unmounts inactive panels by default', () => {
+    renderTabs();
+
+    userEvent.type(screen.getByLabelText('Draft'), 'lost');
+    userEvent.click(screen.getByRole('tab', { name: 'Two' }));
+    userEvent.click(screen.getByRole('tab', { name: 'One' }));
+
+    expect(screen.getByLabelText('Draft')).toHaveValue('');
+  });
+
+  it('throws when a part is used outside Tabs', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => render(<TabButton index={0}>Orphan</TabButton>)).toThrow();
+
+    console.error.mockRestore();
+  });
+});
@@ -11,97 +11,16 @@
  * - Handle focus management and keyboard events
  */
 
-import React, { useState, useEffect } from 'react';
-// Note: In a real app, this would be: import ReactDOM from 'react-dom';
-// For this demo, we'll implement a simple portal-like solution
-
-/**
- * Portal Component: Similar to ReactDOM.createPortal
- * Creates a modal at the root of the page
- */
-function PortalModal({ children, isOpen, onClose }) {
-  useEffect(() => {
-    if (!isOpen) return;
-
-    // Handle Escape key
-    const handleKeyDown = (e) => {
-      if (e.key === 'Escape') onClose();
-    };
-
-    document.addEventListener('keydown', handleKeyDown);
-    return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [isOpen, onClose]);
-
-  if (!isOpen) return null;
-
-  return (
-    <div style={{
-      position: 'fixed',
-      top: 0,
-      left: 0,
-      right: 0,
-      bottom: 0,
-      zIndex: 1000
-    }}>
-      {/* Backdrop */}
-      <div
-        onClick={onClose}
-        style={{
-          position: 'fixed',
-          top: 0,
-          left: 0,
-          right: 0,
-          bottom: 0,
-          backgroundColor: 'rgba(0, 0, 0, 0.5)',
-          animation: 'fadeIn 0.2s ease'
-        }}
-      />
-
-      {/* Modal Content */}
-      <div
-        onClick={(e) => e.stopPropagation()}
-        style={{
-          position: 'fixed',
-          top: '50%',
-          left: '50%',
-          transform: 'translate(-50%, -50%)',
-          backgroundColor: 'white',
-          borderRadius: '8px',
-          boxShadow: '0 10px 40px rgba(0, 0, 0, 0.3)',
-          zIndex: 1001,
-          maxHeight: '90vh',
-          maxWidth: '90vw',
-          overflow: 'auto',
-          animation: 'slideUp 0.3s ease'
-        }}
-      >
-        <style>{`
-          @keyframes fadeIn {
-            from { opacity: 0; }
-            to { opacity: 1; }
-          }
-          @keyframes slideUp {
-            from {
-              opacity: 0;
-              transform: translate(-50%, -45%);
-            }
-            to {
-              opacity: 1;
-              transform: translate(-50%, -50%);
-            }
-          }
-        `}</style>
-        {children}
-      </div>
-    </div>
-  );
-}
+import React, { useState, useId } from 'react';
+import { ModalProvider, PortalModal, useModal } from './ModalManager';
+import { ToastProvider, useToast } from './Toast';
 
 /**
  * Simple Modal Component
  */
 export function SimpleModal() {
   const [isOpen, setIsOpen] = useState(false);
+  const titleId = useId();
 
   return (
     <div style={{ padding: '20px', border: '1px solid blue' }}>
@@ -120,9 +39,9 @@ export function SimpleModal() {
         Open Modal
       </button>
 
-      <PortalModal isOpen={isOpen} onClose={() => setIsOpen(false)}>
+      <PortalModal isOpen={isOpen} onClose={() => setIsOpen(false)} labelledBy={titleId}>
         <div style={{ padding: '30px' }}>
-          <h3>Hello from Portal! 👋</h3>
+          <h3 id={titleId}>Hello from Portal! 👋</h3>
           <p>This modal is rendered outside the normal DOM hierarchy using Portals.</p>
           <p>Click the backdrop or press ESC to close.</p>
           <button
@@ -151,6 +70,7 @@ export function SimpleModal() {
 export function AlertModal() {
   const [isOpen, setIsOpen] = useState(false);
   const [alertType, setAlertType] = useState('info');
+  const titleId = useId();
 
   const showAlert = (type) => {
     setAlertType(type);
@@ -220,14 +140,14 @@ export function AlertModal() {
         </button>
       </div>
 
-      <PortalModal isOpen={isOpen} onClose={() => setIsOpen(false)}>
+      <PortalModal isOpen={isOpen} onClose={() => setIsOpen(false)} labelledBy={titleId}>
         <div style={{
           padding: '30px',
           borderTop: `4px solid ${content.color}`,
           minWidth: '300px'
         }}>
           <div style={{ fontSize: '32px', marginBottom: '10px' }}>{content.icon}</div>
-          <h3 style={{ color: content.color, margin: '0 0 10px 0' }}>{content.title}</h3>
+          <h3 id={titleId} style={{ color: content.color, margin: '0 0 10px 0' }}>{content.title}</h3>
           <p style={{ margin: '0 0 20px 0', color: '#666' }}>{content.message}</p>
           <button
             onClick={() => setIsOpen(false)}
@@ -250,17 +170,86 @@ export function AlertModal() {
 
 /**
  * Nested Modals Component
+ * Each level is pushed onto the modal stack, so z-indices and Escape
+ * handling come from the ModalProvider instead of per-level booleans
  */
+const NESTED_LEVELS = [
+  { minWidth: '400px', text: 'You can open another modal from here!', nextColor: '#748ffc', nextTextColor: 'white' },
+  { minWidth: '350px', text: 'Keep going deeper...', nextColor: '#ffd43b', nextTextColor: 'black' },
+  { minWidth: '300px', text: '🎉 Three levels deep!' }
+];
+
+function NestedModalLevel({ level, close, titleId }) {
+  const modal = useModal();
+  const config = NESTED_LEVELS[level - 1];
+  const hasNext = level < NESTED_LEVELS.length;
+
+  return (
+    <div style={{ padding: '30px', minWidth: config.minWidth }}>
+      <h3 id={titleId}>Level {level} Modal</h3>
+      <p>{config.text}</p>
+      <p style={{ fontSize: '12px', color: '#666' }}>Open modals: {modal.openCount}</p>
+      {hasNext && (
+        <button
+          onClick={() => modal.open(({ close, titleId }) => (
+            <NestedModalLevel level={level + 1} close={close} titleId={titleId} />
+          ))}
+          style={{
+            marginRight: '10px',
+            padding: '10px 20px',
+            backgroundColor: config.nextColor,
+            color: config.nextTextColor,
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+        >
+          Open Level {level + 1}
+        </button>
+      )}
+      {hasNext ? (
+        <button
+          onClick={() => close()}
+          style={{
+            padding: '10px 20px',
+            backgroundColor: '#999',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+        >
+          Close
+        </button>
+      ) : (
+        <button
+          onClick={modal.closeAll}
+          style={{
+            padding: '10px 20px',
+            backgroundColor: '#51cf66',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+        >
+          Close All
+        </button>
+      )}
+    </div>
+  );
+}
+
 export function NestedModals() {
-  const [isLevel1Open, setIsLevel1Open] = useState(false);
-  const [isLevel2Open, setIsLevel2Open] = useState(false);
-  const [isLevel3Open, setIsLevel3Open] = useState(false);
+  const modal = useModal();
 
   return (
     <div style={{ padding: '20px', border: '1px solid purple' }}>
       <h4>Nested Modals (Portals)</h4>
       <button
-        onClick={() => setIsLevel1Open(true)}
+        onClick={() => modal.open(({ close, titleId }) => (
+          <NestedModalLevel level={1} close={close} titleId={titleId} />
+        ))}
         style={{
           padding: '10px 20px',
           backgroundColor: '#51cf66',
@@ -272,101 +261,119 @@ export function NestedModals() {
       >
         Open Level 1 Modal
       </button>
+      <p style={{ fontSize: '12px', color: '#666' }}>
+        Press ESC to close only the topmost modal. Tab stays inside the open dialog,
+        and focus returns to the button that opened it.
+      </p>
+    </div>
+  );
+}
 
-      {/* Level 1 Modal */}
-      <PortalModal isOpen={isLevel1Open} onClose={() => setIsLevel1Open(false)}>
-        <div style={{ padding: '30px', minWidth: '400px' }}>
-          <h3>Level 1 Modal</h3>
-          <p>You can open another modal from here!</p>
-          <button
-            onClick={() => setIsLevel2Open(true)}
-            style={{
-              marginRight: '10px',
-              padding: '10px 20px',
-              backgroundColor: '#748ffc',
-              color: 'white',
-              border: 'none',
-              borderRadius: '4px',
-              cursor: 'pointer'
-            }}
-          >
-            Open Level 2
-          </button>
-          <button
-            onClick={() => setIsLevel1Open(false)}
-            style={{
-              padding: '10px 20px',
-              backgroundColor: '#999',
-              color: 'white',
-              border: 'none',
-              borderRadius: '4px',
-              cursor: 'pointer'
-            }}
-          >
-            Close
-          </button>
-        </div>
-      </PortalModal>
+/**
+ * Imperative Confirm Component
+ * Awaits the user's answer from an event handler
+ */
+export function ConfirmModal() {
+  const modal = useModal();
+  const [result, setResult] = useState(null);
 
-      {/* Level 2 Modal */}
-      <PortalModal isOpen={isLevel2Open} onClose={() => setIsLevel2Open(false)}>
-        <div style={{ padding: '30px', minWidth: '350px' }}>
-          <h3>Level 2 Modal</h3>
-          <p>Keep going deeper...</p>
-          <button
-            onClick={() => setIsLevel3Open(true)}
-            style={{
-              marginRight: '10px',
-              padding: '10px 20px',
-              backgroundColor: '#ffd43b',
-              color: 'black',
-              border: 'none',
-              borderRadius: '4px',
-              cursor: 'pointer'
-            }}
-          >
-            Open Level 3
-          </button>
-          <button
-            onClick={() => setIsLevel2Open(false)}
-            style={{
-              padding: '10px 20px',
-              backgroundColor: '#999',
-              color: 'white',
-              border: 'none',
-              borderRadius: '4px',
-              cursor: 'pointer'
-            }}
-          >
-            Close
-          </button>
-        </div>
-      </PortalModal>
+  const handleDelete = async () => {
+    const confirmed = await modal.confirm({
+      title: 'Delete project?',
+      message: 'This cannot be undone.',
+      confirmLabel: 'Delete'
+    });
+    setResult(confirmed ? 'Project deleted' : 'Deletion cancelled');
+  };
 
-      {/* Level 3 Modal */}
-      <PortalModal isOpen={isLevel3Open} onClose={() => setIsLevel3Open(false)}>
-        <div style={{ padding: '30px', minWidth: '300px' }}>
-          <h3>Level 3 Modal</h3>
-          <p>🎉 Three levels deep!</p>
+  return (
+    <div style={{ padding: '20px', border: '1px solid orange' }}>
+      <h4>Imperative Confirm</h4>
+      <button
+        onClick={handleDelete}
+        style={{
+          padding: '10px 20px',
+          backgroundColor: '#f44336',
+          color: 'white',
+          border: 'none',
+          borderRadius: '4px',
+          cursor: 'pointer'
+        }}
+      >
+        Delete Project
+      </button>
+      {result && <p data-testid="confirm-result">{result}</p>}
+    </div>
+  );
+}
+
+/**
+ * Toast Notifications Component
+ * Same four alert types as AlertModal, without blocking the page
+ */
+export function ToastDemo() {
+  const toast = useToast();
+  const [position, setPosition] = useState('top-right');
+
+  const buttons = [
+    { type: 'info', label: 'Info', color: '#2196f3', message: 'This is an informational message.' },
+    { type: 'success', label: 'Success', color: '#4caf50', message: 'Operation completed successfully!' },
+    { type: 'warning', label: 'Warning', color: '#ff9800', message: 'Please pay attention to this warning.' },
+    { type: 'error', label: 'Error', color: '#f44336', message: 'An error occurred. Please try again.' }
+  ];
+
+  const showUndoToast = () => {
+    toast.show({
+      type: 'info',
+      title: 'Item deleted',
+      message: 'The item was moved to the trash.',
+      position,
+      action: { label: 'Undo', onClick: () => toast.success('Item restored', { position }) }
+    });
+  };
+
+  return (
+    <div style={{ padding: '20px', border: '1px solid teal' }}>
+      <h4>Toast Notifications (non-blocking)</h4>
+      <div style={{ marginBottom: '10px' }}>
+        <label>
+          Position:{' '}
+          <select value={position} onChange={(e) => setPosition(e.target.value)}>
+            <option value="top-right">Top right</option>
+            <option value="top-left">Top left</option>
+            <option value="top-center">Top center</option>
+            <option value="bottom-right">Bottom right</option>
+            <option value="bottom-left">Bottom left</option>
+            <option value="bottom-center">Bottom center</option>
+          </select>
+        </label>
+      </div>
+      <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
+        {buttons.map(({ type, label, color, message }) => (
           <button
-            onClick={() => {
-              setIsLevel3Open(false);
-              setIsLevel2Open(false);
-              setIsLevel1Open(false);
-            }}
-            style={{
-              padding: '10px 20px',
-              backgroundColor: '#51cf66',
-              color: 'white',
-              border: 'none',
-              borderRadius: '4px',
-              cursor: 'pointer'
-            }}
+            key={type}
+            onClick={() => toast[type](message, { title: label, position })}
+            style={{ padding: '8px 16px', backgroundColor: color, color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
           >
-            Close All
+            {label} Toast
           </button>
-        </div>
-      </PortalModal>
+        ))}
+        <button
+          onClick={showUndoToast}
+          style={{ padding: '8px 16px', backgroundColor: '#748ffc', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+        >
+          Toast with Action
+        </button>
+        <button
+          onClick={toast.dismissAll}
+          style={{ padding: '8px 16px', backgroundColor: '#999', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+        >
+          Dismiss All
+        </button>
+      </div>
+      <p style={{ fontSize: '12px', color: '#666' }}>
+        Up to 3 toasts are visible at once; the rest wait in a queue. Hover a toast to pause its timer.
+      </p>
     </div>
   );
 }
@@ -374,12 +381,18 @@ export function NestedModals() {
 // Complete Example
 export function Exercise32Complete() {
   return (
-    <div style={{ padding: '20px', backgroundColor: '#f9f9f9' }}>
-      <h2>Exercise 3.2: The "Trapdoor" Modal (Portals)</h2>
-      <p>React Portals allow rendering outside the normal DOM hierarchy!</p>
-      <SimpleModal />
-      <AlertModal />
-      <NestedModals />
-    </div>
+    <ToastProvider maxVisible={3}>
+      <ModalProvider>
+        <div style={{ padding: '20px', backgroundColor: '#f9f9f9' }}>
+          <h2>Exercise 3.2: The "Trapdoor" Modal (Portals)</h2>
+          <p>React Portals allow rendering outside the normal DOM hierarchy!</p>
+          <SimpleModal />
+          <AlertModal />
+          <NestedModals />
+          <ConfirmModal />
+          <ToastDemo />
+        </div>
+      </ModalProvider>
+    </ToastProvider>
   );
 }
@@ -0,0 +1,491 @@
+/**
+ * Modal Manager: ModalProvider + useModal
+ *
+ * Renders every modal into a dedicated portal root (#modal-root) and keeps
+ * a stack of open modals:
+ * - z-indices are assigned from the stack position
+ * - Escape only closes the topmost modal
+ * - modals can be opened imperatively and awaited, e.g. `await modal.confirm(...)`
+ *
+ * While a modal is open, focus is trapped inside the topmost dialog, the body
+ * does not scroll, and everything behind it is inert / aria-hidden. Closing a
+ * modal returns focus to the element that opened it.
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useId, useMemo, useRef, useState } from 'react';
+import ReactDOM from 'react-dom';
+
+const ModalContext = createContext(null);
+
+const PORTAL_ROOT_ID = 'modal-root';
+const BASE_Z_INDEX = 1000;
+const Z_INDEX_STEP = 10;
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Helper: Find or create the element a portal renders into.
+ * Portal roots are marked so they are never made inert themselves.
+ */
+export function getPortalRoot(rootId = PORTAL_ROOT_ID) {
+  let root = document.getElementById(rootId);
+  if (!root) {
+    root = document.createElement('div');
+    root.id = rootId;
+    root.setAttribute('data-portal-root', '');
+    document.body.appendChild(root);
+  }
+  return root;
+}
+
+/**
+ * Custom Hook: usePortalRoot
+ * The portal root for rendering, found or created in an effect rather than
+ * during render (so server rendering works). null on the first render.
+ */
+export function usePortalRoot(rootId = PORTAL_ROOT_ID) {
+  const [root, setRoot] = useState(null);
+
+  useEffect(() => {
+    setRoot(getPortalRoot(rootId));
+  }, [rootId]);
+
+  return root;
+}
+
+function getFocusableElements(container) {
+  return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR));
+}
+
+function setInert(element, isInert) {
+  if (isInert) {
+    element.setAttribute('inert', '');
+    element.setAttribute('aria-hidden', 'true');
+  } else {
+    element.removeAttribute('inert');
+    element.removeAttribute('aria-hidden');
+  }
+}
+
+/**
+ * Helper: Make the rest of the app (everything outside portal roots) inert.
+ * Only elements we changed are restored, so existing aria-hidden stays.
+ */
+function setBackgroundInert(isInert) {
+  Array.from(document.body.children).forEach(element => {
+    if (element.hasAttribute('data-portal-root') || element.tagName === 'SCRIPT') return;
+
+    if (isInert && !element.hasAttribute('inert')) {
+      setInert(element, true);
+      element.setAttribute('data-modal-inert', '');
+    } else if (!isInert && element.hasAttribute('data-modal-inert')) {
+      setInert(element, false);
+      element.removeAttribute('data-modal-inert');
+    }
+  });
+}
+
+// Scroll lock is reference counted so nested modals only unlock
+// when the last one closes
+let scrollLockCount = 0;
+let savedBodyStyle = null;
+
+function lockBodyScroll() {
+  if (scrollLockCount === 0) {
+    const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+    savedBodyStyle = {
+      overflow: document.body.style.overflow,
+      paddingRight: document.body.style.paddingRight
+    };
+    document.body.style.overflow = 'hidden';
+    if (scrollbarWidth > 0) {
+      document.body.style.paddingRight = `${scrollbarWidth}px`;
+    }
+  }
+  scrollLockCount++;
+}
+
+function unlockBodyScroll() {
+  scrollLockCount = Math.max(scrollLockCount - 1, 0);
+  if (scrollLockCount === 0 && savedBodyStyle) {
+    document.body.style.overflow = savedBodyStyle.overflow;
+    document.body.style.paddingRight = savedBodyStyle.paddingRight;
+    savedBodyStyle = null;
+  }
+}
+
+function useModalContext() {
+  const context = useContext(ModalContext);
+  if (!context) {
+    throw new Error('Modals must be used within ModalProvider');
+  }
+  return context;
+}
+
+/**
+ * Provider Component: ModalProvider
+ * Owns the modal stack and renders imperatively opened modals
+ */
+export function ModalProvider({ children }) {
+  const [stack, setStack] = useState([]);
+  const [imperativeModals, setImperativeModals] = useState([]);
+  const closeHandlers = useRef(new Map());
+  const resolvers = useRef(new Map());
+  const triggers = useRef(new Map());
+  const previousStack = useRef([]);
+  const nextId = useRef(0);
+
+  // Remember what had focus when the modal opened, to return focus on close
+  const register = useCallback((id) => {
+    triggers.current.set(id, document.activeElement);
+    setStack(prev => [...prev, id]);
+  }, []);
+
+  const unregister = useCallback((id) => {
+    setStack(prev => prev.filter(entry => entry !== id));
+  }, []);
+
+  const setCloseHandler = useCallback((id, handler) => {
+    if (handler) {
+      closeHandlers.current.set(id, handler);
+    } else {
+      closeHandlers.current.delete(id);
+    }
+  }, []);
+
+  // Only the topmost modal is interactive: the app and lower modals are inert
+  useEffect(() => {
+    setBackgroundInert(stack.length > 0);
+    Array.from(getPortalRoot().children).forEach(layer => {
+      setInert(layer, layer.getAttribute('data-modal-id') !== stack[stack.length - 1]);
+    });
+
+    // Return focus once inert has been lifted. When several modals close at
+    // once, the lowest one's trigger is the one still on the page.
+    const removed = previousStack.current.filter(id => !stack.includes(id));
+    previousStack.current = stack;
+    const trigger = removed
+      .map(id => triggers.current.get(id))
+      .find(element => element && document.contains(element));
+    removed.forEach(id => triggers.current.delete(id));
+    trigger?.focus();
+  }, [stack]);
+
+  useEffect(() => () => setBackgroundInert(false), []);
+
+  // Modals still open on unmount count as dismissed, so awaiting callers
+  // don't hang: open/alert resolve with undefined and confirm with false
+  useEffect(() => {
+    const pending = resolvers.current;
+    return () => {
+      pending.forEach(resolve => resolve(undefined));
+      pending.clear();
+    };
+  }, []);
+
+  // Escape goes to the topmost modal only
+  useEffect(() => {
+    if (stack.length === 0) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        closeHandlers.current.get(stack[stack.length - 1])?.();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [stack]);
+
+  const settle = useCallback((id, result) => {
+    resolvers.current.get(id)?.(result);
+    resolvers.current.delete(id);
+    setImperativeModals(prev => prev.filter(modal => modal.id !== id));
+  }, []);
+
+  // open(render) resolves with whatever the modal passes to close(result),
+  // or undefined when it is dismissed (Escape, backdrop).
+  // render receives { close, titleId }; put titleId on the modal heading.
+  const open = useCallback((render, modalProps = {}) => new Promise(resolve => {
+    const id = `modal-${nextId.current++}`;
+    resolvers.current.set(id, resolve);
+    setImperativeModals(prev => [...prev, { id, render, modalProps }]);
+  }), []);
+
+  const confirm = useCallback((options) =>
+    open(({ close, titleId }) => <ConfirmDialog {...options} titleId={titleId} onResult={close} />)
+      .then(result => result === true),
+  [open]);
+
+  const alert = useCallback((options) =>
+    open(({ close, titleId }) => <AlertDialog {...options} titleId={titleId} onClose={() => close()} />),
+  [open]);
+
+  const closeAll = useCallback(() => {
+    [...stack].reverse().forEach(id => closeHandlers.current.get(id)?.());
+  }, [stack]);
+
+  const value = useMemo(() => ({
+    stack,
+    register,
+    unregister,
+    setCloseHandler,
+    open,
+    confirm,
+    alert,
+    closeAll
+  }), [stack, register, unregister, setCloseHandler, open, confirm, alert, closeAll]);
+
+  return (
+    <ModalContext.Provider value={value}>
+      {children}
+      {imperativeModals.map(({ id, render, modalProps }) => (
+        <PortalModal
+          key={id}
+          isOpen
+          onClose={() => settle(id, undefined)}
+          labelledBy={`${id}-title`}
+          {...modalProps}
+        >
+          {render({ close: (result) => settle(id, result), titleId: `${id}-title` })}
+        </PortalModal>
+      ))}
+    </ModalContext.Provider>
+  );
+}
+
+/**
+ * Custom Hook: useModal
+ * Imperative API for opening modals from event handlers
+ */
+export function useModal() {
+  const { open, confirm, alert, closeAll, stack } = useModalContext();
+  return { open, confirm, alert, closeAll, openCount: stack.length };
+}
+
+/**
+ * Portal Component: PortalModal
+ * Declarative modal rendered with ReactDOM.createPortal into the portal root
+ *
+ * Pass `labelledBy` (id of the modal heading) or `label` for the dialog name,
+ * and `initialFocusRef` to choose what gets focus on open (defaults to the
+ * first focusable element).
+ */
+export function PortalModal({ children, isOpen, onClose, labelledBy, label, initialFocusRef }) {
+  const { stack, register, unregister, setCloseHandler } = useModalContext();
+  const id = useId();
+  const dialogRef = useRef(null);
+  const portalRoot = usePortalRoot();
+  const isTopmost = stack[stack.length - 1] === id;
+
+  // Keep the latest onClose for Escape / closeAll
+  useEffect(() => {
+    setCloseHandler(id, onClose);
+    return () => setCloseHandler(id, null);
+  }, [id, onClose, setCloseHandler]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    register(id);
+    return () => unregister(id);
+  }, [isOpen, id, register, unregister]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    lockBodyScroll();
+    return unlockBodyScroll;
+  }, [isOpen]);
+
+  // Initial focus, once the dialog is in the portal root
+  useEffect(() => {
+    if (!isOpen || !portalRoot) return;
+    const dialog = dialogRef.current;
+    const target = initialFocusRef?.current || getFocusableElements(dialog)[0] || dialog;
+    target.focus();
+  }, [isOpen, initialFocusRef, portalRoot]);
+
+  // Pull focus back if it lands on the page behind the topmost dialog.
+  // Focus moving into any portal root is left alone: a newly opened modal
+  // takes focus before it shows up as topmost, and toasts (#toast-root)
+  // must stay reachable while a modal is open.
+  useEffect(() => {
+    if (!isOpen || !isTopmost) return;
+
+    const handleFocusIn = (e) => {
+      const dialog = dialogRef.current;
+      if (dialog && !e.target.closest?.('[data-portal-root]')) {
+        (getFocusableElements(dialog)[0] || dialog).focus();
+      }
+    };
+
+    document.addEventListener('focusin', handleFocusIn);
+    return () => document.removeEventListener('focusin', handleFocusIn);
+  }, [isOpen, isTopmost]);
+
+  // Focus trap: Tab / Shift+Tab cycle through the dialog's focusable elements
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Tab' || !isTopmost) return;
+
+    const focusable = getFocusableElements(dialogRef.current);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  if (!isOpen || !portalRoot) return null;
+
+  const position = Math.max(stack.indexOf(id), 0);
+  const zIndex = BASE_Z_INDEX + position * Z_INDEX_STEP;
+
+  return ReactDOM.createPortal(
+    <div data-modal-id={id} style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      zIndex
+    }}>
+      {/* Backdrop */}
+      <div
+        onClick={onClose}
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          backgroundColor: 'rgba(0, 0, 0, 0.5)',
+          animation: 'fadeIn 0.2s ease'
+        }}
+      />
+
+      {/* Modal Content */}
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={labelledBy}
+        aria-label={label}
+        tabIndex={-1}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          position: 'fixed',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          backgroundColor: 'white',
+          borderRadius: '8px',
+          boxShadow: '0 10px 40px rgba(0, 0, 0, 0.3)',
+          zIndex: 1,
+          maxHeight: '90vh',
+          maxWidth: '90vw',
+          overflow: 'auto',
+          animation: 'slideUp 0.3s ease'
+        }}
+      >
+        <style>{`
+          @keyframes fadeIn {
+            from { opacity: 0; }
+            to { opacity: 1; }
+          }
+          @keyframes slideUp {
+            from {
+              opacity: 0;
+              transform: translate(-50%, -45%);
+            }
+            to {
+              opacity: 1;
+              transform: translate(-50%, -50%);
+            }
+          }
+        `}</style>
+        {children}
+      </div>
+    </div>,
+    portalRoot
+  );
+}
+
+/**
+ * Built-in dialog: Confirm (resolves true / false)
+ */
+function ConfirmDialog({ title = 'Are you sure?', message, confirmLabel = 'Confirm', cancelLabel = 'Cancel', titleId, onResult }) {
+  return (
+    <div style={{ padding: '30px', minWidth: '300px' }}>
+      <h3 id={titleId} style={{ margin: '0 0 10px 0' }}>{title}</h3>
+      {message && <p style={{ margin: '0 0 20px 0', color: '#666' }}>{message}</p>}
+      <button
+        onClick={() => onResult(true)}
+        style={{
+          marginRight: '10px',
+          padding: '10px 20px',
+          backgroundColor: '#51cf66',
+          color: 'white',
+          border: 'none',
+          borderRadius: '4px',
+          cursor: 'pointer'
+        }}
+      >
+        {confirmLabel}
+      </button>
+      <button
+        onClick={() => onResult(false)}
+        style={{
+          padding: '10px 20px',
+          backgroundColor: '#999',
+          color: 'white',
+          border: 'none',
+          borderRadius: '4px',
+          cursor: 'pointer'
+        }}
+      >
+        {cancelLabel}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Built-in dialog: Alert (resolves when dismissed)
+ */
+function AlertDialog({ title = 'Notice', message, okLabel = 'OK', titleId, onClose }) {
+  return (
+    <div style={{ padding: '30px', minWidth: '300px' }}>
+      <h3 id={titleId} style={{ margin: '0 0 10px 0' }}>{title}</h3>
+      {message && <p style={{ margin: '0 0 20px 0', color: '#666' }}>{message}</p>}
+      <button
+        onClick={onClose}
+        style={{
+          padding: '10px 20px',
+          backgroundColor: '#51cf66',
+          color: 'white',
+          border: 'none',
+          borderRadius: '4px',
+          cursor: 'pointer'
+        }}
+      >
+        {okLabel}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { act, render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { ModalProvider, PortalModal, useModal } from './ModalManager';
+import { ToastProvider, useToast } from './Toast';
+import { SimpleModal, NestedModals, ConfirmModal } from './Exercise3-2-Portals';
+
+function renderWithModals(ui) {
+  return render(<ModalProvider>{ui}</ModalProvider>);
+}
+
+describe('PortalModal', () => {
+  it('renders into the portal root, outside the app container', () => {
+    const { container } = renderWithModals(<SimpleModal />);
+
+    userEvent.click(screen.getByText('Open Modal'));
+
+    const dialog = screen.getByRole('dialog', { name: /Hello from Portal/ });
+    expect(dialog).toHaveAttribute('aria-modal', 'true');
+    expect(container).not.toContainElement(dialog);
+    expect(document.getElementById('modal-root')).toContainElement(dialog);
+  });
+
+  it('closes on Escape and returns focus to the trigger', () => {
+    renderWithModals(<SimpleModal />);
+    const trigger = screen.getByText('Open Modal');
+
+    userEvent.click(trigger);
+    expect(screen.getByRole('dialog')).toContainElement(document.activeElement);
+
+    userEvent.keyboard('{esc}');
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    expect(trigger).toHaveFocus();
+  });
+
+  it('traps Tab inside the dialog', () => {
+    renderWithModals(<SimpleModal />);
+
+    userEvent.click(screen.getByText('Open Modal'));
+    const close = screen.getByRole('button', { name: 'Close' });
+    expect(close).toHaveFocus();
+
+    userEvent.tab();
+    expect(close).toHaveFocus();
+  });
+
+  it('pulls focus back from the page but lets toasts take it', () => {
+    function ToastButton() {
+      const toast = useToast();
+      return <button onClick={() => toast.info('Saved', { duration: 0 })}>Show toast</button>;
+    }
+    render(
+      <ToastProvider>
+        <ModalProvider>
+          <ToastButton />
+          <SimpleModal />
+        </ModalProvider>
+      </ToastProvider>
+    );
+
+    userEvent.click(screen.getByText('Show toast'));
+    userEvent.click(screen.getByText('Open Modal'));
+    const close = screen.getByRole('button', { name: 'Close' });
+
+    act(() => screen.getByText('Show toast').focus());
+    expect(close).toHaveFocus();
+
+    const dismiss = screen.getByRole('button', { name: 'Dismiss notification' });
+    act(() => dismiss.focus());
+    expect(dismiss).toHaveFocus();
+  });
+
+  it('creates the portal root after render, not during it', () => {
+    document.getElementById('modal-root')?.remove();
+
+    const html = renderToString(
+      <ModalProvider>
+        <p>App</p>
+        <PortalModal isOpen label="Server dialog">Hi</PortalModal>
+      </ModalProvider>
+    );
+
+    expect(html).toContain('App');
+    expect(document.getElementById('modal-root')).toBeNull();
+  });
+
+  it('makes the page behind the modal inert and locks scrolling', () => {
+    const { container } = renderWithModals(<SimpleModal />);
+
+    userEvent.click(screen.getByText('Open Modal'));
+    expect(container).toHaveAttribute('aria-hidden', 'true');
+    expect(document.body.style.overflow).toBe('hidden');
+
+    userEvent.keyboard('{esc}');
+    expect(container).not.toHaveAttribute('aria-hidden');
+    expect(document.body.style.overflow).not.toBe('hidden');
+  });
+});
+
+describe('useModal', () => {
+  it('stacks nested modals and closes only the topmost on Escape', () => {
+    renderWithModals(<NestedModals />);
+
+    userEvent.click(screen.getByText('Open Level 1 Modal'));
+    userEvent.click(screen.getByText('Open Level 2'));
+
+    expect(screen.getByRole('dialog', { name: 'Level 2 Modal' })).toBeInTheDocument();
+
+    userEvent.keyboard('{esc}');
+
+    expect(screen.queryByText('Level 2 Modal')).not.toBeInTheDocument();
+    expect(screen.getByRole('dialog', { name: 'Level 1 Modal' })).toBeInTheDocument();
+  });
+
+  it('resolves confirm() with the user choice', async () => {
+    renderWithModals(<ConfirmModal />);
+
+    userEvent.click(screen.getByText('Delete Project'));
+    userEvent.click(screen.getByRole('button', { name: 'Delete' }));
+    expect(await screen.findByTestId('confirm-result')).toHaveTextContent('Project deleted');
+
+    userEvent.click(screen.getByText('Delete Project'));
+    userEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    await waitFor(() => {
+      expect(screen.getByTestId('confirm-result')).toHaveTextContent('Deletion cancelled');
+    });
+  });
+
+  it('settles pending modals when the provider unmounts', async () => {
+    let modal;
+    function ModalApi() {
+      modal = useModal();
+      return null;
+    }
+    const { unmount } = renderWithModals(<ModalApi />);
+
+    let confirmed, opened;
+    act(() => {
+      confirmed = modal.confirm({ title: 'Leave?', message: 'Unsaved changes' });
+      opened = modal.open(({ titleId }) => <h2 id={titleId}>Custom</h2>);
+    });
+    unmount();
+
+    await expect(confirmed).resolves.toBe(false);
+    await expect(opened).resolves.toBeUndefined();
+  });
+
+  it('throws outside ModalProvider', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => render(<ConfirmModal />)).toThrow('Modals must be used within ModalProvider');
+
+    console.error.mockRestore();
+  });
+});
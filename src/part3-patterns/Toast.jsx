@@ -0,0 +1,258 @@
+/**
+ * Toast Notifications: ToastProvider + useToast
+ *
+ * Non-blocking alternative to AlertModal, built on the same portal layer:
+ * - info / success / warning / error toasts
+ * - a queue with a max number of visible toasts
+ * - auto-dismiss timers that pause on hover and focus
+ * - stacking positions (top/bottom, left/center/right)
+ * - optional action buttons (e.g. "Undo")
+ * - aria-live regions so screen readers announce new toasts
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import ReactDOM from 'react-dom';
+import { usePortalRoot } from './ModalManager';
+
+const ToastContext = createContext(null);
+
+const TOAST_ROOT_ID = 'toast-root';
+const DEFAULT_DURATION = 5000;
+
+const TOAST_TYPES = {
+  info: { icon: 'ℹ️', color: '#2196f3', live: 'polite' },
+  success: { icon: '✅', color: '#4caf50', live: 'polite' },
+  warning: { icon: '⚠️', color: '#ff9800', live: 'assertive' },
+  error: { icon: '❌', color: '#f44336', live: 'assertive' }
+};
+
+const POSITIONS = {
+  'top-right': { top: '20px', right: '20px', alignItems: 'flex-end' },
+  'top-left': { top: '20px', left: '20px', alignItems: 'flex-start' },
+  'top-center': { top: '20px', left: '50%', transform: 'translateX(-50%)', alignItems: 'center' },
+  'bottom-right': { bottom: '20px', right: '20px', alignItems: 'flex-end', flexDirection: 'column-reverse' },
+  'bottom-left': { bottom: '20px', left: '20px', alignItems: 'flex-start', flexDirection: 'column-reverse' },
+  'bottom-center': { bottom: '20px', left: '50%', transform: 'translateX(-50%)', alignItems: 'center', flexDirection: 'column-reverse' }
+};
+
+// Visually hidden but still read by screen readers
+const visuallyHidden = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  margin: '-1px',
+  padding: 0,
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+  border: 0
+};
+
+/**
+ * Provider Component: ToastProvider
+ * Holds the toast queue; only the first `maxVisible` toasts are shown
+ */
+export function ToastProvider({ children, maxVisible = 3, position = 'top-right' }) {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
+  const toastRoot = usePortalRoot(TOAST_ROOT_ID);
+
+  const dismiss = useCallback((id) => {
+    setToasts(prev => prev.filter(toast => toast.id !== id));
+  }, []);
+
+  const dismissAll = useCallback(() => setToasts([]), []);
+
+  // show() returns the toast id so callers can dismiss it early
+  const show = useCallback(({
+    type = 'info',
+    title,
+    message,
+    duration = DEFAULT_DURATION,
+    action,
+    position: toastPosition
+  }) => {
+    if (!TOAST_TYPES[type]) {
+      throw new Error(`Unknown toast type "${type}"`);
+    }
+    if (toastPosition && !POSITIONS[toastPosition]) {
+      throw new Error(`Unknown toast position "${toastPosition}"`);
+    }
+
+    const id = nextId.current++;
+    setToasts(prev => [
+      ...prev,
+      { id, type, title, message, duration, action, position: toastPosition || position }
+    ]);
+    return id;
+  }, [position]);
+
+  const value = useMemo(() => {
+    const byType = (type) => (message, options = {}) => show({ ...options, type, message });
+    return {
+      show,
+      dismiss,
+      dismissAll,
+      info: byType('info'),
+      success: byType('success'),
+      warning: byType('warning'),
+      error: byType('error')
+    };
+  }, [show, dismiss, dismissAll]);
+
+  const visible = toasts.slice(0, maxVisible);
+  const queuedCount = toasts.length - visible.length;
+
+  const groups = Object.keys(POSITIONS)
+    .map(pos => ({ position: pos, toasts: visible.filter(toast => toast.position === pos) }))
+    .filter(group => group.toasts.length > 0);
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      {toastRoot && ReactDOM.createPortal(
+        <>
+          {/* Screen reader announcements */}
+          <div aria-live="polite" style={visuallyHidden} data-testid="toast-live-polite">
+            {visible.filter(toast => TOAST_TYPES[toast.type].live === 'polite').map(toast => (
+              <p key={toast.id}>{toast.title ? `${toast.title}: ` : ''}{toast.message}</p>
+            ))}
+          </div>
+          <div aria-live="assertive" style={visuallyHidden} data-testid="toast-live-assertive">
+            {visible.filter(toast => TOAST_TYPES[toast.type].live === 'assertive').map(toast => (
+              <p key={toast.id}>{toast.title ? `${toast.title}: ` : ''}{toast.message}</p>
+            ))}
+          </div>
+
+          {groups.map(group => (
+            <div
+              key={group.position}
+              style={{
+                position: 'fixed',
+                zIndex: 2000,
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '10px',
+                ...POSITIONS[group.position]
+              }}
+            >
+              {group.toasts.map(toast => (
+                <ToastItem key={toast.id} toast={toast} onDismiss={dismiss} />
+              ))}
+              {queuedCount > 0 && group.position === visible[visible.length - 1].position && (
+                <small style={{ color: '#666' }} data-testid="toast-queued">
+                  +{queuedCount} more
+                </small>
+              )}
+            </div>
+          ))}
+        </>,
+        toastRoot
+      )}
+    </ToastContext.Provider>
+  );
+}
+
+/**
+ * Custom Hook: useToast
+ */
+export function useToast() {
+  const context = useContext(ToastContext);
+  if (!context) {
+    throw new Error('useToast must be used within ToastProvider');
+  }
+  return context;
+}
+
+/**
+ * Single toast with a pausable auto-dismiss timer
+ */
+function ToastItem({ toast, onDismiss }) {
+  // Tracked separately: the mouse leaving must not restart the timer while
+  // a keyboard user is still on the toast's buttons, and vice versa
+  const [isHovered, setIsHovered] = useState(false);
+  const [hasFocus, setHasFocus] = useState(false);
+  const isPaused = isHovered || hasFocus;
+  const remaining = useRef(toast.duration);
+  const config = TOAST_TYPES[toast.type];
+
+  // duration 0 keeps the toast until it is dismissed
+  useEffect(() => {
+    if (!toast.duration || isPaused) return;
+
+    const startedAt = Date.now();
+    const timer = setTimeout(() => onDismiss(toast.id), remaining.current);
+
+    return () => {
+      clearTimeout(timer);
+      remaining.current -= Date.now() - startedAt;
+    };
+  }, [isPaused, toast.duration, toast.id, onDismiss]);
+
+  const handleAction = () => {
+    toast.action.onClick?.();
+    onDismiss(toast.id);
+  };
+
+  return (
+    <div
+      onMouseEnter={() => setIsHovered(true)}
+      onMouseLeave={() => setIsHovered(false)}
+      onFocus={() => setHasFocus(true)}
+      onBlur={(e) => {
+        // Moving between the toast's own buttons keeps it paused
+        if (!e.currentTarget.contains(e.relatedTarget)) setHasFocus(false);
+      }}
+      style={{
+        display: 'flex',
+        alignItems: 'flex-start',
+        gap: '10px',
+        minWidth: '280px',
+        maxWidth: '360px',
+        padding: '12px 16px',
+        backgroundColor: 'white',
+        borderLeft: `4px solid ${config.color}`,
+        borderRadius: '4px',
+        boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+        animation: 'toastIn 0.2s ease'
+      }}
+      data-testid={`toast-${toast.type}`}
+    >
+      <style>{`
+        @keyframes toastIn {
+          from { opacity: 0; transform: translateY(-5px); }
+          to { opacity: 1; transform: translateY(0); }
+        }
+      `}</style>
+      <span style={{ fontSize: '20px' }}>{config.icon}</span>
+      <div style={{ flex: 1 }}>
+        {toast.title && <strong style={{ display: 'block', color: config.color }}>{toast.title}</strong>}
+        <span style={{ color: '#333' }}>{toast.message}</span>
+        {toast.action && (
+          <div style={{ marginTop: '8px' }}>
+            <button
+              onClick={handleAction}
+              style={{
+                padding: '4px 10px',
+                backgroundColor: config.color,
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              {toast.action.label}
+            </button>
+          </div>
+        )}
+      </div>
+      <button
+        onClick={() => onDismiss(toast.id)}
+        aria-label="Dismiss notification"
+        style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '16px', color: '#999' }}
+      >
+        ×
+      </button>
+    </div>
+  );
+}
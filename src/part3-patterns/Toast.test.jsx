@@ -0,0 +1,168 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { act, render, renderHook, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { ToastProvider, useToast } from './Toast';
+
+// Exposes the toast API so tests can call it directly
+let toast;
+function ToastApi() {
+  toast = useToast();
+  return null;
+}
+
+function renderWithToasts(props = {}) {
+  return render(
+    <ToastProvider {...props}>
+      <ToastApi />
+    </ToastProvider>
+  );
+}
+
+describe('ToastProvider', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('renders toasts into the toast root and announces them', () => {
+    renderWithToasts();
+
+    act(() => {
+      toast.success('Saved', { title: 'Done' });
+      toast.error('Failed');
+    });
+
+    expect(document.getElementById('toast-root')).toContainElement(screen.getByTestId('toast-success'));
+    expect(screen.getByTestId('toast-live-polite')).toHaveTextContent('Done: Saved');
+    expect(screen.getByTestId('toast-live-assertive')).toHaveTextContent('Failed');
+  });
+
+  it('dismisses after its duration, or never with duration 0', () => {
+    renderWithToasts();
+
+    act(() => {
+      toast.info('Short', { duration: 1000 });
+      toast.info('Sticky', { duration: 0 });
+    });
+    act(() => jest.advanceTimersByTime(1000));
+
+    expect(screen.queryByText('Short')).not.toBeInTheDocument();
+    expect(screen.getAllByText('Sticky')).not.toHaveLength(0);
+  });
+
+  it('pauses the timer while hovered', () => {
+    renderWithToasts();
+
+    act(() => {
+      toast.info('Hover me', { duration: 1000 });
+    });
+    userEvent.hover(screen.getByTestId('toast-info'));
+    act(() => jest.advanceTimersByTime(5000));
+    expect(screen.getByTestId('toast-info')).toBeInTheDocument();
+
+    userEvent.unhover(screen.getByTestId('toast-info'));
+    act(() => jest.advanceTimersByTime(1000));
+    expect(screen.queryByTestId('toast-info')).not.toBeInTheDocument();
+  });
+
+  it('stays paused while focused, even after the mouse leaves', () => {
+    renderWithToasts();
+
+    act(() => {
+      toast.info('Saved', { duration: 1000, action: { label: 'Undo' } });
+    });
+    userEvent.hover(screen.getByTestId('toast-info'));
+    userEvent.tab();
+    expect(screen.getByRole('button', { name: 'Undo' })).toHaveFocus();
+
+    userEvent.unhover(screen.getByTestId('toast-info'));
+    act(() => jest.advanceTimersByTime(5000));
+    expect(screen.getByRole('button', { name: 'Undo' })).toHaveFocus();
+
+    // Moving between its own buttons keeps it paused
+    userEvent.tab();
+    act(() => jest.advanceTimersByTime(5000));
+    expect(screen.getByRole('button', { name: 'Dismiss notification' })).toHaveFocus();
+
+    userEvent.tab();
+    act(() => jest.advanceTimersByTime(1000));
+    expect(screen.queryByTestId('toast-info')).not.toBeInTheDocument();
+  });
+
+  it('queues toasts beyond maxVisible', () => {
+    renderWithToasts({ maxVisible: 2 });
+
+    act(() => {
+      ['one', 'two', 'three'].forEach(message => toast.info(message, { duration: 0 }));
+    });
+    expect(screen.getAllByTestId('toast-info')).toHaveLength(2);
+    expect(screen.getByTestId('toast-queued')).toHaveTextContent('+1 more');
+
+    userEvent.click(screen.getAllByRole('button', { name: 'Dismiss notification' })[0]);
+
+    expect(screen.getAllByTestId('toast-info').map(item => item.textContent)).toEqual([
+      expect.stringContaining('two'),
+      expect.stringContaining('three')
+    ]);
+    expect(screen.queryByTestId('toast-queued')).not.toBeInTheDocument();
+  });
+
+  it('runs the action and dismisses the toast', () => {
+    const onUndo = jest.fn();
+    renderWithToasts();
+
+    act(() => {
+      toast.warning('Item deleted', { action: { label: 'Undo', onClick: onUndo } });
+    });
+    userEvent.click(screen.getByRole('button', { name: 'Undo' }));
+
+    expect(onUndo).toHaveBeenCalledTimes(1);
+    expect(screen.queryByTestId('toast-warning')).not.toBeInTheDocument();
+  });
+
+  it('dismisses by id and all at once', () => {
+    renderWithToasts();
+
+    let id;
+    act(() => {
+      id = toast.info('First', { duration: 0 });
+      toast.info('Second', { duration: 0 });
+    });
+    act(() => toast.dismiss(id));
+    expect(screen.getAllByTestId('toast-info')).toHaveLength(1);
+
+    act(() => toast.dismissAll());
+    expect(screen.queryByTestId('toast-info')).not.toBeInTheDocument();
+  });
+
+  it('rejects unknown types and positions', () => {
+    renderWithToasts();
+
+    expect(() => toast.show({ type: 'fancy', message: 'x' })).toThrow('Unknown toast type "fancy"');
+    expect(() => toast.info('x', { position: 'middle' })).toThrow('Unknown toast position "middle"');
+  });
+});
+
+describe('ToastProvider on the server', () => {
+  it('renders without touching the document', () => {
+    document.getElementById('toast-root')?.remove();
+
+    const html = renderToString(<ToastProvider><p>App</p></ToastProvider>);
+
+    expect(html).toContain('App');
+    expect(document.getElementById('toast-root')).toBeNull();
+  });
+});
+
+describe('useToast', () => {
+  it('throws outside ToastProvider', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => renderHook(() => useToast())).toThrow('useToast must be used within ToastProvider');
+    console.error.mockRestore();
+  });
+});
@@ -3,5 +3,34 @@
  * Complete index file for all exercises in Part 3
  */
 
+import { registerPart, registerExercises } from '../registry';
+import { Exercise31Complete } from './Exercise3-1-CompoundTabs';
+import { Exercise32Complete } from './Exercise3-2-Portals';
+
 export { Exercise31Complete } from './Exercise3-1-CompoundTabs';
 export { Exercise32Complete } from './Exercise3-2-Portals';
+export { ModalProvider, useModal, PortalModal } from './ModalManager';
+export { ToastProvider, useToast } from './Toast';
+
+registerPart({ part: 3, title: 'Advanced Design Patterns' });
+
+registerExercises([
+  {
+    key: '3.1',
+    title: 'Compound Tabs',
+    part: 3,
+    component: Exercise31Complete,
+    tags: ['Compound Components', 'Context'],
+    description: 'Tabs built from parent and child components sharing implicit state.',
+    difficulty: 'advanced'
+  },
+  {
+    key: '3.2',
+    title: 'Portals & Modals',
+    part: 3,
+    component: Exercise32Complete,
+    tags: ['Portals', 'Modals'],
+    description: 'Render modals outside the DOM hierarchy, including nested modals.',
+    difficulty: 'advanced'
+  }
+]);
@@ -11,105 +11,135 @@
  * - Test success states
  */
 
-import React, { useState } from 'react';
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react';
+import { validateField } from '../validation';
+import { useForm, FORM_STATUS } from '../useForm';
+import { createMockRegistrationService, withRetry, isAbortError, SubmissionError } from './registrationService';
+import { registrationSchema, createRegistrationSchema } from './registrationSchema';
+import { DEFAULT_PASSWORD_POLICY } from './passwordPolicy';
+import { PasswordStrengthMeter } from './PasswordStrengthMeter';
+import { RegistrationWizard } from './RegistrationWizard';
+
+export { registrationSchema };
+
+const EMAIL_CHECK_DEBOUNCE = 400;
+
+// Used when no service is injected (there is no real API in this lab)
+const defaultRegistrationService = createMockRegistrationService();
+
+const initialRegistrationValues = {
+  email: '',
+  password: '',
+  confirmPassword: '',
+  agreeToTerms: false
+};
 
 /**
- * Form Component to Test
+ * Custom Hook: useEmailAvailability
+ * Debounced server check; a newer email cancels the pending request
  */
-export function RegistrationForm({ onSubmit }) {
-  const [formData, setFormData] = useState({
-    email: '',
-    password: '',
-    confirmPassword: '',
-    agreeToTerms: false
-  });
-  const [errors, setErrors] = useState({});
-  const [isSubmitting, setIsSubmitting] = useState(false);
-  const [submitSuccess, setSubmitSuccess] = useState(false);
+function useEmailAvailability(email, service) {
+  const [availability, setAvailability] = useState('idle');
 
-  const validateForm = () => {
-    const newErrors = {};
-
-    // Email validation
-    if (!formData.email) {
-      newErrors.email = 'Email is required';
-    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
-      newErrors.email = 'Invalid email format';
+  useEffect(() => {
+    // Only ask the server about emails that pass local validation
+    if (validateField(registrationSchema, 'email', { email })) {
+      setAvailability('idle');
+      return;
     }
 
-    // Password validation
-    if (!formData.password) {
-      newErrors.password = 'Password is required';
-    } else if (formData.password.length < 8) {
-      newErrors.password = 'Password must be at least 8 characters';
-    }
+    const controller = new AbortController();
+    setAvailability('checking');
 
-    // Confirm password validation
-    if (formData.password !== formData.confirmPassword) {
-      newErrors.confirmPassword = 'Passwords do not match';
-    }
+    const timer = setTimeout(async () => {
+      try {
+        const available = await service.checkEmailAvailability(email, { signal: controller.signal });
+        setAvailability(available ? 'available' : 'taken');
+      } catch (error) {
+        if (!isAbortError(error)) setAvailability('error');
+      }
+    }, EMAIL_CHECK_DEBOUNCE);
 
-    // Terms validation
-    if (!formData.agreeToTerms) {
-      newErrors.agreeToTerms = 'You must agree to the terms';
-    }
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [email, service]);
 
-    return newErrors;
-  };
+  return availability;
+}
 
-  const handleChange = (e) => {
-    const { name, value, type, checked } = e.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: type === 'checkbox' ? checked : value
-    }));
-    // Clear error for this field on change
-    if (errors[name]) {
-      setErrors(prev => {
-        const newErrors = { ...prev };
-        delete newErrors[name];
-        return newErrors;
-      });
-    }
-  };
+/**
+ * Form Component to Test
+ * `service` is injectable so tests can pass a mock registration API;
+ * `passwordPolicy` (see passwordPolicy.js) configures the password rules
+ */
+export function RegistrationForm({
+  onSubmit,
+  service = defaultRegistrationService,
+  passwordPolicy = DEFAULT_PASSWORD_POLICY
+}) {
+  const [retryAttempt, setRetryAttempt] = useState(0);
+  const strengthId = useId();
+  const schema = useMemo(() => createRegistrationSchema(passwordPolicy), [passwordPolicy]);
+  // The running submit; unmounting cancels its request and pending retries
+  const submitController = useRef(null);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setSubmitSuccess(false);
+  useEffect(() => () => submitController.current?.abort(), []);
 
-    const newErrors = validateForm();
-    if (Object.keys(newErrors).length > 0) {
-      setErrors(newErrors);
-      return;
-    }
+  const form = useForm({
+    initialValues: initialRegistrationValues,
+    schema,
+    onSubmit: async (values, { reset, setErrors }) => {
+      // The server already said no, so don't send the registration
+      if (emailAvailability === 'taken') {
+        throw new SubmissionError('Registration failed', {
+          fieldErrors: { email: 'Email is already registered' }
+        });
+      }
 
-    setIsSubmitting(true);
-    try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1500));
+      const controller = new AbortController();
+      submitController.current = controller;
+      const { signal } = controller;
+      try {
+        await withRetry(() => service.register(values, { signal }), { retries: 2, onRetry: setRetryAttempt, signal });
+      } catch (error) {
+        // Map backend field errors onto the matching inputs
+        if (Object.keys(error.fieldErrors || {}).length > 0) {
+          setErrors(error.fieldErrors);
+        }
+        // useForm shows it inline as submitError, so it isn't sent to an ErrorBoundary
+        throw error;
+      } finally {
+        setRetryAttempt(0);
+      }
 
       // Call parent callback
-      onSubmit?.(formData);
-      
-      setSubmitSuccess(true);
-      setFormData({
-        email: '',
-        password: '',
-        confirmPassword: '',
-        agreeToTerms: false
-      });
-
-      // Clear success message after 3 seconds
-      setTimeout(() => setSubmitSuccess(false), 3000);
-    } catch (error) {
-      setErrors({ submit: 'An error occurred. Please try again.' });
-    } finally {
-      setIsSubmitting(false);
+      onSubmit?.(values);
+      reset();
     }
+  });
+  const { status, isSubmitting, submitError, setStatus } = form;
+  const submitSuccess = status === FORM_STATUS.SUCCESS;
+  const hasFieldErrors = Object.keys(submitError?.fieldErrors || {}).length > 0;
+
+  // The availability result is derived into the email error rather than stored,
+  // so blur/change validation can't wipe it while the email stays the same
+  const emailAvailability = useEmailAvailability(form.values.email, service);
+  const errors = {
+    ...form.errors,
+    email: form.errors.email || (emailAvailability === 'taken' ? 'Email is already registered' : undefined)
   };
 
+  // Clear success message after 3 seconds
+  useEffect(() => {
+    if (!submitSuccess) return;
+    const timer = setTimeout(() => setStatus(FORM_STATUS.IDLE), 3000);
+    return () => clearTimeout(timer);
+  }, [submitSuccess, setStatus]);
+
   return (
-    <form onSubmit={handleSubmit} data-testid="registration-form">
+    <form onSubmit={form.handleSubmit} data-testid="registration-form">
       {submitSuccess && (
         <div style={{
           padding: '12px',
@@ -122,7 +152,7 @@ export function RegistrationForm({ onSubmit }) {
         </div>
       )}
 
-      {errors.submit && (
+      {status === FORM_STATUS.ERROR && (
         <div style={{
           padding: '12px',
           marginBottom: '15px',
@@ -130,7 +160,7 @@ export function RegistrationForm({ onSubmit }) {
           color: '#721c24',
           borderRadius: '4px'
         }} data-testid="error-message">
-          ❌ {errors.submit}
+          ❌ {hasFieldErrors ? 'Please fix the highlighted fields.' : 'An error occurred. Please try again.'}
         </div>
       )}
 
@@ -140,10 +170,7 @@ export function RegistrationForm({ onSubmit }) {
         </label>
         <input
           type="email"
-          id="email"
-          name="email"
-          value={formData.email}
-          onChange={handleChange}
+          {...form.register('email')}
           placeholder="you@example.com"
           style={{
             width: '100%',
@@ -158,6 +185,11 @@ export function RegistrationForm({ onSubmit }) {
             {errors.email}
           </span>
         )}
+        {!errors.email && (emailAvailability === 'checking' || emailAvailability === 'available') && (
+          <span style={{ color: '#666', fontSize: '12px' }} data-testid="email-availability">
+            {emailAvailability === 'checking' ? 'Checking availability...' : '✓ Email is available'}
+          </span>
+        )}
       </div>
 
       <div style={{ marginBottom: '15px' }}>
@@ -166,11 +198,9 @@ export function RegistrationForm({ onSubmit }) {
         </label>
         <input
           type="password"
-          id="password"
-          name="password"
-          value={formData.password}
-          onChange={handleChange}
-          placeholder="At least 8 characters"
+          {...form.register('password')}
+          placeholder={`At least ${passwordPolicy.minLength} characters`}
+          aria-describedby={strengthId}
           style={{
             width: '100%',
             padding: '8px',
@@ -184,6 +214,12 @@ export function RegistrationForm({ onSubmit }) {
             {errors.password}
           </span>
         )}
+        <PasswordStrengthMeter
+          id={strengthId}
+          password={form.values.password}
+          email={form.values.email}
+          policy={passwordPolicy}
+        />
       </div>
 
       <div style={{ marginBottom: '15px' }}>
@@ -192,10 +228,7 @@ export function RegistrationForm({ onSubmit }) {
         </label>
         <input
           type="password"
-          id="confirmPassword"
-          name="confirmPassword"
-          value={formData.confirmPassword}
-          onChange={handleChange}
+          {...form.register('confirmPassword')}
           placeholder="Repeat password"
           style={{
             width: '100%',
@@ -216,10 +249,7 @@ export function RegistrationForm({ onSubmit }) {
         <label htmlFor="agreeToTerms" style={{ display: 'flex', alignItems: 'center' }}>
           <input
             type="checkbox"
-            id="agreeToTerms"
-            name="agreeToTerms"
-            checked={formData.agreeToTerms}
-            onChange={handleChange}
+            {...form.register('agreeToTerms')}
             data-testid="terms-checkbox"
           />
           <span style={{ marginLeft: '8px' }}>I agree to the terms and conditions *</span>
@@ -246,7 +276,9 @@ export function RegistrationForm({ onSubmit }) {
         }}
         data-testid="submit-button"
       >
-        {isSubmitting ? '⏳ Registering...' : 'Register'}
+        {isSubmitting
+          ? (retryAttempt > 0 ? `⏳ Retrying (${retryAttempt}/2)...` : '⏳ Registering...')
+          : 'Register'}
       </button>
     </form>
   );
@@ -254,10 +286,44 @@ export function RegistrationForm({ onSubmit }) {
 
 // Export for Exercise display
 export function Exercise41Complete() {
+  const [isFlaky, setIsFlaky] = useState(false);
+  const [wizardRegistration, setWizardRegistration] = useState(null);
+
+  // A flaky service fails twice before succeeding, to show retries
+  const service = useMemo(
+    () => createMockRegistrationService({ transientFailures: isFlaky ? 2 : 0 }),
+    [isFlaky]
+  );
+
   return (
     <div style={{ padding: '20px', backgroundColor: '#f5f5f5', maxWidth: '400px', margin: '0 auto' }}>
       <h2>Exercise 4.1: Integration Testing a Form</h2>
-      <RegistrationForm onSubmit={(data) => console.log('Form submitted:', data)} />
+      <p style={{ fontSize: '12px', color: '#666' }}>
+        💡 taken@example.com is already registered. Registered emails become unavailable.
+      </p>
+      <label style={{ display: 'block', marginBottom: '15px', fontSize: '14px' }}>
+        <input type="checkbox" checked={isFlaky} onChange={(e) => setIsFlaky(e.target.checked)} />
+        {' '}Simulate flaky network (2 transient failures)
+      </label>
+      <RegistrationForm
+        service={service}
+        onSubmit={(data) => console.log('Form submitted:', data)}
+      />
+
+      <h3 style={{ marginTop: '30px' }}>Multi-step Wizard</h3>
+      <p style={{ fontSize: '12px', color: '#666' }}>
+        💡 Progress is saved, so a refresh resumes where you left off (passwords excepted).
+      </p>
+      <RegistrationWizard
+        service={service}
+        persistKey="registrationWizard"
+        onSubmit={setWizardRegistration}
+      />
+      {wizardRegistration && (
+        <p style={{ fontSize: '12px', color: '#2b8a3e' }} data-testid="wizard-registration">
+          Registered {wizardRegistration.email} ({wizardRegistration.firstName} {wizardRegistration.lastName})
+        </p>
+      )}
     </div>
   );
 }
@@ -0,0 +1,186 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { RegistrationForm } from './Exercise4-1-FormTesting';
+import { RegistrationWizard } from './RegistrationWizard';
+import { SubmissionError } from './registrationService';
+import { createPasswordPolicy } from './passwordPolicy';
+
+const VALID_PASSWORD = 'Tr0ub4dor&3';
+
+function createService(overrides = {}) {
+  return {
+    checkEmailAvailability: jest.fn().mockResolvedValue(true),
+    register: jest.fn().mockResolvedValue({ id: 1 }),
+    ...overrides
+  };
+}
+
+function fillForm({ email = 'jane@example.com', password = VALID_PASSWORD, confirmPassword = password } = {}) {
+  userEvent.type(screen.getByTestId('email-input'), email);
+  userEvent.type(screen.getByTestId('password-input'), password);
+  userEvent.type(screen.getByTestId('confirm-password-input'), confirmPassword);
+  userEvent.click(screen.getByTestId('terms-checkbox'));
+}
+
+describe('RegistrationForm', () => {
+  describe('validation', () => {
+    it('shows required errors when submitted empty', () => {
+      const service = createService();
+      render(<RegistrationForm service={service} />);
+
+      userEvent.click(screen.getByTestId('submit-button'));
+
+      expect(screen.getByTestId('email-error')).toHaveTextContent('Email is required');
+      expect(screen.getByTestId('password-error')).toHaveTextContent('Password is required');
+      expect(screen.getByTestId('terms-error')).toHaveTextContent('You must agree to the terms');
+      expect(service.register).not.toHaveBeenCalled();
+    });
+
+    it('validates the email format on blur', () => {
+      render(<RegistrationForm service={createService()} />);
+
+      userEvent.type(screen.getByTestId('email-input'), 'not-an-email');
+      userEvent.tab();
+
+      expect(screen.getByTestId('email-error')).toHaveTextContent('Invalid email format');
+    });
+
+    it('re-validates the confirmation when the password changes', () => {
+      render(<RegistrationForm service={createService()} />);
+
+      userEvent.type(screen.getByTestId('password-input'), VALID_PASSWORD);
+      userEvent.type(screen.getByTestId('confirm-password-input'), VALID_PASSWORD);
+      userEvent.tab();
+      expect(screen.queryByTestId('confirm-password-error')).not.toBeInTheDocument();
+
+      userEvent.type(screen.getByTestId('password-input'), 'x');
+      expect(screen.getByTestId('confirm-password-error')).toHaveTextContent('Passwords do not match');
+    });
+
+    it('enforces the password policy with a live checklist', () => {
+      render(<RegistrationForm service={createService()} />);
+
+      userEvent.type(screen.getByTestId('email-input'), 'jane@example.com');
+      userEvent.type(screen.getByTestId('password-input'), 'jane1234');
+
+      expect(screen.getByTestId('password-rule-minLength')).toHaveAttribute('data-passed', 'true');
+      expect(screen.getByTestId('password-rule-uppercase')).toHaveAttribute('data-passed', 'false');
+      expect(screen.getByTestId('password-rule-email')).toHaveAttribute('data-passed', 'false');
+
+      userEvent.click(screen.getByTestId('submit-button'));
+      expect(screen.getByTestId('password-error')).toHaveTextContent('Password must contain an uppercase letter');
+    });
+
+    it('describes each password input by its own strength meter', () => {
+      render(
+        <>
+          <RegistrationForm service={createService()} />
+          <RegistrationWizard service={createService()} />
+        </>
+      );
+
+      const [formMeter, wizardMeter] = screen.getAllByTestId('password-strength');
+      const describedBy = (testId) => screen.getByTestId(testId).getAttribute('aria-describedby');
+
+      expect(formMeter.id).not.toBe(wizardMeter.id);
+      expect(describedBy('password-input')).toBe(formMeter.id);
+      expect(describedBy('wizard-password-input')).toBe(wizardMeter.id);
+    });
+
+    it('rejects common passwords and honours a custom policy', () => {
+      const policy = createPasswordPolicy({ minLength: 12, requireSymbol: true });
+      render(<RegistrationForm service={createService()} passwordPolicy={policy} />);
+
+      userEvent.type(screen.getByTestId('password-input'), 'Password1');
+      userEvent.tab();
+      expect(screen.getByTestId('password-error')).toHaveTextContent('Password must be at least 12 characters');
+      expect(screen.getByTestId('password-rule-common')).toHaveAttribute('data-passed', 'false');
+      expect(screen.getByTestId('password-rule-symbol')).toBeInTheDocument();
+    });
+  });
+
+  describe('submission', () => {
+    it('submits valid data and resets the form', async () => {
+      const service = createService();
+      const onSubmit = jest.fn();
+      render(<RegistrationForm service={service} onSubmit={onSubmit} />);
+
+      fillForm();
+      userEvent.click(screen.getByTestId('submit-button'));
+
+      expect(screen.getByTestId('submit-button')).toBeDisabled();
+      expect(await screen.findByTestId('success-message')).toBeInTheDocument();
+      expect(service.register).toHaveBeenCalledTimes(1);
+      expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({ email: 'jane@example.com' }));
+      expect(screen.getByTestId('email-input')).toHaveValue('');
+    });
+
+    it('maps backend field errors onto the inputs', async () => {
+      const service = createService({
+        register: jest.fn().mockRejectedValue(
+          new SubmissionError('Registration failed', { fieldErrors: { email: 'Email is already registered' } })
+        )
+      });
+      render(<RegistrationForm service={service} />);
+
+      fillForm();
+      userEvent.click(screen.getByTestId('submit-button'));
+
+      expect(await screen.findByTestId('error-message')).toHaveTextContent('Please fix the highlighted fields.');
+      expect(screen.getByTestId('email-error')).toHaveTextContent('Email is already registered');
+    });
+
+    it('shows a generic error when the request fails', async () => {
+      const service = createService({
+        register: jest.fn().mockRejectedValue(new Error('Network down'))
+      });
+      render(<RegistrationForm service={service} />);
+
+      fillForm();
+      userEvent.click(screen.getByTestId('submit-button'));
+
+      expect(await screen.findByTestId('error-message')).toHaveTextContent('An error occurred. Please try again.');
+    });
+
+    it('does not register an email that is already taken', async () => {
+      const service = createService({ checkEmailAvailability: jest.fn().mockResolvedValue(false) });
+      render(<RegistrationForm service={service} />);
+
+      fillForm();
+      await waitFor(() => {
+        expect(screen.getByTestId('email-error')).toHaveTextContent('Email is already registered');
+      });
+      userEvent.click(screen.getByTestId('submit-button'));
+
+      expect(await screen.findByTestId('error-message')).toHaveTextContent('Please fix the highlighted fields.');
+      expect(service.register).not.toHaveBeenCalled();
+    });
+
+    it('aborts the request when unmounted mid-submit', async () => {
+      const service = createService({ register: jest.fn(() => new Promise(() => {})) });
+      const { unmount } = render(<RegistrationForm service={service} />);
+
+      fillForm();
+      userEvent.click(screen.getByTestId('submit-button'));
+      await waitFor(() => expect(service.register).toHaveBeenCalledTimes(1));
+
+      const [, { signal }] = service.register.mock.calls[0];
+      expect(signal.aborted).toBe(false);
+      unmount();
+      expect(signal.aborted).toBe(true);
+    });
+
+    it('flags emails that are already taken', async () => {
+      const service = createService({ checkEmailAvailability: jest.fn().mockResolvedValue(false) });
+      render(<RegistrationForm service={service} />);
+
+      userEvent.type(screen.getByTestId('email-input'), 'taken@example.com');
+
+      await waitFor(() => {
+        expect(screen.getByTestId('email-error')).toHaveTextContent('Email is already registered');
+      });
+      expect(service.checkEmailAvailability).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -11,12 +11,62 @@
  * - Log errors properly
  */
 
-import React from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { ErrorLogContext, logError } from '../errorLog';
+
+const ErrorBoundaryContext = createContext(null);
+
+// Errors some boundary has already handled, so the global bridge can skip them
+// (in development React also reports caught render errors to window 'error')
+const caughtErrors = new WeakSet();
+
+function markCaught(error) {
+  if (error !== null && typeof error === 'object') caughtErrors.add(error);
+}
+
+function wasCaught(error) {
+  return error !== null && typeof error === 'object' && caughtErrors.has(error);
+}
+
+function toError(value) {
+  return value instanceof Error ? value : new Error(String(value));
+}
+
+/**
+ * Helper: resetKeys changed between renders (shallow, by position)
+ */
+function haveResetKeysChanged(prevKeys = [], nextKeys = []) {
+  return (
+    prevKeys.length !== nextKeys.length ||
+    prevKeys.some((key, index) => !Object.is(key, nextKeys[index]))
+  );
+}
 
 /**
  * Error Boundary Component
+ *
+ * Fallback UI, from most to least specific:
+ * - fallbackRender({ error, errorInfo, errorCount, canRetry, resetErrorBoundary })
+ * - FallbackComponent: rendered with the same props
+ * - fallback: a plain element
+ * - otherwise the default red panel below
+ *
+ * onError(error, info) reports caught errors (console.error when omitted).
+ * resetKeys resets the boundary when any key changes, e.g. the props that
+ * caused the error; this also starts a fresh errorCount.
+ * onReset({ reason, ... }) runs on every reset ('imperative' or 'keys').
+ * maxRetries limits how often resetErrorBoundary() may retry after the first error.
+ *
+ * Descendants can forward async and event-handler errors with useErrorBoundary().
+ * captureGlobalErrors routes uncaught window errors and unhandled promise
+ * rejections to this boundary; enable it on one top-level boundary only.
+ *
+ * Every caught error is also added to the shared error log (see errorLog.js)
+ * under the boundary's `name` and the current exercise.
  */
 export class ErrorBoundary extends React.Component {
+  static contextType = ErrorLogContext;
+
   constructor(props) {
     super(props);
     this.state = {
@@ -25,88 +75,212 @@ export class ErrorBoundary extends React.Component {
       errorInfo: null,
       errorCount: 0
     };
+    this.contextValue = { resetBoundary: this.resetErrorBoundary };
   }
 
   static getDerivedStateFromError(error) {
     // Update state so the next render will show the fallback UI
-    return { hasError: true };
+    return { hasError: true, error };
   }
 
   componentDidCatch(error, errorInfo) {
-    // Log error details
-    console.error('Error caught by boundary:', error);
-    console.error('Error info:', errorInfo);
+    markCaught(error);
+    logError({
+      error,
+      componentStack: errorInfo?.componentStack,
+      boundary: this.props.name || 'ErrorBoundary',
+      exerciseKey: this.context.exerciseKey
+    });
+
+    const { onError } = this.props;
+    if (onError) {
+      onError(error, errorInfo);
+    } else {
+      console.error('Error caught by boundary:', error);
+      console.error('Error info:', errorInfo);
+    }
 
     this.setState(prevState => ({
-      error,
       errorInfo,
       errorCount: prevState.errorCount + 1
     }));
   }
 
-  resetError = () => {
+  componentDidUpdate(prevProps, prevState) {
+    // Skip the update that caught the error: resetKeys may have changed in that same render
+    const { resetKeys } = this.props;
+    if (
+      this.state.hasError &&
+      prevState.hasError &&
+      haveResetKeysChanged(prevProps.resetKeys, resetKeys)
+    ) {
+      this.reset({ reason: 'keys', prevResetKeys: prevProps.resetKeys, resetKeys }, { errorCount: 0 });
+    }
+  }
+
+  canRetry() {
+    const { maxRetries = Infinity } = this.props;
+    return this.state.errorCount - 1 < maxRetries;
+  }
+
+  reset(details, extraState = {}) {
     this.setState({
       hasError: false,
       error: null,
-      errorInfo: null
+      errorInfo: null,
+      ...extraState
     });
+    this.props.onReset?.(details);
+  }
+
+  resetErrorBoundary = (...args) => {
+    if (!this.canRetry()) return;
+    this.reset({ reason: 'imperative', args });
   };
 
   render() {
-    if (this.state.hasError) {
+    if (!this.state.hasError) {
       return (
-        <div style={{
-          padding: '20px',
-          backgroundColor: '#ffebee',
-          borderLeft: '4px solid #f44336',
-          borderRadius: '4px'
-        }} data-testid="error-boundary">
-          <h2 style={{ color: '#d32f2f', margin: '0 0 10px 0' }}>
-            ⚠️ Something went wrong
-          </h2>
-
-          <details style={{ marginBottom: '15px' }}>
-            <summary style={{ cursor: 'pointer', fontWeight: 'bold', color: '#d32f2f' }}>
-              Error Details (Click to expand)
-            </summary>
-            <pre style={{
-              marginTop: '10px',
-              padding: '10px',
-              backgroundColor: '#fff3e0',
-              borderRadius: '4px',
-              overflow: 'auto',
-              fontSize: '12px'
-            }} data-testid="error-details">
-              {this.state.error?.toString()}
-              {this.state.errorInfo?.componentStack}
-            </pre>
-          </details>
-
-          <p style={{ color: '#666', margin: '0 0 15px 0' }}>
-            Error Count: <strong data-testid="error-count">{this.state.errorCount}</strong>
-          </p>
-
-          <button
-            onClick={this.resetError}
-            style={{
-              padding: '10px 20px',
-              backgroundColor: '#f44336',
-              color: 'white',
-              border: 'none',
-              borderRadius: '4px',
-              cursor: 'pointer',
-              fontWeight: 'bold'
-            }}
-            data-testid="reset-error-button"
-          >
-            Try Again
-          </button>
-        </div>
+        <ErrorBoundaryContext.Provider value={this.contextValue}>
+          {this.props.captureGlobalErrors && <GlobalErrorBridge />}
+          {this.props.children}
+        </ErrorBoundaryContext.Provider>
       );
     }
 
-    return this.props.children;
+    const { fallback, FallbackComponent, fallbackRender } = this.props;
+    const fallbackProps = {
+      error: this.state.error,
+      errorInfo: this.state.errorInfo,
+      errorCount: this.state.errorCount,
+      canRetry: this.canRetry(),
+      resetErrorBoundary: this.resetErrorBoundary
+    };
+
+    if (fallbackRender) return fallbackRender(fallbackProps);
+    if (FallbackComponent) return <FallbackComponent {...fallbackProps} />;
+    if (fallback !== undefined) return fallback;
+    return <DefaultErrorFallback {...fallbackProps} />;
+  }
+}
+
+/**
+ * Custom Hook: useErrorBoundary
+ * React only catches render errors. showBoundary(error) forwards errors from
+ * event handlers, timers and promises to the nearest ErrorBoundary by
+ * rethrowing them during the next render. Use it for errors the component
+ * can't show itself; RegistrationForm keeps its submit errors inline.
+ */
+export function useErrorBoundary() {
+  const context = useContext(ErrorBoundaryContext);
+  if (!context) {
+    throw new Error('useErrorBoundary must be used within ErrorBoundary');
   }
+
+  const [state, setState] = useState({ hasError: false, error: null });
+  if (state.hasError) {
+    throw state.error;
+  }
+
+  const showBoundary = useCallback((error) => {
+    setState({ hasError: true, error: toError(error) });
+  }, []);
+
+  return { showBoundary, resetBoundary: context.resetBoundary };
+}
+
+/**
+ * Bridge: window 'error' and 'unhandledrejection' → showBoundary.
+ * Handling waits a tick so errors a boundary already caught are skipped.
+ */
+function GlobalErrorBridge() {
+  const { showBoundary } = useErrorBoundary();
+
+  useEffect(() => {
+    const timers = new Set();
+    const forward = (error) => {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        if (!wasCaught(error)) showBoundary(error);
+      }, 0);
+      timers.add(timer);
+    };
+
+    const handleError = (event) => forward(event.error ?? new Error(event.message));
+    const handleRejection = (event) => forward(event.reason);
+
+    window.addEventListener('error', handleError);
+    window.addEventListener('unhandledrejection', handleRejection);
+    return () => {
+      window.removeEventListener('error', handleError);
+      window.removeEventListener('unhandledrejection', handleRejection);
+      timers.forEach(clearTimeout);
+    };
+  }, [showBoundary]);
+
+  return null;
+}
+
+/**
+ * Default fallback: error details, count and a retry button
+ */
+function DefaultErrorFallback({ error, errorInfo, errorCount, canRetry, resetErrorBoundary }) {
+  return (
+    <div style={{
+      padding: '20px',
+      backgroundColor: '#ffebee',
+      borderLeft: '4px solid #f44336',
+      borderRadius: '4px'
+    }} data-testid="error-boundary">
+      <h2 style={{ color: '#d32f2f', margin: '0 0 10px 0' }}>
+        ⚠️ Something went wrong
+      </h2>
+
+      <details style={{ marginBottom: '15px' }}>
+        <summary style={{ cursor: 'pointer', fontWeight: 'bold', color: '#d32f2f' }}>
+          Error Details (Click to expand)
+        </summary>
+        <pre style={{
+          marginTop: '10px',
+          padding: '10px',
+          backgroundColor: '#fff3e0',
+          borderRadius: '4px',
+          overflow: 'auto',
+          fontSize: '12px'
+        }} data-testid="error-details">
+          {error?.toString()}
+          {errorInfo?.componentStack}
+        </pre>
+      </details>
+
+      <p style={{ color: '#666', margin: '0 0 15px 0' }}>
+        Error Count: <strong data-testid="error-count">{errorCount}</strong>
+      </p>
+
+      {!canRetry && (
+        <p style={{ color: '#d32f2f', margin: '0 0 15px 0' }} data-testid="retry-limit-message">
+          Retry limit reached. Reload the page to try again.
+        </p>
+      )}
+
+      <button
+        onClick={() => resetErrorBoundary()}
+        disabled={!canRetry}
+        style={{
+          padding: '10px 20px',
+          backgroundColor: canRetry ? '#f44336' : '#ccc',
+          color: 'white',
+          border: 'none',
+          borderRadius: '4px',
+          cursor: canRetry ? 'pointer' : 'not-allowed',
+          fontWeight: 'bold'
+        }}
+        data-testid="reset-error-button"
+      >
+        Try Again
+      </button>
+    </div>
+  );
 }
 
 /**
@@ -152,13 +326,29 @@ export function ErrorBoundaryDemo() {
         </button>
       </div>
 
-      <ErrorBoundary>
+      <p style={{ fontSize: '12px', color: '#666' }}>
+        💡 Try Again while the error is still there: after 3 retries the boundary gives up.
+      </p>
+
+      <ErrorBoundary name="ErrorBoundaryDemo" maxRetries={3}>
         <BuggyComponent shouldError={shouldError} />
       </ErrorBoundary>
     </div>
   );
 }
 
+/**
+ * Custom fallback for Section 3 (FallbackComponent)
+ */
+function SectionFallback({ error, resetErrorBoundary }) {
+  return (
+    <div style={{ padding: '15px', backgroundColor: '#fff3e0', borderRadius: '4px' }} role="alert">
+      <p style={{ margin: '0 0 10px 0' }}>🛠️ Section unavailable: {error.message}</p>
+      <button onClick={() => resetErrorBoundary()}>Retry section</button>
+    </div>
+  );
+}
+
 /**
  * Advanced: Multiple Error Boundaries
  */
@@ -180,6 +370,9 @@ export function AdvancedErrorBoundaryExample() {
     <div style={{ padding: '20px', border: '1px solid purple' }}>
       <h3>Multiple Error Boundaries</h3>
       <p>Each section has its own error boundary. Errors in one section don't affect others.</p>
+      <p style={{ fontSize: '12px', color: '#666' }}>
+        Fixing a section resets its boundary automatically through <code>resetKeys</code>.
+      </p>
 
       <div style={{ marginBottom: '15px' }}>
         <h4>Section 1</h4>
@@ -197,7 +390,7 @@ export function AdvancedErrorBoundaryExample() {
         >
           {errors.section1 ? 'Fix' : 'Break'} Section 1
         </button>
-        <ErrorBoundary key={`section1-${errors.section1}`}>
+        <ErrorBoundary name="Section 1" resetKeys={[errors.section1]}>
           <BuggyComponent shouldError={errors.section1} />
         </ErrorBoundary>
       </div>
@@ -218,7 +411,15 @@ export function AdvancedErrorBoundaryExample() {
         >
           {errors.section2 ? 'Fix' : 'Break'} Section 2
         </button>
-        <ErrorBoundary key={`section2-${errors.section2}`}>
+        <ErrorBoundary
+          name="Section 2"
+          resetKeys={[errors.section2]}
+          fallbackRender={({ error }) => (
+            <p style={{ padding: '15px', backgroundColor: '#ffebee', borderRadius: '4px', margin: 0 }} role="alert">
+              ❌ Section 2 crashed: {error.message}
+            </p>
+          )}
+        >
           <BuggyComponent shouldError={errors.section2} />
         </ErrorBoundary>
       </div>
@@ -239,7 +440,7 @@ export function AdvancedErrorBoundaryExample() {
         >
           {errors.section3 ? 'Fix' : 'Break'} Section 3
         </button>
-        <ErrorBoundary key={`section3-${errors.section3}`}>
+        <ErrorBoundary name="Section 3" resetKeys={[errors.section3]} FallbackComponent={SectionFallback}>
           <BuggyComponent shouldError={errors.section3} />
         </ErrorBoundary>
       </div>
@@ -247,6 +448,69 @@ export function AdvancedErrorBoundaryExample() {
   );
 }
 
+/**
+ * Async / Event Errors
+ * Errors outside rendering reach the boundary through useErrorBoundary
+ * or, for ones nobody catches, through captureGlobalErrors
+ */
+function AsyncErrorActions() {
+  const { showBoundary } = useErrorBoundary();
+
+  const handleEventError = () => {
+    try {
+      JSON.parse('{ not valid json');
+    } catch (error) {
+      showBoundary(error);
+    }
+  };
+
+  const handleAsyncError = () => {
+    new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error('Request failed with status 500')), 500);
+    }).catch(showBoundary);
+  };
+
+  const handleUnhandledRejection = () => {
+    // Nobody catches this one: the global bridge forwards it
+    Promise.reject(new Error('Unhandled promise rejection'));
+  };
+
+  const buttonStyle = {
+    padding: '8px 16px',
+    backgroundColor: '#f44336',
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
+      <button onClick={handleEventError} style={buttonStyle} data-testid="event-error-button">
+        Throw in event handler
+      </button>
+      <button onClick={handleAsyncError} style={buttonStyle} data-testid="async-error-button">
+        Fail async request
+      </button>
+      <button onClick={handleUnhandledRejection} style={buttonStyle} data-testid="unhandled-rejection-button">
+        Unhandled rejection
+      </button>
+    </div>
+  );
+}
+
+export function AsyncErrorBoundaryExample() {
+  return (
+    <div style={{ padding: '20px', border: '1px solid orange', marginTop: '15px' }}>
+      <h3>Async & Event Handler Errors</h3>
+      <p>React only catches render errors. These are forwarded to the boundary explicitly.</p>
+      <ErrorBoundary name="AsyncErrors" captureGlobalErrors>
+        <AsyncErrorActions />
+      </ErrorBoundary>
+    </div>
+  );
+}
+
 // Complete Example
 export function Exercise42Complete() {
   return (
@@ -254,6 +518,7 @@ export function Exercise42Complete() {
       <h2>Exercise 4.2: Testing Error Boundaries</h2>
       <ErrorBoundaryDemo />
       <AdvancedErrorBoundaryExample />
+      <AsyncErrorBoundaryExample />
     </div>
   );
 }
@@ -0,0 +1,324 @@
+import React, { useState } from 'react';
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import {
+  ErrorBoundary,
+  BuggyComponent,
+  AdvancedErrorBoundaryExample,
+  AsyncErrorBoundaryExample,
+  useErrorBoundary
+} from './Exercise4-2-ErrorBoundaries';
+import { ErrorLogContext, clearErrorLog, getErrorLog } from '../errorLog';
+
+describe('ErrorBoundary', () => {
+  // React and the boundary both log caught errors; keep test output readable
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('renders children when nothing throws', () => {
+    render(
+      <ErrorBoundary>
+        <BuggyComponent />
+      </ErrorBoundary>
+    );
+
+    expect(screen.getByText(/No errors here/)).toBeInTheDocument();
+    expect(screen.queryByTestId('error-boundary')).not.toBeInTheDocument();
+  });
+
+  it('catches render errors and shows the fallback', () => {
+    render(
+      <ErrorBoundary>
+        <BuggyComponent shouldError />
+      </ErrorBoundary>
+    );
+
+    expect(screen.getByTestId('error-boundary')).toBeInTheDocument();
+    expect(screen.getByTestId('error-details')).toHaveTextContent('This is a simulated error from BuggyComponent');
+    expect(screen.getByTestId('error-count')).toHaveTextContent('1');
+  });
+
+  it('recovers when reset after the cause is fixed', () => {
+    function Harness() {
+      const [shouldError, setShouldError] = useState(true);
+      return (
+        <>
+          <button onClick={() => setShouldError(false)}>Fix</button>
+          <ErrorBoundary>
+            <BuggyComponent shouldError={shouldError} />
+          </ErrorBoundary>
+        </>
+      );
+    }
+    render(<Harness />);
+
+    userEvent.click(screen.getByText('Fix'));
+    userEvent.click(screen.getByTestId('reset-error-button'));
+
+    expect(screen.queryByTestId('error-boundary')).not.toBeInTheDocument();
+    expect(screen.getByText(/No errors here/)).toBeInTheDocument();
+  });
+
+  it('counts repeated errors', () => {
+    render(
+      <ErrorBoundary>
+        <BuggyComponent shouldError />
+      </ErrorBoundary>
+    );
+
+    userEvent.click(screen.getByTestId('reset-error-button'));
+
+    expect(screen.getByTestId('error-count')).toHaveTextContent('2');
+  });
+
+  describe('fallback props', () => {
+    it('prefers fallbackRender and passes the error', () => {
+      render(
+        <ErrorBoundary
+          fallback={<p>Plain fallback</p>}
+          fallbackRender={({ error }) => <p>Rendered: {error.message}</p>}
+        >
+          <BuggyComponent shouldError />
+        </ErrorBoundary>
+      );
+
+      expect(screen.getByText('Rendered: This is a simulated error from BuggyComponent')).toBeInTheDocument();
+      expect(screen.queryByText('Plain fallback')).not.toBeInTheDocument();
+    });
+
+    it('renders FallbackComponent with a working reset', () => {
+      function Fallback({ resetErrorBoundary }) {
+        return <button onClick={() => resetErrorBoundary()}>Reset me</button>;
+      }
+      const onReset = jest.fn();
+      render(
+        <ErrorBoundary FallbackComponent={Fallback} onReset={onReset}>
+          <BuggyComponent shouldError />
+        </ErrorBoundary>
+      );
+
+      userEvent.click(screen.getByText('Reset me'));
+
+      expect(onReset).toHaveBeenCalledWith(expect.objectContaining({ reason: 'imperative' }));
+    });
+
+    it('renders a plain fallback element', () => {
+      render(
+        <ErrorBoundary fallback={<p>Plain fallback</p>}>
+          <BuggyComponent shouldError />
+        </ErrorBoundary>
+      );
+
+      expect(screen.getByText('Plain fallback')).toBeInTheDocument();
+    });
+  });
+
+  it('reports errors through onError instead of logging', () => {
+    const onError = jest.fn();
+    render(
+      <ErrorBoundary onError={onError}>
+        <BuggyComponent shouldError />
+      </ErrorBoundary>
+    );
+
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'This is a simulated error from BuggyComponent' }),
+      expect.objectContaining({ componentStack: expect.stringContaining('BuggyComponent') })
+    );
+    expect(console.error).not.toHaveBeenCalledWith('Error caught by boundary:', expect.anything());
+  });
+
+  it('resets automatically when resetKeys change', () => {
+    const onReset = jest.fn();
+    const { rerender } = render(
+      <ErrorBoundary resetKeys={[true]} onReset={onReset}>
+        <BuggyComponent shouldError />
+      </ErrorBoundary>
+    );
+    expect(screen.getByTestId('error-boundary')).toBeInTheDocument();
+
+    rerender(
+      <ErrorBoundary resetKeys={[false]} onReset={onReset}>
+        <BuggyComponent shouldError={false} />
+      </ErrorBoundary>
+    );
+
+    expect(screen.getByText(/No errors here/)).toBeInTheDocument();
+    expect(onReset).toHaveBeenCalledWith(
+      expect.objectContaining({ reason: 'keys', prevResetKeys: [true], resetKeys: [false] })
+    );
+  });
+
+  it('stops retrying after maxRetries', () => {
+    render(
+      <ErrorBoundary maxRetries={2}>
+        <BuggyComponent shouldError />
+      </ErrorBoundary>
+    );
+
+    userEvent.click(screen.getByTestId('reset-error-button'));
+    userEvent.click(screen.getByTestId('reset-error-button'));
+
+    expect(screen.getByTestId('error-count')).toHaveTextContent('3');
+    expect(screen.getByTestId('retry-limit-message')).toBeInTheDocument();
+    expect(screen.getByTestId('reset-error-button')).toBeDisabled();
+  });
+
+  it('isolates sections and recovers them on fix', () => {
+    render(<AdvancedErrorBoundaryExample />);
+
+    userEvent.click(screen.getByText('Break Section 2'));
+    expect(screen.getByRole('alert')).toHaveTextContent('Section 2 crashed');
+    expect(screen.getAllByText(/No errors here/)).toHaveLength(2);
+
+    userEvent.click(screen.getByText('Fix Section 2'));
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    expect(screen.getAllByText(/No errors here/)).toHaveLength(3);
+  });
+
+  describe('useErrorBoundary', () => {
+    function ThrowOnClick() {
+      const { showBoundary } = useErrorBoundary();
+      return <button onClick={() => showBoundary(new Error('Clicked too hard'))}>Click</button>;
+    }
+
+    it('forwards event handler errors to the nearest boundary', () => {
+      const onError = jest.fn();
+      render(
+        <ErrorBoundary onError={onError} fallbackRender={({ error }) => <p>Caught: {error.message}</p>}>
+          <ThrowOnClick />
+        </ErrorBoundary>
+      );
+
+      userEvent.click(screen.getByText('Click'));
+
+      expect(screen.getByText('Caught: Clicked too hard')).toBeInTheDocument();
+      expect(onError).toHaveBeenCalledTimes(1);
+    });
+
+    it('forwards rejected promises', async () => {
+      render(<AsyncErrorBoundaryExample />);
+
+      userEvent.click(screen.getByTestId('async-error-button'));
+
+      expect(await screen.findByTestId('error-details')).toHaveTextContent('Request failed with status 500');
+    });
+
+    it('lets the boundary reset afterwards', () => {
+      render(
+        <ErrorBoundary>
+          <ThrowOnClick />
+        </ErrorBoundary>
+      );
+
+      userEvent.click(screen.getByText('Click'));
+      userEvent.click(screen.getByTestId('reset-error-button'));
+
+      expect(screen.getByText('Click')).toBeInTheDocument();
+    });
+
+    it('throws outside an ErrorBoundary', () => {
+      expect(() => render(<ThrowOnClick />)).toThrow('useErrorBoundary must be used within ErrorBoundary');
+    });
+  });
+
+  describe('captureGlobalErrors', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    function dispatchRejection(reason) {
+      const event = new Event('unhandledrejection');
+      event.reason = reason;
+      act(() => {
+        window.dispatchEvent(event);
+        jest.runOnlyPendingTimers();
+      });
+    }
+
+    it('routes unhandled rejections to the boundary', () => {
+      render(
+        <ErrorBoundary captureGlobalErrors fallbackRender={({ error }) => <p>Global: {error.message}</p>}>
+          <p>App</p>
+        </ErrorBoundary>
+      );
+
+      dispatchRejection(new Error('Nobody caught me'));
+
+      expect(screen.getByText('Global: Nobody caught me')).toBeInTheDocument();
+    });
+
+    it('routes window error events to the boundary', () => {
+      render(
+        <ErrorBoundary captureGlobalErrors fallbackRender={({ error }) => <p>Global: {error.message}</p>}>
+          <p>App</p>
+        </ErrorBoundary>
+      );
+
+      act(() => {
+        window.dispatchEvent(new ErrorEvent('error', { error: new Error('Script failed') }));
+        jest.runOnlyPendingTimers();
+      });
+
+      expect(screen.getByText('Global: Script failed')).toBeInTheDocument();
+    });
+
+    it('ignores errors a nested boundary already caught', () => {
+      const onGlobalError = jest.fn();
+      render(
+        <ErrorBoundary captureGlobalErrors onError={onGlobalError}>
+          <ErrorBoundary fallback={<p>Inner fallback</p>} onError={() => {}}>
+            <BuggyComponent shouldError />
+          </ErrorBoundary>
+        </ErrorBoundary>
+      );
+      act(() => {
+        jest.runOnlyPendingTimers();
+      });
+
+      expect(screen.getByText('Inner fallback')).toBeInTheDocument();
+      expect(onGlobalError).not.toHaveBeenCalled();
+    });
+
+    it('stays off unless opted into', () => {
+      render(
+        <ErrorBoundary fallback={<p>Fallback</p>}>
+          <p>App</p>
+        </ErrorBoundary>
+      );
+
+      dispatchRejection(new Error('Ignored'));
+
+      expect(screen.getByText('App')).toBeInTheDocument();
+    });
+  });
+
+  it('adds caught errors to the shared error log', () => {
+    clearErrorLog();
+    render(
+      <ErrorLogContext.Provider value={{ exerciseKey: '4.2' }}>
+        <ErrorBoundary name="Checkout" onError={() => {}}>
+          <BuggyComponent shouldError />
+        </ErrorBoundary>
+      </ErrorLogContext.Provider>
+    );
+
+    expect(getErrorLog()).toEqual([
+      expect.objectContaining({
+        message: 'This is a simulated error from BuggyComponent',
+        boundary: 'Checkout',
+        exerciseKey: '4.2',
+        componentStack: expect.stringContaining('BuggyComponent')
+      })
+    ]);
+  });
+});
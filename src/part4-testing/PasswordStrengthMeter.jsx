@@ -0,0 +1,63 @@
+/**
+ * Component: PasswordStrengthMeter
+ * Live strength bar plus a per-rule checklist for the active password policy
+ */
+
+import React from 'react';
+import { DEFAULT_PASSWORD_POLICY, checkPassword, getPasswordStrength } from './passwordPolicy';
+
+const STRENGTH_COLORS = ['#dc3545', '#fd7e14', '#ffc107', '#51cf66', '#2b8a3e'];
+
+export function PasswordStrengthMeter({ password, email, policy = DEFAULT_PASSWORD_POLICY, id }) {
+  const values = { email };
+  const strength = getPasswordStrength(password, values, policy);
+  const checks = checkPassword(password, values, policy);
+
+  return (
+    <div id={id} style={{ marginTop: '8px' }} data-testid="password-strength">
+      <div
+        role="meter"
+        aria-label="Password strength"
+        aria-valuemin={0}
+        aria-valuemax={4}
+        aria-valuenow={strength.score}
+        aria-valuetext={strength.label}
+        style={{ display: 'flex', gap: '4px' }}
+      >
+        {[1, 2, 3, 4].map(level => (
+          <div
+            key={level}
+            style={{
+              flex: 1,
+              height: '4px',
+              borderRadius: '2px',
+              backgroundColor: password && strength.score >= level ? STRENGTH_COLORS[strength.score] : '#ddd'
+            }}
+          />
+        ))}
+      </div>
+      {password && (
+        <small style={{ color: STRENGTH_COLORS[strength.score] }} data-testid="password-strength-label">
+          {strength.label}
+        </small>
+      )}
+
+      <ul style={{ listStyle: 'none', padding: 0, margin: '5px 0 0 0', fontSize: '12px' }}>
+        {checks.map(check => (
+          <li
+            key={check.id}
+            style={{ color: check.passed ? '#2b8a3e' : '#666' }}
+            data-testid={`password-rule-${check.id}`}
+            data-passed={check.passed}
+          >
+            <span aria-hidden="true">{check.passed ? '✓' : '○'}</span>{' '}
+            {check.label}
+            <span style={{ position: 'absolute', width: '1px', height: '1px', overflow: 'hidden', clip: 'rect(0 0 0 0)' }}>
+              {check.passed ? ' (met)' : ' (not met)'}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,378 @@
+/**
+ * Multi-step Registration Wizard
+ *
+ * Splits the registration fields into steps: account → profile → preferences → review.
+ * - each step is validated before advancing
+ * - Back keeps everything that was entered
+ * - a progress indicator shows where the user is
+ * - with `persistKey`, partial progress is saved with usePersistentState so a
+ *   refresh resumes the wizard (passwords are never persisted)
+ */
+
+import React, { useEffect, useId, useState } from 'react';
+import { rules } from '../validation';
+import { useForm, FORM_STATUS } from '../useForm';
+import { usePersistentState } from '../part1-state-effect/Exercise1-2-LocalPersistence';
+import { registrationSchema } from './registrationSchema';
+import { createMockRegistrationService, withRetry } from './registrationService';
+import { PasswordStrengthMeter } from './PasswordStrengthMeter';
+import { DEFAULT_PASSWORD_POLICY } from './passwordPolicy';
+
+export const WIZARD_STEPS = [
+  { id: 'account', title: 'Account', fields: ['email', 'password', 'confirmPassword'] },
+  { id: 'profile', title: 'Profile', fields: ['firstName', 'lastName', 'bio'] },
+  { id: 'preferences', title: 'Preferences', fields: ['theme', 'newsletter'] },
+  { id: 'review', title: 'Review', fields: ['agreeToTerms'] }
+];
+
+export const wizardSchema = {
+  ...registrationSchema,
+  firstName: { label: 'First name', rules: [rules.required(), rules.maxLength(50)] },
+  lastName: { label: 'Last name', rules: [rules.required(), rules.maxLength(50)] },
+  bio: { label: 'Bio', rules: [rules.maxLength(160)] }
+};
+
+const initialWizardValues = {
+  email: '',
+  password: '',
+  confirmPassword: '',
+  firstName: '',
+  lastName: '',
+  bio: '',
+  theme: 'light',
+  newsletter: false,
+  agreeToTerms: false
+};
+
+const THEMES = [
+  { value: 'light', label: 'Light' },
+  { value: 'dark', label: 'Dark' },
+  { value: 'auto', label: 'Auto' }
+];
+
+// Never written to storage
+const SECRET_FIELDS = ['password', 'confirmPassword'];
+
+const EMPTY_DRAFT = { step: 0, values: {} };
+
+const defaultWizardService = createMockRegistrationService();
+
+function omitSecrets(values) {
+  return Object.fromEntries(Object.entries(values).filter(([name]) => !SECRET_FIELDS.includes(name)));
+}
+
+// Drafts come from storage, so check their shape before trusting them
+function isWizardDraft(draft) {
+  return Boolean(draft) && typeof draft === 'object'
+    && Number.isInteger(draft.step)
+    && Boolean(draft.values) && typeof draft.values === 'object' && !Array.isArray(draft.values);
+}
+
+// Keep only known, non-secret fields of the expected type, so a stale or
+// tampered draft can't put e.g. an object into a controlled input
+function restoreDraftValues(values = {}) {
+  return Object.fromEntries(Object.entries(values).filter(([name, value]) =>
+    Object.prototype.hasOwnProperty.call(initialWizardValues, name)
+      && !SECRET_FIELDS.includes(name)
+      && typeof value === typeof initialWizardValues[name]
+      && (name !== 'theme' || THEMES.some(theme => theme.value === value))
+  ));
+}
+
+function clampStep(step) {
+  return Number.isInteger(step) ? Math.min(Math.max(step, 0), WIZARD_STEPS.length - 1) : 0;
+}
+
+function getStepIndexForField(name) {
+  return WIZARD_STEPS.findIndex(step => step.fields.includes(name));
+}
+
+/**
+ * Progress Indicator
+ */
+function WizardProgress({ currentStep }) {
+  return (
+    <ol aria-label="Progress" style={{ display: 'flex', listStyle: 'none', padding: 0, margin: '0 0 20px 0', gap: '5px' }}>
+      {WIZARD_STEPS.map((step, index) => {
+        const isCurrent = index === currentStep;
+        const isDone = index < currentStep;
+        return (
+          <li
+            key={step.id}
+            aria-current={isCurrent ? 'step' : undefined}
+            style={{
+              flex: 1,
+              padding: '8px 4px',
+              textAlign: 'center',
+              fontSize: '12px',
+              borderBottom: `3px solid ${isCurrent ? '#51cf66' : isDone ? '#a9e34b' : '#ddd'}`,
+              fontWeight: isCurrent ? 'bold' : 'normal',
+              color: isCurrent ? '#2b8a3e' : '#666'
+            }}
+          >
+            {isDone ? '✓ ' : `${index + 1}. `}{step.title}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+/**
+ * Labeled input with an inline error, styled like RegistrationForm
+ */
+function WizardField({ form, name, label, type = 'text', as: Component = 'input', children, ...props }) {
+  const error = form.errors[name];
+  // Prefixed so the wizard can share a page with RegistrationForm
+  const id = `wizard-${name}`;
+  return (
+    <div style={{ marginBottom: '15px' }}>
+      <label htmlFor={id} style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+        {label}
+      </label>
+      <Component
+        type={Component === 'input' ? type : undefined}
+        {...form.register(name)}
+        {...props}
+        id={id}
+        style={{
+          width: '100%',
+          padding: '8px',
+          borderRadius: '4px',
+          border: `1px solid ${error ? '#dc3545' : '#ddd'}`
+        }}
+        data-testid={`wizard-${name}-input`}
+      >
+        {children}
+      </Component>
+      {error && (
+        <span style={{ color: '#dc3545', fontSize: '12px' }} data-testid={`wizard-${name}-error`}>
+          {error}
+        </span>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Wizard body: owns the form and the current step.
+ * `initialDraft` is only read on mount; `onDraftChange` receives every update.
+ */
+function WizardForm({ initialDraft, onDraftChange, onSubmit, service }) {
+  const [step, setStep] = useState(() => clampStep(initialDraft?.step));
+  const [initialValues] = useState(() => ({ ...initialWizardValues, ...restoreDraftValues(initialDraft?.values) }));
+  const strengthId = useId();
+
+  const form = useForm({
+    initialValues,
+    schema: wizardSchema,
+    // Jump back to the first step that has a problem
+    onInvalid: (errors) => setStep(getStepIndexForField(Object.keys(errors)[0])),
+    onSubmit: async (values, { reset, setErrors }) => {
+      try {
+        await withRetry(() => service.register(values), { retries: 2 });
+      } catch (error) {
+        const fieldErrors = error.fieldErrors || {};
+        if (Object.keys(fieldErrors).length > 0) {
+          setErrors(fieldErrors);
+          setStep(getStepIndexForField(Object.keys(fieldErrors)[0]));
+        }
+        throw error;
+      }
+
+      onSubmit?.(values);
+      reset(initialWizardValues);
+      setStep(0);
+    }
+  });
+
+  useEffect(() => {
+    onDraftChange?.({ step, values: omitSecrets(form.values) });
+  }, [step, form.values, onDraftChange]);
+
+  const currentStep = WIZARD_STEPS[step];
+  const isLastStep = step === WIZARD_STEPS.length - 1;
+
+  const handleNext = () => {
+    const errors = form.validate(currentStep.fields);
+    if (Object.keys(errors).length === 0) {
+      setStep(step + 1);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isLastStep) {
+      form.handleSubmit();
+    } else {
+      handleNext();
+    }
+  };
+
+  const { values } = form;
+  const hasFieldErrors = Object.keys(form.submitError?.fieldErrors || {}).length > 0;
+
+  return (
+    <form onSubmit={handleSubmit} data-testid="registration-wizard">
+      <WizardProgress currentStep={step} />
+      <p style={{ fontSize: '12px', color: '#666', margin: '0 0 15px 0' }} data-testid="wizard-step-label">
+        Step {step + 1} of {WIZARD_STEPS.length}: {currentStep.title}
+      </p>
+
+      {form.status === FORM_STATUS.SUCCESS && (
+        <div style={{
+          padding: '12px',
+          marginBottom: '15px',
+          backgroundColor: '#d4edda',
+          color: '#155724',
+          borderRadius: '4px'
+        }} data-testid="wizard-success-message">
+          ✅ Registration successful!
+        </div>
+      )}
+
+      {form.status === FORM_STATUS.ERROR && (
+        <div style={{
+          padding: '12px',
+          marginBottom: '15px',
+          backgroundColor: '#f8d7da',
+          color: '#721c24',
+          borderRadius: '4px'
+        }} data-testid="wizard-error-message">
+          ❌ {hasFieldErrors ? 'Please fix the highlighted fields.' : 'An error occurred. Please try again.'}
+        </div>
+      )}
+
+      {currentStep.id === 'account' && (
+        <>
+          <WizardField form={form} name="email" label="Email *" type="email" placeholder="you@example.com" />
+          <WizardField
+            form={form}
+            name="password"
+            label="Password *"
+            type="password"
+            placeholder={`At least ${DEFAULT_PASSWORD_POLICY.minLength} characters`}
+            aria-describedby={strengthId}
+          />
+          <PasswordStrengthMeter id={strengthId} password={values.password} email={values.email} />
+          <WizardField form={form} name="confirmPassword" label="Confirm Password *" type="password" placeholder="Repeat password" />
+        </>
+      )}
+
+      {currentStep.id === 'profile' && (
+        <>
+          <WizardField form={form} name="firstName" label="First name *" />
+          <WizardField form={form} name="lastName" label="Last name *" />
+          <WizardField form={form} name="bio" label="Bio" as="textarea" rows={3} />
+        </>
+      )}
+
+      {currentStep.id === 'preferences' && (
+        <>
+          <WizardField form={form} name="theme" label="Theme" as="select">
+            {THEMES.map(theme => (
+              <option key={theme.value} value={theme.value}>{theme.label}</option>
+            ))}
+          </WizardField>
+          <label style={{ display: 'flex', alignItems: 'center', marginBottom: '15px' }}>
+            <input type="checkbox" {...form.register('newsletter')} id="wizard-newsletter" data-testid="wizard-newsletter-input" />
+            <span style={{ marginLeft: '8px' }}>Send me the newsletter</span>
+          </label>
+        </>
+      )}
+
+      {currentStep.id === 'review' && (
+        <>
+          <dl style={{ margin: '0 0 15px 0', fontSize: '14px' }} data-testid="wizard-review">
+            <dt style={{ fontWeight: 'bold' }}>Email</dt>
+            <dd style={{ margin: '0 0 8px 0' }}>{values.email}</dd>
+            <dt style={{ fontWeight: 'bold' }}>Name</dt>
+            <dd style={{ margin: '0 0 8px 0' }}>{values.firstName} {values.lastName}</dd>
+            {values.bio && (
+              <>
+                <dt style={{ fontWeight: 'bold' }}>Bio</dt>
+                <dd style={{ margin: '0 0 8px 0' }}>{values.bio}</dd>
+              </>
+            )}
+            <dt style={{ fontWeight: 'bold' }}>Preferences</dt>
+            <dd style={{ margin: '0 0 8px 0' }}>
+              {values.theme} theme, newsletter {values.newsletter ? 'on' : 'off'}
+            </dd>
+          </dl>
+          <label style={{ display: 'flex', alignItems: 'center' }}>
+            <input type="checkbox" {...form.register('agreeToTerms')} id="wizard-agreeToTerms" data-testid="wizard-agreeToTerms-input" />
+            <span style={{ marginLeft: '8px' }}>I agree to the terms and conditions *</span>
+          </label>
+          {form.errors.agreeToTerms && (
+            <span style={{ color: '#dc3545', fontSize: '12px', display: 'block', marginTop: '5px' }} data-testid="wizard-agreeToTerms-error">
+              {form.errors.agreeToTerms}
+            </span>
+          )}
+        </>
+      )}
+
+      <div style={{ display: 'flex', gap: '10px', marginTop: '20px' }}>
+        <button
+          type="button"
+          onClick={() => setStep(step - 1)}
+          disabled={step === 0 || form.isSubmitting}
+          style={{
+            flex: 1,
+            padding: '12px',
+            backgroundColor: step === 0 ? '#eee' : '#999',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: step === 0 ? 'not-allowed' : 'pointer'
+          }}
+          data-testid="wizard-back-button"
+        >
+          Back
+        </button>
+        <button
+          type="submit"
+          disabled={form.isSubmitting}
+          style={{
+            flex: 2,
+            padding: '12px',
+            backgroundColor: form.isSubmitting ? '#ccc' : '#51cf66',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            fontWeight: 'bold',
+            cursor: form.isSubmitting ? 'not-allowed' : 'pointer'
+          }}
+          data-testid="wizard-next-button"
+        >
+          {isLastStep ? (form.isSubmitting ? '⏳ Registering...' : 'Register') : 'Next'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Wizard that saves its draft under `persistKey`
+ */
+function PersistentWizard({ persistKey, onSubmit, service }) {
+  const [draft, setDraft] = usePersistentState(persistKey, EMPTY_DRAFT, { validate: isWizardDraft });
+  return (
+    <WizardForm
+      initialDraft={draft}
+      onDraftChange={setDraft}
+      onSubmit={onSubmit}
+      service={service}
+    />
+  );
+}
+
+/**
+ * Wizard Container
+ * Pass `persistKey` to resume partial progress after a refresh
+ */
+export function RegistrationWizard({ onSubmit, service = defaultWizardService, persistKey }) {
+  if (persistKey) {
+    return <PersistentWizard persistKey={persistKey} onSubmit={onSubmit} service={service} />;
+  }
+  return <WizardForm initialDraft={EMPTY_DRAFT} onSubmit={onSubmit} service={service} />;
+}
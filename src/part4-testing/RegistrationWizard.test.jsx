@@ -0,0 +1,196 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { RegistrationWizard } from './RegistrationWizard';
+import { SubmissionError } from './registrationService';
+
+const VALID_PASSWORD = 'Tr0ub4dor&3';
+const PERSIST_KEY = 'wizardDraft';
+
+function createService(overrides = {}) {
+  return {
+    checkEmailAvailability: jest.fn().mockResolvedValue(true),
+    register: jest.fn().mockResolvedValue({ id: 1 }),
+    ...overrides
+  };
+}
+
+const stepLabel = () => screen.getByTestId('wizard-step-label');
+const clickNext = () => userEvent.click(screen.getByTestId('wizard-next-button'));
+const storedDraft = () => JSON.parse(window.localStorage.getItem(PERSIST_KEY));
+
+function fillAccount(email = 'jane@example.com') {
+  userEvent.type(screen.getByTestId('wizard-email-input'), email);
+  userEvent.type(screen.getByTestId('wizard-password-input'), VALID_PASSWORD);
+  userEvent.type(screen.getByTestId('wizard-confirmPassword-input'), VALID_PASSWORD);
+  clickNext();
+}
+
+function fillProfile() {
+  userEvent.type(screen.getByTestId('wizard-firstName-input'), 'Jane');
+  userEvent.type(screen.getByTestId('wizard-lastName-input'), 'Doe');
+  clickNext();
+}
+
+describe('RegistrationWizard', () => {
+  describe('navigation', () => {
+    it('moves through the steps and keeps values when going back', () => {
+      render(<RegistrationWizard service={createService()} />);
+      expect(stepLabel()).toHaveTextContent('Step 1 of 4: Account');
+
+      fillAccount();
+      expect(stepLabel()).toHaveTextContent('Step 2 of 4: Profile');
+
+      userEvent.click(screen.getByTestId('wizard-back-button'));
+      expect(stepLabel()).toHaveTextContent('Step 1 of 4: Account');
+      expect(screen.getByTestId('wizard-email-input')).toHaveValue('jane@example.com');
+    });
+
+    it('does not advance while the current step has errors', () => {
+      render(<RegistrationWizard service={createService()} />);
+
+      userEvent.type(screen.getByTestId('wizard-email-input'), 'not-an-email');
+      clickNext();
+
+      expect(stepLabel()).toHaveTextContent('Step 1 of 4: Account');
+      expect(screen.getByTestId('wizard-email-error')).toHaveTextContent('Invalid email format');
+      expect(screen.getByTestId('wizard-password-error')).toHaveTextContent('Password is required');
+    });
+
+    it('only validates the fields of the current step', () => {
+      render(<RegistrationWizard service={createService()} />);
+
+      fillAccount();
+      clickNext();
+
+      expect(stepLabel()).toHaveTextContent('Step 2 of 4: Profile');
+      expect(screen.getByTestId('wizard-firstName-error')).toHaveTextContent('First name is required');
+      expect(screen.queryByTestId('wizard-agreeToTerms-error')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('submission', () => {
+    it('registers with every value and starts over', async () => {
+      const service = createService();
+      const onSubmit = jest.fn();
+      render(<RegistrationWizard service={service} onSubmit={onSubmit} />);
+
+      fillAccount();
+      fillProfile();
+      clickNext();
+      expect(screen.getByTestId('wizard-review')).toHaveTextContent('Jane Doe');
+      userEvent.click(screen.getByTestId('wizard-agreeToTerms-input'));
+      clickNext();
+
+      expect(await screen.findByTestId('wizard-success-message')).toBeInTheDocument();
+      expect(service.register).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'jane@example.com',
+        firstName: 'Jane',
+        lastName: 'Doe',
+        agreeToTerms: true
+      }));
+      expect(onSubmit).toHaveBeenCalledTimes(1);
+      expect(stepLabel()).toHaveTextContent('Step 1 of 4: Account');
+    });
+
+    it('jumps back to the step with a server-side field error', async () => {
+      const service = createService({
+        register: jest.fn().mockRejectedValue(
+          new SubmissionError('Email taken', { fieldErrors: { email: 'Email is already registered' } })
+        )
+      });
+      render(<RegistrationWizard service={service} />);
+
+      fillAccount('taken@example.com');
+      fillProfile();
+      clickNext();
+      userEvent.click(screen.getByTestId('wizard-agreeToTerms-input'));
+      clickNext();
+
+      expect(await screen.findByTestId('wizard-email-error')).toHaveTextContent('Email is already registered');
+      expect(stepLabel()).toHaveTextContent('Step 1 of 4: Account');
+      expect(screen.getByTestId('wizard-error-message')).toHaveTextContent('Please fix the highlighted fields.');
+    });
+  });
+
+  describe('persistence', () => {
+    it('saves progress without the passwords', () => {
+      render(<RegistrationWizard service={createService()} persistKey={PERSIST_KEY} />);
+
+      fillAccount();
+
+      expect(storedDraft()).toEqual({
+        step: 1,
+        values: expect.objectContaining({ email: 'jane@example.com' })
+      });
+      expect(storedDraft().values).not.toHaveProperty('password');
+      expect(storedDraft().values).not.toHaveProperty('confirmPassword');
+      expect(window.localStorage.getItem(PERSIST_KEY)).not.toContain(VALID_PASSWORD);
+    });
+
+    it('resumes from a saved draft and asks for the password again on submit', async () => {
+      window.localStorage.setItem(PERSIST_KEY, JSON.stringify({
+        step: 3,
+        values: { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', agreeToTerms: true }
+      }));
+      const service = createService();
+      render(<RegistrationWizard service={service} persistKey={PERSIST_KEY} />);
+
+      expect(stepLabel()).toHaveTextContent('Step 4 of 4: Review');
+      expect(screen.getByTestId('wizard-review')).toHaveTextContent('jane@example.com');
+
+      clickNext();
+
+      await waitFor(() => expect(stepLabel()).toHaveTextContent('Step 1 of 4: Account'));
+      expect(screen.getByTestId('wizard-password-error')).toHaveTextContent('Password is required');
+      expect(service.register).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['null', 'null'],
+      ['an empty object', '{}'],
+      ['a non-numeric step', JSON.stringify({ step: 'two', values: {} })]
+    ])('starts at the first step when the saved draft is %s', (_, stored) => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      window.localStorage.setItem(PERSIST_KEY, stored);
+
+      render(<RegistrationWizard service={createService()} persistKey={PERSIST_KEY} />);
+
+      expect(stepLabel()).toHaveTextContent('Step 1 of 4: Account');
+      console.error.mockRestore();
+    });
+
+    it('drops saved fields of the wrong type or unknown to the wizard', () => {
+      window.localStorage.setItem(PERSIST_KEY, JSON.stringify({
+        step: 2,
+        values: {
+          email: { address: 'jane@example.com' },
+          password: 'leaked',
+          firstName: 'Jane',
+          theme: 'neon',
+          newsletter: 'yes',
+          isAdmin: true
+        }
+      }));
+
+      render(<RegistrationWizard service={createService()} persistKey={PERSIST_KEY} />);
+
+      expect(screen.getByTestId('wizard-theme-input')).toHaveValue('light');
+      expect(screen.getByTestId('wizard-newsletter-input')).not.toBeChecked();
+      userEvent.click(screen.getByTestId('wizard-back-button'));
+      expect(screen.getByTestId('wizard-firstName-input')).toHaveValue('Jane');
+      userEvent.click(screen.getByTestId('wizard-back-button'));
+      expect(screen.getByTestId('wizard-email-input')).toHaveValue('');
+      expect(screen.getByTestId('wizard-password-input')).toHaveValue('');
+      expect(storedDraft().values).not.toHaveProperty('isAdmin');
+    });
+
+    it('clamps a saved step that is out of range', () => {
+      window.localStorage.setItem(PERSIST_KEY, JSON.stringify({ step: -2, values: {} }));
+
+      render(<RegistrationWizard service={createService()} persistKey={PERSIST_KEY} />);
+
+      expect(stepLabel()).toHaveTextContent('Step 1 of 4: Account');
+    });
+  });
+});
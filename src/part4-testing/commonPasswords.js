@@ -0,0 +1,24 @@
+/**
+ * Common Passwords
+ *
+ * A small list of frequently used passwords, shipped with the app so the
+ * password policy can reject them without a network request.
+ * Entries are lowercase; comparisons are case-insensitive.
+ */
+
+export const COMMON_PASSWORDS = [
+  '123456', '123456789', '12345678', '12345', '1234567', '1234567890', '123123',
+  '111111', '000000', '654321', '666666', '121212', '112233', '123321', '7777777',
+  'password', 'password1', 'password12', 'password123', 'password!', 'passw0rd', 'p@ssw0rd',
+  'qwerty', 'qwerty123', 'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbnm', '1q2w3e4r',
+  '1qaz2wsx', 'qazwsx', 'abc123', 'abcd1234', 'aa123456', 'a1b2c3d4',
+  'iloveyou', 'welcome', 'welcome1', 'welcome123', 'letmein', 'letmein1', 'admin',
+  'admin123', 'administrator', 'root', 'login', 'master', 'secret', 'changeme',
+  'default', 'guest', 'test', 'test123', 'testing', 'user', 'hello', 'hello123',
+  'monkey', 'dragon', 'shadow', 'sunshine', 'princess', 'football', 'baseball',
+  'soccer', 'hockey', 'batman', 'superman', 'starwars', 'pokemon', 'michael',
+  'jessica', 'charlie', 'jordan', 'hunter', 'hunter2', 'freedom', 'whatever',
+  'trustno1', 'ninja', 'mustang', 'access', 'flower', 'lovely', 'loveme',
+  'summer', 'winter', 'spring', 'autumn', 'google', 'computer', 'internet',
+  'starwars1', 'qwerty1', 'zaq12wsx', 'samsung', 'killer', 'pepper', 'cookie'
+];
@@ -3,5 +3,36 @@
  * Complete index file for all exercises in Part 4
  */
 
+import { registerPart, registerExercises } from '../registry';
+import { Exercise41Complete } from './Exercise4-1-FormTesting';
+import { Exercise42Complete } from './Exercise4-2-ErrorBoundaries';
+
 export { Exercise41Complete, RegistrationForm } from './Exercise4-1-FormTesting';
-export { Exercise42Complete, ErrorBoundary } from './Exercise4-2-ErrorBoundaries';
+export { RegistrationWizard, WIZARD_STEPS } from './RegistrationWizard';
+export { PasswordStrengthMeter } from './PasswordStrengthMeter';
+export { createPasswordPolicy, DEFAULT_PASSWORD_POLICY } from './passwordPolicy';
+export { Exercise42Complete, ErrorBoundary, useErrorBoundary } from './Exercise4-2-ErrorBoundaries';
+export { createMockRegistrationService, SubmissionError, withRetry } from './registrationService';
+
+registerPart({ part: 4, title: 'Testing Strategies' });
+
+registerExercises([
+  {
+    key: '4.1',
+    title: 'Form Testing',
+    part: 4,
+    component: Exercise41Complete,
+    tags: ['Testing Library', 'Forms', 'Validation', 'Wizard'],
+    description: 'Integration testing a registration form through user behavior.',
+    difficulty: 'intermediate'
+  },
+  {
+    key: '4.2',
+    title: 'Error Boundaries',
+    part: 4,
+    component: Exercise42Complete,
+    tags: ['Error Boundaries', 'Fallback UI'],
+    description: 'Catch render errors, show fallback UI and recover.',
+    difficulty: 'intermediate'
+  }
+]);
@@ -0,0 +1,157 @@
+/**
+ * Password Policy
+ *
+ * One configurable policy drives both the live feedback under the password
+ * field and the validation that runs on submit:
+ *
+ *   const policy = createPasswordPolicy({ minLength: 10, requireSymbol: true });
+ *   checkPassword(password, { email }, policy)   // => [{ id, label, passed }, ...]
+ *   getPasswordStrength(password, { email }, policy) // => { score, label }
+ *   passwordPolicyRules(policy)                  // => rules for a validation schema
+ */
+
+import { rules } from '../validation';
+import { COMMON_PASSWORDS } from './commonPasswords';
+
+export const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  requireLowercase: true,
+  requireUppercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  bannedPasswords: COMMON_PASSWORDS,
+  disallowEmail: true
+};
+
+// The local part of an email only counts once it is this long ("jo" is too common to ban)
+const MIN_EMAIL_FRAGMENT = 3;
+
+const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+export function createPasswordPolicy(overrides = {}) {
+  return { ...DEFAULT_PASSWORD_POLICY, ...overrides };
+}
+
+/**
+ * Helper: true when the password contains the email or its local part
+ */
+function containsEmail(password, email) {
+  if (!email) return false;
+  const lowerPassword = password.toLowerCase();
+  const lowerEmail = email.trim().toLowerCase();
+  const localPart = lowerEmail.split('@')[0];
+  return (
+    (lowerEmail !== '' && lowerPassword.includes(lowerEmail)) ||
+    (localPart.length >= MIN_EMAIL_FRAGMENT && lowerPassword.includes(localPart))
+  );
+}
+
+/**
+ * Every check the policy enables. `test(password, values)` is pure;
+ * `label` is checklist copy and `message` the validation error.
+ */
+function getPolicyChecks(policy) {
+  const banned = new Set(policy.bannedPasswords.map(password => password.toLowerCase()));
+
+  return [
+    {
+      id: 'minLength',
+      enabled: policy.minLength > 0,
+      label: `At least ${policy.minLength} characters`,
+      message: `Password must be at least ${policy.minLength} characters`,
+      test: (password) => password.length >= policy.minLength
+    },
+    {
+      id: 'lowercase',
+      enabled: policy.requireLowercase,
+      label: 'A lowercase letter',
+      message: 'Password must contain a lowercase letter',
+      test: (password) => /[a-z]/.test(password)
+    },
+    {
+      id: 'uppercase',
+      enabled: policy.requireUppercase,
+      label: 'An uppercase letter',
+      message: 'Password must contain an uppercase letter',
+      test: (password) => /[A-Z]/.test(password)
+    },
+    {
+      id: 'number',
+      enabled: policy.requireNumber,
+      label: 'A number',
+      message: 'Password must contain a number',
+      test: (password) => /\d/.test(password)
+    },
+    {
+      id: 'symbol',
+      enabled: policy.requireSymbol,
+      label: 'A symbol',
+      message: 'Password must contain a symbol',
+      test: (password) => /[^A-Za-z0-9]/.test(password)
+    },
+    {
+      id: 'common',
+      enabled: banned.size > 0,
+      label: 'Not a common password',
+      message: 'Password is too common',
+      test: (password) => !banned.has(password.toLowerCase())
+    },
+    {
+      id: 'email',
+      enabled: policy.disallowEmail,
+      label: 'Does not contain your email',
+      message: 'Password must not contain your email',
+      dependsOn: ['email'],
+      test: (password, values = {}) => !containsEmail(password, values.email)
+    }
+  ].filter(check => check.enabled);
+}
+
+/**
+ * Checklist state for the current password
+ */
+export function checkPassword(password = '', values = {}, policy = DEFAULT_PASSWORD_POLICY) {
+  return getPolicyChecks(policy).map(check => ({
+    id: check.id,
+    label: check.label,
+    passed: password !== '' && check.test(password, values)
+  }));
+}
+
+/**
+ * Strength score from 0 (very weak) to 4 (strong).
+ * Length and character variety raise the score; a banned password or one
+ * containing the email is never better than weak.
+ */
+export function getPasswordStrength(password = '', values = {}, policy = DEFAULT_PASSWORD_POLICY) {
+  if (password === '') {
+    return { score: 0, label: STRENGTH_LABELS[0] };
+  }
+
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/]
+    .filter(pattern => pattern.test(password)).length;
+
+  let score = 0;
+  if (password.length >= policy.minLength) score++;
+  if (password.length >= Math.max(12, policy.minLength + 4)) score++;
+  if (classes >= 3) score++;
+  if (classes === 4) score++;
+
+  const checks = checkPassword(password, values, policy);
+  const isCompromised = checks.some(check => (check.id === 'common' || check.id === 'email') && !check.passed);
+  if (isCompromised) score = Math.min(score, 1);
+
+  return { score, label: STRENGTH_LABELS[score] };
+}
+
+/**
+ * Validation rules enforcing the policy, for use in a schema:
+ *   password: { label: 'Password', rules: [rules.required(), ...passwordPolicyRules(policy)] }
+ */
+export function passwordPolicyRules(policy = DEFAULT_PASSWORD_POLICY) {
+  return getPolicyChecks(policy).map(check => ({
+    ...rules.custom((value, values) => !value || check.test(value, values), check.message),
+    type: `passwordPolicy.${check.id}`,
+    dependsOn: check.dependsOn
+  }));
+}
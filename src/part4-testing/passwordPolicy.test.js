@@ -0,0 +1,84 @@
+import { validateField } from '../validation';
+import {
+  DEFAULT_PASSWORD_POLICY,
+  checkPassword,
+  createPasswordPolicy,
+  getPasswordStrength,
+  passwordPolicyRules
+} from './passwordPolicy';
+
+const passedIds = (checks) => checks.filter(check => check.passed).map(check => check.id);
+
+describe('passwordPolicy', () => {
+  describe('checkPassword', () => {
+    it('lists every enabled check, none passed for an empty password', () => {
+      const checks = checkPassword('');
+
+      expect(checks.map(check => check.id)).toEqual(['minLength', 'lowercase', 'uppercase', 'number', 'common', 'email']);
+      expect(passedIds(checks)).toEqual([]);
+    });
+
+    it('marks the checks a password meets', () => {
+      expect(passedIds(checkPassword('abcdefgh'))).toEqual(['minLength', 'lowercase', 'common', 'email']);
+      expect(passedIds(checkPassword('Tr0ub4dor&3'))).toHaveLength(6);
+    });
+
+    it('rejects common passwords case-insensitively', () => {
+      const common = checkPassword('PASSWORD').find(check => check.id === 'common');
+
+      expect(common.passed).toBe(false);
+    });
+
+    it('rejects passwords containing the email or a long enough local part', () => {
+      const emailCheck = (password, email) => checkPassword(password, { email }).find(check => check.id === 'email').passed;
+
+      expect(emailCheck('Jane-Doe-2024', 'jane@example.com')).toBe(false);
+      expect(emailCheck('xJo12345', 'jo@example.com')).toBe(true);
+      expect(emailCheck('Tr0ub4dor&3', '')).toBe(true);
+    });
+
+    it('follows a custom policy', () => {
+      const policy = createPasswordPolicy({ minLength: 12, requireSymbol: true, disallowEmail: false, bannedPasswords: [] });
+      const checks = checkPassword('Tr0ub4dor&3', {}, policy);
+
+      expect(checks.map(check => check.id)).toEqual(['minLength', 'lowercase', 'uppercase', 'number', 'symbol']);
+      expect(checks.find(check => check.id === 'minLength')).toMatchObject({ label: 'At least 12 characters', passed: false });
+    });
+  });
+
+  describe('getPasswordStrength', () => {
+    it('scores length and character variety', () => {
+      expect(getPasswordStrength('')).toEqual({ score: 0, label: 'Very weak' });
+      expect(getPasswordStrength('abcdefgh')).toEqual({ score: 1, label: 'Weak' });
+      expect(getPasswordStrength('Abcdefg1')).toEqual({ score: 2, label: 'Fair' });
+      expect(getPasswordStrength('Tr0ub4dor&3')).toEqual({ score: 3, label: 'Good' });
+      expect(getPasswordStrength('Tr0ub4dor&3x!')).toEqual({ score: 4, label: 'Strong' });
+    });
+
+    it('caps compromised passwords at weak', () => {
+      expect(getPasswordStrength('JaneDoe&2024xyz', { email: 'janedoe@example.com' }).score).toBe(1);
+    });
+  });
+
+  describe('passwordPolicyRules', () => {
+    const schema = (policy) => ({ password: { label: 'Password', rules: passwordPolicyRules(policy) } });
+
+    it('reports the first failed check as a validation error', () => {
+      expect(validateField(schema(), 'password', { password: 'short' }))
+        .toBe('Password must be at least 8 characters');
+      expect(validateField(schema(), 'password', { password: 'Tr0ub4dor&3' })).toBeUndefined();
+    });
+
+    it('leaves empty values to the required rule', () => {
+      expect(validateField(schema(), 'password', { password: '' })).toBeUndefined();
+    });
+
+    it('re-validates when the email changes', () => {
+      const rules = passwordPolicyRules(DEFAULT_PASSWORD_POLICY);
+
+      expect(rules.find(rule => rule.type === 'passwordPolicy.email').dependsOn).toEqual(['email']);
+      expect(validateField(schema(), 'password', { password: 'Janedoe123', email: 'janedoe@example.com' }))
+        .toBe('Password must not contain your email');
+    });
+  });
+});
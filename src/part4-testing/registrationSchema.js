@@ -0,0 +1,32 @@
+/**
+ * Validation schema for RegistrationForm
+ *
+ * Kept in its own module so RegistrationForm and RegistrationWizard can share it.
+ * The password rules come from a configurable password policy.
+ */
+
+import { rules } from '../validation';
+import { DEFAULT_PASSWORD_POLICY, passwordPolicyRules } from './passwordPolicy';
+
+export function createRegistrationSchema(passwordPolicy = DEFAULT_PASSWORD_POLICY) {
+  return {
+    email: {
+      label: 'Email',
+      rules: [rules.required(), rules.email('Invalid email format')]
+    },
+    password: {
+      label: 'Password',
+      rules: [rules.required(), ...passwordPolicyRules(passwordPolicy)]
+    },
+    confirmPassword: {
+      label: 'Confirm password',
+      rules: [rules.matchesField('password', 'Passwords do not match')]
+    },
+    agreeToTerms: {
+      label: 'Terms',
+      rules: [rules.required('You must agree to the terms')]
+    }
+  };
+}
+
+export const registrationSchema = createRegistrationSchema();
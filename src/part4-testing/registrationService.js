@@ -0,0 +1,112 @@
+/**
+ * Registration Service
+ *
+ * RegistrationForm talks to the backend through an injectable service:
+ *
+ *   service.checkEmailAvailability(email, { signal }) => Promise<boolean>
+ *   service.register(values, { signal })              => Promise<{ id }>
+ *
+ * register() rejects with a SubmissionError. `fieldErrors` maps backend errors
+ * onto form fields, and `transient` marks failures that are worth retrying.
+ *
+ * createMockRegistrationService() is a local stand-in for a real API, used by
+ * the exercise and by tests.
+ */
+
+export class SubmissionError extends Error {
+  constructor(message, { fieldErrors = {}, transient = false } = {}) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.fieldErrors = fieldErrors;
+    this.transient = transient;
+  }
+}
+
+function createAbortError() {
+  return new DOMException('The operation was aborted', 'AbortError');
+}
+
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Helper: setTimeout as a promise that rejects when `signal` aborts
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    }, { once: true });
+  });
+}
+
+/**
+ * Retry `fn` on transient failures, waiting `delay` ms (doubled each time).
+ * onRetry(attempt, error) is called before each retry.
+ */
+export async function withRetry(fn, {
+  retries = 2,
+  delay = 500,
+  shouldRetry = (error) => error?.transient === true,
+  onRetry,
+  signal
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+      onRetry?.(attempt + 1, error);
+      await wait(delay * 2 ** attempt, signal);
+    }
+  }
+}
+
+/**
+ * Local mock of the registration API
+ *
+ * - takenEmails: already registered (successful registrations are added too)
+ * - transientFailures: how many register() calls fail with a retryable error first
+ */
+export function createMockRegistrationService({
+  latency = 1500,
+  checkLatency = 500,
+  takenEmails = ['taken@example.com', 'admin@example.com'],
+  transientFailures = 0
+} = {}) {
+  const registered = new Set(takenEmails.map(email => email.toLowerCase()));
+  let failuresLeft = transientFailures;
+  let nextId = 1;
+
+  return {
+    async checkEmailAvailability(email, { signal } = {}) {
+      await wait(checkLatency, signal);
+      return !registered.has(email.toLowerCase());
+    },
+
+    async register(values, { signal } = {}) {
+      await wait(latency, signal);
+
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        throw new SubmissionError('Service temporarily unavailable', { transient: true });
+      }
+
+      if (registered.has(values.email.toLowerCase())) {
+        throw new SubmissionError('Registration failed', {
+          fieldErrors: { email: 'Email is already registered' }
+        });
+      }
+
+      registered.add(values.email.toLowerCase());
+      return { id: nextId++ };
+    }
+  };
+}
@@ -0,0 +1,10 @@
+/**
+ * Exercise Parts
+ * Importing a part's index.js registers its exercises with the registry.
+ * To add a new part, create the folder with an index.js and list it here.
+ */
+
+import './part1-state-effect';
+import './part2-performance';
+import './part3-patterns';
+import './part4-testing';
@@ -0,0 +1,110 @@
+/**
+ * Exercise Registry
+ *
+ * Each part's index.js registers its part heading and exercises here.
+ * App builds the sidebar, ordering and part headings from the registry,
+ * so a new part folder only needs to register itself and be listed in parts.js.
+ */
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+const parts = new Map();
+const exercises = new Map();
+
+/**
+ * Helper: Compare exercise keys segment by segment ('1.2' < '1.10')
+ */
+function compareKeys(a, b) {
+  const aParts = a.split('.').map(Number);
+  const bParts = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    const diff = (aParts[i] ?? 0) - (bParts[i] ?? 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Register a part heading, e.g. { part: 1, title: 'State & Effect Mastery' }
+ */
+export function registerPart({ part, title, description = '' }) {
+  if (typeof part !== 'number') {
+    throw new Error('registerPart requires a numeric part');
+  }
+  if (!title) {
+    throw new Error(`Part ${part} must have a title`);
+  }
+  parts.set(part, { part, title, description });
+}
+
+/**
+ * Register a single exercise with its metadata
+ */
+export function registerExercise({
+  key,
+  title,
+  part,
+  component,
+  tags = [],
+  description = '',
+  difficulty = 'intermediate'
+}) {
+  if (!key || !title || typeof part !== 'number' || !component) {
+    throw new Error('registerExercise requires key, title, part and component');
+  }
+  if (exercises.has(key)) {
+    throw new Error(`Exercise "${key}" is already registered`);
+  }
+  if (!DIFFICULTIES.includes(difficulty)) {
+    throw new Error(`Unknown difficulty "${difficulty}" for exercise "${key}"`);
+  }
+
+  // Header badges: the difficulty, then each tag once
+  const badges = [...new Set([difficulty, ...tags])];
+  exercises.set(key, { key, title, part, component, tags, badges, description, difficulty });
+}
+
+/**
+ * Register several exercises at once
+ */
+export function registerExercises(list) {
+  list.forEach(registerExercise);
+}
+
+export function getExercise(key) {
+  return exercises.get(key);
+}
+
+/**
+ * All exercises, ordered by part and then by key
+ */
+export function getExercises() {
+  return [...exercises.values()].sort((a, b) => a.part - b.part || compareKeys(a.key, b.key));
+}
+
+/**
+ * Parts with their exercises, ordered by part number.
+ * `label` is "Part N: Title" for display; parts that registered exercises
+ * without a heading fall back to "Part N" for both title and label.
+ */
+export function getParts() {
+  const grouped = new Map();
+
+  getExercises().forEach(exercise => {
+    if (!grouped.has(exercise.part)) {
+      const heading = parts.get(exercise.part);
+      const fallback = `Part ${exercise.part}`;
+      grouped.set(exercise.part, {
+        title: fallback,
+        description: '',
+        ...heading,
+        label: heading ? `${fallback}: ${heading.title}` : fallback,
+        part: exercise.part,
+        exercises: []
+      });
+    }
+    grouped.get(exercise.part).exercises.push(exercise);
+  });
+
+  return [...grouped.values()];
+}
@@ -0,0 +1,64 @@
+import { getExercise, getExercises, getParts, registerExercise, registerExercises, registerPart } from './registry';
+
+// The registry is module-wide, so each test uses its own part numbers
+const Component = () => null;
+const exercise = (key, part, extra = {}) => ({ key, title: `Exercise ${key}`, part, component: Component, ...extra });
+const keysIn = (...partNumbers) => getExercises()
+  .filter(item => partNumbers.includes(item.part))
+  .map(item => item.key);
+
+describe('registry', () => {
+  it('orders exercises by part, then by key segment', () => {
+    registerExercises([
+      exercise('11.10', 11),
+      exercise('10.2', 10),
+      exercise('11.2', 11),
+      exercise('11.1.1', 11),
+      exercise('10.1', 10)
+    ]);
+
+    expect(keysIn(10, 11)).toEqual(['10.1', '10.2', '11.1.1', '11.2', '11.10']);
+  });
+
+  it('groups exercises under their part headings', () => {
+    registerPart({ part: 21, title: 'Hooks', description: 'All about hooks' });
+    registerExercises([exercise('22.1', 22), exercise('21.1', 21)]);
+
+    const [withHeading, withoutHeading] = getParts().filter(item => [21, 22].includes(item.part));
+
+    expect(withHeading).toMatchObject({ part: 21, title: 'Hooks', label: 'Part 21: Hooks', description: 'All about hooks' });
+    expect(withHeading.exercises.map(item => item.key)).toEqual(['21.1']);
+    expect(withoutHeading).toMatchObject({ part: 22, title: 'Part 22', label: 'Part 22', description: '' });
+  });
+
+  it('fills in defaults', () => {
+    registerExercise(exercise('30.1', 30));
+
+    expect(getExercise('30.1')).toMatchObject({ tags: [], description: '', difficulty: 'intermediate' });
+  });
+
+  it('builds badges from the difficulty and tags without repeats', () => {
+    registerExercise(exercise('31.1', 31, { difficulty: 'advanced', tags: ['hooks', 'advanced', 'hooks', 'memo'] }));
+
+    expect(getExercise('31.1').badges).toEqual(['advanced', 'hooks', 'memo']);
+  });
+
+  it('rejects duplicate keys', () => {
+    registerExercise(exercise('40.1', 40));
+
+    expect(() => registerExercise(exercise('40.1', 40))).toThrow('Exercise "40.1" is already registered');
+  });
+
+  it('rejects unknown difficulties and missing fields', () => {
+    expect(() => registerExercise(exercise('41.1', 41, { difficulty: 'expert' })))
+      .toThrow('Unknown difficulty "expert" for exercise "41.1"');
+    expect(() => registerExercise({ key: '41.2', part: 41, component: Component }))
+      .toThrow('registerExercise requires key, title, part and component');
+    expect(getExercise('41.1')).toBeUndefined();
+  });
+
+  it('rejects part headings without a number or title', () => {
+    expect(() => registerPart({ part: '5', title: 'Five' })).toThrow('registerPart requires a numeric part');
+    expect(() => registerPart({ part: 50 })).toThrow('Part 50 must have a title');
+  });
+});
@@ -0,0 +1,7 @@
+// Adds custom matchers like toBeInTheDocument() to every test
+import '@testing-library/jest-dom';
+
+// Persisted state must not leak between tests
+afterEach(() => {
+  window.localStorage.clear();
+});
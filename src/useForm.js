@@ -0,0 +1,199 @@
+/**
+ * Custom Hook: useForm
+ *
+ * Owns form values, touched/dirty tracking, validation errors and the submit
+ * lifecycle, so forms only describe their fields:
+ *
+ *   const form = useForm({ initialValues, schema, onSubmit });
+ *   <form onSubmit={form.handleSubmit}>
+ *     <input {...form.register('email')} />
+ *     {form.errors.email && <span>{form.errors.email}</span>}
+ *   </form>
+ *
+ * Validation uses the declarative schemas from validation.js. Fields are
+ * validated on blur, then on every change once visited or showing an error.
+ * Async rules (rules.async) are awaited on submit, before onSubmit is called.
+ */
+
+import { useCallback, useMemo, useState } from 'react';
+import { validateField, validateForm, validateFormAsync, getDependentFields } from './validation';
+
+// Submit lifecycle
+export const FORM_STATUS = {
+  IDLE: 'idle',
+  SUBMITTING: 'submitting',
+  SUCCESS: 'success',
+  ERROR: 'error'
+};
+
+function markAllTouched(names) {
+  return Object.fromEntries(names.map(name => [name, true]));
+}
+
+export function useForm({ initialValues, schema = {}, onSubmit, onInvalid }) {
+  const [values, setValues] = useState(initialValues);
+  const [errors, setErrors] = useState({});
+  const [touched, setTouched] = useState({});
+  const [status, setStatus] = useState(FORM_STATUS.IDLE);
+  const [submitError, setSubmitError] = useState(null);
+
+  // Re-validate the given fields against `nextValues`, setting or clearing each error
+  const validateFields = useCallback((names, nextValues) => {
+    const validated = names.filter(name => schema[name]);
+    if (validated.length === 0) return;
+
+    setErrors(prev => {
+      const next = { ...prev };
+      validated.forEach(name => {
+        const error = validateField(schema, name, nextValues);
+        if (error) {
+          next[name] = error;
+        } else {
+          delete next[name];
+        }
+      });
+      return next;
+    });
+  }, [schema]);
+
+  /**
+   * Validate a set of fields now (default: the whole schema), marking them touched.
+   * Returns the errors found for those fields, e.g. to gate a wizard step.
+   */
+  const validate = useCallback((names = Object.keys(schema)) => {
+    const subset = Object.fromEntries(names.filter(name => schema[name]).map(name => [name, schema[name]]));
+    const newErrors = validateForm(subset, values);
+
+    setErrors(prev => {
+      const next = { ...prev };
+      names.forEach(name => delete next[name]);
+      return { ...next, ...newErrors };
+    });
+    setTouched(prev => ({ ...prev, ...markAllTouched(names) }));
+    return newErrors;
+  }, [schema, values]);
+
+  const setFieldValue = (name, value) => {
+    const nextValues = { ...values, [name]: value };
+    setValues(nextValues);
+
+    // Validate once a field has been visited or shows an error,
+    // plus any visited fields that depend on it (confirmPassword on password)
+    const dependents = schema[name] ? getDependentFields(schema, name) : [];
+    const fieldsToValidate = [name, ...dependents]
+      .filter(field => (field === name ? touched[field] || errors[field] : touched[field]));
+    validateFields(fieldsToValidate, nextValues);
+  };
+
+  const setFieldError = useCallback((name, error) => {
+    setErrors(prev => {
+      const next = { ...prev };
+      if (error) {
+        next[name] = error;
+      } else {
+        delete next[name];
+      }
+      return next;
+    });
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFieldValue(name, type === 'checkbox' ? checked : value);
+  };
+
+  const handleBlur = (e) => {
+    const { name } = e.target;
+    setTouched(prev => ({ ...prev, [name]: true }));
+    validateFields([name], values);
+  };
+
+  /**
+   * Field registration: spread onto an input to wire value, change and blur.
+   * Boolean initial values are treated as checkboxes.
+   */
+  const register = (name) => {
+    const field = {
+      name,
+      id: name,
+      onChange: handleChange,
+      onBlur: handleBlur
+    };
+    if (typeof initialValues[name] === 'boolean') {
+      field.checked = Boolean(values[name]);
+    } else {
+      field.value = values[name] ?? '';
+    }
+    return field;
+  };
+
+  const reset = useCallback((nextValues = initialValues) => {
+    setValues(nextValues);
+    setErrors({});
+    setTouched({});
+    setStatus(FORM_STATUS.IDLE);
+    setSubmitError(null);
+  }, [initialValues]);
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (status === FORM_STATUS.SUBMITTING) return;
+
+    // Every field counts as visited after a submit attempt
+    const newErrors = validate();
+    if (Object.keys(newErrors).length > 0) {
+      setStatus(FORM_STATUS.IDLE);
+      onInvalid?.(newErrors);
+      return;
+    }
+
+    setStatus(FORM_STATUS.SUBMITTING);
+    setSubmitError(null);
+    try {
+      // Async rules (e.g. a server-side check) only run on submit.
+      // A rule that rejects fails the submit like onSubmit would.
+      const asyncErrors = await validateFormAsync(schema, values);
+      if (Object.keys(asyncErrors).length > 0) {
+        setErrors(prev => ({ ...prev, ...asyncErrors }));
+        setStatus(FORM_STATUS.IDLE);
+        onInvalid?.(asyncErrors);
+        return;
+      }
+
+      await onSubmit?.(values, { reset, setErrors, setFieldError });
+      setStatus(FORM_STATUS.SUCCESS);
+    } catch (error) {
+      setSubmitError(error);
+      setStatus(FORM_STATUS.ERROR);
+    }
+  };
+
+  const dirty = useMemo(() => Object.fromEntries(
+    Object.keys(values)
+      .filter(name => values[name] !== initialValues[name])
+      .map(name => [name, true])
+  ), [values, initialValues]);
+
+  return {
+    values,
+    errors,
+    touched,
+    dirty,
+    isDirty: Object.keys(dirty).length > 0,
+    isValid: Object.keys(errors).length === 0,
+    status,
+    isSubmitting: status === FORM_STATUS.SUBMITTING,
+    submitError,
+    register,
+    handleChange,
+    handleBlur,
+    handleSubmit,
+    validate,
+    setFieldValue,
+    setFieldError,
+    setErrors,
+    setValues,
+    setStatus,
+    reset
+  };
+}
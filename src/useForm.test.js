@@ -0,0 +1,68 @@
+import { act, renderHook } from '@testing-library/react';
+import { FORM_STATUS, useForm } from './useForm';
+import { rules } from './validation';
+
+function createSchema(check) {
+  return {
+    username: {
+      label: 'Username',
+      rules: [rules.required(), rules.async(check, '{label} is already taken')]
+    }
+  };
+}
+
+function renderForm(initialValues, check, onSubmit = jest.fn()) {
+  const onInvalid = jest.fn();
+  const schema = createSchema(check);
+  const { result } = renderHook(() => useForm({ initialValues, schema, onSubmit, onInvalid }));
+  return { result, onSubmit, onInvalid };
+}
+
+const isFree = (value) => Promise.resolve(value !== 'taken');
+
+describe('useForm', () => {
+  it('runs async rules on submit and does not submit when they fail', async () => {
+    const { result, onSubmit, onInvalid } = renderForm({ username: 'taken' }, isFree);
+
+    await act(() => result.current.handleSubmit());
+
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(onInvalid).toHaveBeenCalledWith({ username: 'Username is already taken' });
+    expect(result.current.errors).toEqual({ username: 'Username is already taken' });
+    expect(result.current.status).toBe(FORM_STATUS.IDLE);
+  });
+
+  it('submits once the async rules pass, running them once', async () => {
+    const check = jest.fn(isFree);
+    const { result, onSubmit } = renderForm({ username: 'free' }, check);
+
+    await act(() => result.current.handleSubmit());
+
+    expect(check).toHaveBeenCalledTimes(1);
+    expect(onSubmit).toHaveBeenCalledWith({ username: 'free' }, expect.any(Object));
+    expect(result.current.status).toBe(FORM_STATUS.SUCCESS);
+  });
+
+  it('does not run async rules on change or blur', () => {
+    const check = jest.fn(isFree);
+    const { result } = renderForm({ username: '' }, check);
+    const field = () => result.current.register('username');
+
+    act(() => field().onBlur({ target: { name: 'username' } }));
+    act(() => field().onChange({ target: { name: 'username', value: 'ada', type: 'text' } }));
+
+    expect(check).not.toHaveBeenCalled();
+  });
+
+  it('fails the submit when an async rule rejects', async () => {
+    const networkError = new Error('Network error');
+    const { result, onSubmit } = renderForm({ username: 'ada' }, () => Promise.reject(networkError));
+
+    await act(() => result.current.handleSubmit());
+
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(result.current.submitError).toBe(networkError);
+    expect(result.current.status).toBe(FORM_STATUS.ERROR);
+    expect(result.current.isSubmitting).toBe(false);
+  });
+});
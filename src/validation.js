@@ -0,0 +1,182 @@
+/**
+ * Declarative Validation
+ *
+ * A schema maps field names to a label and a list of rules:
+ *
+ *   const schema = {
+ *     email: { label: 'Email', rules: [rules.required(), rules.email()] },
+ *     confirmPassword: { label: 'Confirm password', rules: [rules.matchesField('password')] }
+ *   };
+ *
+ *   validateForm(schema, values)              // => { email: 'Email is required' }
+ *   await validateFormAsync(schema, values)   // also runs rules.async checks
+ *
+ * Everything here is a pure function, so it can be unit tested without rendering.
+ * Messages are templates: {label} and the rule's params (e.g. {min}) are filled in.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Helper: Empty means '', null, undefined, false (unchecked) or []
+ */
+export function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === false ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * Fill a message template, e.g. '{label} must be at least {min} characters'.
+ * Messages may also be functions of the params.
+ */
+export function formatMessage(message, params) {
+  if (typeof message === 'function') return message(params);
+  return message.replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match));
+}
+
+/**
+ * Rule factories
+ * Every rule except `required` passes on empty values, so optional fields work.
+ */
+export const rules = {
+  required: (message = '{label} is required') => ({
+    type: 'required',
+    test: (value) => !isEmpty(value),
+    message
+  }),
+
+  pattern: (regex, message = '{label} is invalid') => ({
+    type: 'pattern',
+    test: (value) => isEmpty(value) || regex.test(value),
+    message
+  }),
+
+  email: (message = 'Invalid email format') => ({
+    type: 'email',
+    test: (value) => isEmpty(value) || EMAIL_PATTERN.test(value),
+    message
+  }),
+
+  minLength: (min, message = '{label} must be at least {min} characters') => ({
+    type: 'minLength',
+    params: { min },
+    test: (value) => isEmpty(value) || value.length >= min,
+    message
+  }),
+
+  maxLength: (max, message = '{label} must be at most {max} characters') => ({
+    type: 'maxLength',
+    params: { max },
+    test: (value) => isEmpty(value) || value.length <= max,
+    message
+  }),
+
+  matchesField: (field, message = '{label} does not match') => ({
+    type: 'matchesField',
+    params: { field },
+    dependsOn: [field],
+    test: (value, values) => value === values[field],
+    message
+  }),
+
+  // test(value, values) returns a boolean
+  custom: (test, message = '{label} is invalid') => ({
+    type: 'custom',
+    test,
+    message
+  }),
+
+  // test(value, values) returns a Promise of a boolean, e.g. a server-side check.
+  // Only the *Async validators run it (useForm: on submit); the sync ones skip it
+  // without calling test, so blur and typing don't send requests.
+  async: (test, message = '{label} is invalid') => ({
+    type: 'async',
+    async: true,
+    test,
+    message
+  })
+};
+
+function isThenable(value) {
+  return value && typeof value.then === 'function';
+}
+
+function getFieldConfig(schema, name) {
+  const config = schema[name];
+  if (!config) {
+    throw new Error(`No validation schema for field "${name}"`);
+  }
+  return config;
+}
+
+function buildMessage(rule, config, name) {
+  return formatMessage(rule.message, { label: config.label || name, ...rule.params });
+}
+
+/**
+ * Validate one field synchronously. Returns the first error message or undefined.
+ * Async rules are skipped here.
+ */
+export function validateField(schema, name, values) {
+  const config = getFieldConfig(schema, name);
+  const value = values[name];
+
+  for (const rule of config.rules) {
+    if (rule.async) continue;
+    const result = rule.test(value, values);
+    if (isThenable(result)) continue;
+    if (!result) return buildMessage(rule, config, name);
+  }
+  return undefined;
+}
+
+/**
+ * Validate one field including async rules. Resolves to the first error or undefined.
+ */
+export async function validateFieldAsync(schema, name, values) {
+  const config = getFieldConfig(schema, name);
+  const value = values[name];
+
+  for (const rule of config.rules) {
+    const result = await rule.test(value, values);
+    if (!result) return buildMessage(rule, config, name);
+  }
+  return undefined;
+}
+
+/**
+ * Validate every field in the schema. Returns an errors object (empty when valid).
+ */
+export function validateForm(schema, values) {
+  const errors = {};
+  Object.keys(schema).forEach(name => {
+    const error = validateField(schema, name, values);
+    if (error) errors[name] = error;
+  });
+  return errors;
+}
+
+export async function validateFormAsync(schema, values) {
+  const names = Object.keys(schema);
+  const results = await Promise.all(names.map(name => validateFieldAsync(schema, name, values)));
+  const errors = {};
+  names.forEach((name, i) => {
+    if (results[i]) errors[name] = results[i];
+  });
+  return errors;
+}
+
+/**
+ * Fields whose rules depend on `name` (e.g. confirmPassword on password),
+ * so they can be re-validated when `name` changes
+ */
+export function getDependentFields(schema, name) {
+  return Object.keys(schema).filter(field =>
+    schema[field].rules.some(rule => rule.dependsOn?.includes(name))
+  );
+}
@@ -0,0 +1,128 @@
+import {
+  formatMessage,
+  getDependentFields,
+  isEmpty,
+  rules,
+  validateField,
+  validateFieldAsync,
+  validateForm,
+  validateFormAsync
+} from './validation';
+
+const schema = {
+  email: { label: 'Email', rules: [rules.required(), rules.email()] },
+  password: { label: 'Password', rules: [rules.required(), rules.minLength(8)] },
+  confirmPassword: { label: 'Confirm password', rules: [rules.matchesField('password')] },
+  nickname: { rules: [rules.maxLength(3)] }
+};
+
+describe('validation', () => {
+  describe('isEmpty', () => {
+    it.each([undefined, null, false, '', '   ', []])('treats %p as empty', (value) => {
+      expect(isEmpty(value)).toBe(true);
+    });
+
+    it.each([0, true, 'a', ['a']])('treats %p as filled', (value) => {
+      expect(isEmpty(value)).toBe(false);
+    });
+  });
+
+  describe('formatMessage', () => {
+    it('fills known placeholders and keeps unknown ones', () => {
+      expect(formatMessage('{label} needs {min} {unit}', { label: 'Name', min: 2 })).toBe('Name needs 2 {unit}');
+    });
+
+    it('calls function messages with the params', () => {
+      expect(formatMessage(({ max }) => `Up to ${max}`, { max: 5 })).toBe('Up to 5');
+    });
+  });
+
+  describe('rules', () => {
+    it('lets optional rules pass on empty values', () => {
+      ['pattern', 'email', 'minLength', 'maxLength'].forEach(type => {
+        const rule = type === 'pattern' ? rules.pattern(/x/) : rules[type](3);
+        expect(rule.test('')).toBe(true);
+      });
+    });
+
+    it('checks patterns and lengths', () => {
+      expect(rules.pattern(/^\d+$/).test('12a')).toBe(false);
+      expect(rules.minLength(3).test('ab')).toBe(false);
+      expect(rules.maxLength(3).test('abcd')).toBe(false);
+      expect(rules.email().test('jane@example')).toBe(false);
+    });
+  });
+
+  describe('validateField', () => {
+    it('returns the first failing rule message with the label and params', () => {
+      expect(validateField(schema, 'password', { password: '' })).toBe('Password is required');
+      expect(validateField(schema, 'password', { password: 'short' })).toBe('Password must be at least 8 characters');
+      expect(validateField(schema, 'password', { password: 'long enough' })).toBeUndefined();
+    });
+
+    it('falls back to the field name as label', () => {
+      expect(validateField(schema, 'nickname', { nickname: 'abcd' })).toBe('nickname must be at most 3 characters');
+    });
+
+    it('compares against other fields', () => {
+      const values = { password: 'secret123', confirmPassword: 'secret124' };
+
+      expect(validateField(schema, 'confirmPassword', values)).toBe('Confirm password does not match');
+    });
+
+    it('skips async rules without running them', () => {
+      const check = jest.fn().mockResolvedValue(false);
+      const asyncSchema = { name: { rules: [rules.async(check)] } };
+
+      expect(validateField(asyncSchema, 'name', { name: 'x' })).toBeUndefined();
+      expect(validateForm(asyncSchema, { name: 'x' })).toEqual({});
+      expect(check).not.toHaveBeenCalled();
+    });
+
+    it('throws for fields missing from the schema', () => {
+      expect(() => validateField(schema, 'age', {})).toThrow('No validation schema for field "age"');
+    });
+  });
+
+  describe('validateForm', () => {
+    it('collects an error per invalid field', () => {
+      expect(validateForm(schema, { email: 'nope', password: 'long enough', confirmPassword: '' })).toEqual({
+        email: 'Invalid email format',
+        confirmPassword: 'Confirm password does not match'
+      });
+    });
+  });
+
+  describe('async validators', () => {
+    const asyncSchema = {
+      username: {
+        label: 'Username',
+        rules: [
+          rules.required(),
+          rules.async(async (value) => value !== 'taken', '{label} is already taken')
+        ]
+      },
+      email: schema.email
+    };
+
+    it('awaits async rules', async () => {
+      await expect(validateFieldAsync(asyncSchema, 'username', { username: 'taken' }))
+        .resolves.toBe('Username is already taken');
+      await expect(validateFieldAsync(asyncSchema, 'username', { username: 'free' })).resolves.toBeUndefined();
+    });
+
+    it('validates the whole form, sync rules included', async () => {
+      await expect(validateFormAsync(asyncSchema, { username: 'taken', email: '' })).resolves.toEqual({
+        username: 'Username is already taken',
+        email: 'Email is required'
+      });
+    });
+  });
+
+  describe('getDependentFields', () => {
+    it('lists fields whose rules depend on the given field', () => {
+      expect(getDependentFields(schema, 'password')).toEqual(['confirmPassword']);
+      expect(getDependentFields(schema, 'email')).toEqual([]);
+    });
+  });
+});